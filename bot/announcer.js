@@ -0,0 +1,189 @@
+import fs from 'fs';
+import { fetch } from 'undici';
+import { createJsonWriter } from './jsonFile.js';
+
+// Announces newly published posts. Polls the backend's event feed (a service token with
+// events:read), posts embeds into the announcement channels and DMs followers who opted in.
+// Each poll is one batch: a channel gets at most one message for it, and a follower at most
+// one DM per DM_COOLDOWN_MS, so bulk publishes arrive as a summary instead of a flood.
+
+const EMBEDS_PER_MESSAGE = 10;
+// Uploaders publishing more than this in one batch are announced as a single summary embed
+const BULK_THRESHOLD = 3;
+const DM_COOLDOWN_MS = 10 * 60 * 1000;
+const DMS_PER_BATCH = 100;
+const DM_SPACING_MS = 1000;
+const EMBED_COLOR = 0x3ea6ff;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+// Discord rejects a whole message when an embed holds a URL it can't fetch
+const httpUrl = (url) => (/^https?:\/\//.test(url || '') ? url : undefined);
+
+function postEmbed(event, brand) {
+  const { post, uploader } = event;
+  return {
+    title: (post.title || 'Untitled').slice(0, 256),
+    url: post.url,
+    description: post.description || undefined,
+    color: EMBED_COLOR,
+    author: { name: uploader.name.slice(0, 256), url: uploader.profileUrl, icon_url: httpUrl(uploader.avatar) },
+    image: httpUrl(post.thumbnailUrl) ? { url: post.thumbnailUrl } : undefined,
+    footer: { text: `${brand} • ${post.type === 'image' ? 'photo' : `${post.format} video`}` },
+    timestamp: event.createdAt
+  };
+}
+
+function summaryEmbed(events, brand) {
+  const { uploader } = events[0];
+  const lines = events.slice(0, 15).map((event) => `• [${event.post.title || 'Untitled'}](${event.post.url})`);
+  if (events.length > 15) lines.push(`…and ${events.length - 15} more`);
+  return {
+    title: `${uploader.name} published ${events.length} new posts`.slice(0, 256),
+    url: uploader.profileUrl,
+    description: lines.join('\n').slice(0, 4000),
+    color: EMBED_COLOR,
+    author: { name: uploader.name.slice(0, 256), url: uploader.profileUrl, icon_url: httpUrl(uploader.avatar) },
+    thumbnail: httpUrl(events[0].post.thumbnailUrl) ? { url: events[0].post.thumbnailUrl } : undefined,
+    footer: { text: brand }
+  };
+}
+
+// One embed per post, or one per uploader who published in bulk, keeping the feed's order
+function batchEmbeds(events, brand) {
+  const byUploader = new Map();
+  for (const event of events) {
+    const key = event.uploader.discordId;
+    if (!byUploader.has(key)) byUploader.set(key, []);
+    byUploader.get(key).push(event);
+  }
+  const embeds = [];
+  for (const group of byUploader.values()) {
+    if (group.length > BULK_THRESHOLD) embeds.push(summaryEmbed(group, brand));
+    else embeds.push(...group.map((event) => postEmbed(event, brand)));
+  }
+  return embeds;
+}
+
+function dmText(events) {
+  const { uploader } = events[0];
+  if (events.length === 1) {
+    return `🎬 **${uploader.name}** just published **${events[0].post.title || 'Untitled'}**: ${events[0].post.url}`;
+  }
+  const links = events.slice(0, 5).map((event) => `• ${event.post.title || 'Untitled'}: ${event.post.url}`);
+  if (events.length > 5) links.push(`…and ${events.length - 5} more on ${uploader.profileUrl}`);
+  return `🎬 **${uploader.name}** just published ${events.length} new posts:\n${links.join('\n')}`;
+}
+
+export function createAnnouncer(config) {
+  const { client, apiBase, apiToken, channelIds, cursorFile, pollMs = 30000, brand } = config;
+  const lastDmAt = new Map();
+  const writeCursor = createJsonWriter(cursorFile);
+  let cursor = null;
+  let started = false;
+
+  function loadCursor() {
+    try {
+      return JSON.parse(fs.readFileSync(cursorFile, 'utf8')).cursor ?? null;
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Could not read announcement cursor ${cursorFile}:`, err.message);
+      return null;
+    }
+  }
+
+  const saveCursor = () => writeCursor({ cursor });
+
+  async function fetchEvents() {
+    const query = cursor === null ? '' : `?after=${cursor}`;
+    const response = await fetch(`${apiBase}/bot/events${query}`, {
+      headers: { Authorization: `Bearer ${apiToken}` }
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const err = new Error(data.error || `Backend error ${response.status}`);
+      err.status = response.status;
+      throw err;
+    }
+    return data;
+  }
+
+  async function announce(events) {
+    const embeds = batchEmbeds(events, brand);
+    for (const channelId of channelIds) {
+      try {
+        const channel = await client.channels.fetch(channelId);
+        for (let i = 0; i < embeds.length; i += EMBEDS_PER_MESSAGE) {
+          await channel.send({ embeds: embeds.slice(i, i + EMBEDS_PER_MESSAGE) });
+        }
+      } catch (err) {
+        console.error(`Failed to announce in channel ${channelId}`, err);
+      }
+    }
+  }
+
+  // Followers who opted in get one DM covering every post of the batch from that creator
+  async function notifyFollowers(events) {
+    const pending = new Map();
+    for (const event of events) {
+      for (const recipientId of event.dmRecipients || []) {
+        const key = `${recipientId}:${event.uploader.discordId}`;
+        if (!pending.has(key)) pending.set(key, { recipientId, events: [] });
+        pending.get(key).events.push(event);
+      }
+    }
+
+    let sent = 0;
+    for (const { recipientId, events: recipientEvents } of pending.values()) {
+      if (sent >= DMS_PER_BATCH) {
+        console.warn(`DM limit reached, skipped ${pending.size - sent} follower notifications this batch`);
+        break;
+      }
+      if (Date.now() - (lastDmAt.get(recipientId) || 0) < DM_COOLDOWN_MS) continue;
+      try {
+        const user = await client.users.fetch(recipientId);
+        await user.send(dmText(recipientEvents));
+        lastDmAt.set(recipientId, Date.now());
+      } catch (err) {
+        // Closed DMs or no shared server; nothing to retry
+        console.warn(`Could not DM follower ${recipientId}: ${err.message}`);
+      }
+      sent += 1;
+      await sleep(DM_SPACING_MS);
+    }
+
+    for (const [recipientId, at] of lastDmAt) {
+      if (Date.now() - at >= DM_COOLDOWN_MS) lastDmAt.delete(recipientId);
+    }
+  }
+
+  async function poll() {
+    try {
+      const { events, cursor: next } = await fetchEvents();
+      if (events.length) {
+        console.log(`Announcing ${events.length} published posts`);
+        await announce(events);
+        await notifyFollowers(events);
+      }
+      if (next !== cursor) {
+        cursor = next;
+        await saveCursor();
+      }
+    } catch (err) {
+      if (err.status === 403) {
+        console.warn(`Announcements and follower DMs are off: ${err.message}. Add the events:read scope to BACKEND_API_TOKEN to turn them on.`);
+        return;
+      }
+      console.error('Announcement poll failed:', err.message);
+    }
+    setTimeout(poll, pollMs);
+  }
+
+  return {
+    start() {
+      if (started) return;
+      started = true;
+      cursor = loadCursor();
+      console.log(`Announcing new posts in ${channelIds.length} channels${cursor === null ? ' from now on' : ` after event ${cursor}`}`);
+      poll();
+    }
+  };
+}
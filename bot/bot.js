@@ -1,12 +1,30 @@
-import { Client, GatewayIntentBits, Partials, Events } from 'discord.js';
+import {
+  Client,
+  GatewayIntentBits,
+  Partials,
+  Events,
+  MessageFlags,
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  ChannelType,
+  InteractionContextType
+} from 'discord.js';
 import dotenv from 'dotenv';
-import { fetch, FormData, File } from 'undici';
+import { fetch } from 'undici';
 import mime from 'mime-types';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
 import path from 'path';
+import { promisify } from 'util';
 import { fileURLToPath } from 'url';
+import { createChannelStore, CHANNEL_FORMATS } from './channels.js';
+import { createAnnouncer } from './announcer.js';
+import { downloadToFile, uploadFile } from './transfer.js';
+import { createUploadQueue } from './uploadQueue.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const execFileAsync = promisify(execFile);
 
 
 dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
@@ -14,14 +32,34 @@ dotenv.config();
 
 const BOT_BRAND = 'BeardedVibes';
 const token = process.env.BOT_TOKEN;
+// Optional: watched from the start with default settings, on top of channels added with /channels
 const targetChannelId = process.env.TARGET_CHANNEL_ID;
 const uploadEndpoint = process.env.BACKEND_UPLOAD_URL;
+// A service token created from the site's profile page: upload:on_behalf_of for uploads,
+// posts:on_behalf_of for the slash commands and events:read for announcements
+const apiToken = process.env.BACKEND_API_TOKEN;
 const frontendBase = (process.env.FRONTEND_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
 
-if (!token || !targetChannelId || !uploadEndpoint) {
-  throw new Error('BOT_TOKEN, TARGET_CHANNEL_ID, and BACKEND_UPLOAD_URL must be set');
+if (!token || !uploadEndpoint || !apiToken) {
+  throw new Error('BOT_TOKEN, BACKEND_UPLOAD_URL, and BACKEND_API_TOKEN must be set');
 }
 
+const channelStore = createChannelStore({
+  file: process.env.BOT_CHANNELS_FILE || path.resolve(__dirname, 'channels.json')
+});
+
+// Newly published posts go to these channels (comma-separated ids); follower DMs are sent either way
+const announceChannelIds = (process.env.ANNOUNCE_CHANNEL_ID || '').split(',').map((id) => id.trim()).filter(Boolean);
+
+// Slash commands call the backend's /api/me/posts endpoints for the Discord user who ran them
+const apiBase = (process.env.BACKEND_API_URL || uploadEndpoint.replace(/\/upload\/?$/, '')).replace(/\/$/, '');
+// Registers the commands in one server, where they show up right away; global commands can take an hour
+const commandGuildId = process.env.COMMAND_GUILD_ID || undefined;
+// Used to read video length and dimensions; without it the bot falls back to what Discord reports
+const ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
+// Attachments are downloaded here before upload and kept until the upload succeeds or gives up
+const spoolDir = process.env.BOT_SPOOL_DIR || path.resolve(__dirname, 'spool');
+
 const ALLOWED_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp', '.mp4', '.webm']);
 const ALLOWED_MIME = new Set([
   'image/jpeg',
@@ -31,6 +69,10 @@ const ALLOWED_MIME = new Set([
   'video/webm'
 ]);
 
+// Portrait videos up to this long are posted as shorts unless the message says otherwise
+const SHORT_MAX_SECONDS = 60;
+const FORMAT_TAGS = { short: 'short', shorts: 'short', long: 'long' };
+
 
 const client = new Client({
   intents: [
@@ -42,9 +84,35 @@ const client = new Client({
   partials: [Partials.Channel]
 });
 
-client.once(Events.ClientReady, (c) => {
+client.once(Events.ClientReady, async (c) => {
   console.log(`Logged in as ${c.user.tag} (BeardedVibes bot branding)`);
   c.user.setPresence({ activities: [{ name: `${BOT_BRAND} uploads` }] });
+  try {
+    await c.application.commands.set(commands.map((command) => command.toJSON()), commandGuildId);
+    console.log(`Registered ${commands.length} slash commands${commandGuildId ? ` in guild ${commandGuildId}` : ' globally'}`);
+  } catch (err) {
+    console.error('Failed to register slash commands', err);
+  }
+
+  if (targetChannelId && !channelStore.get(targetChannelId)) {
+    try {
+      const channel = await c.channels.fetch(targetChannelId);
+      await channelStore.upsert({ channelId: channel.id, guildId: channel.guildId });
+    } catch (err) {
+      console.error(`Could not watch TARGET_CHANNEL_ID ${targetChannelId}`, err);
+    }
+  }
+  console.log(`Watching ${channelStore.list().length} upload channels`);
+  uploadQueue.start();
+
+  createAnnouncer({
+    client: c,
+    apiBase,
+    apiToken,
+    channelIds: announceChannelIds,
+    cursorFile: process.env.BOT_ANNOUNCE_STATE_FILE || path.resolve(__dirname, 'announcements.json'),
+    brand: BOT_BRAND
+  }).start();
 });
 
 
@@ -59,82 +127,267 @@ function isAllowedAttachment(attachment) {
 }
 
 
-async function downloadAttachment(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to download attachment: ${response.status}`);
+// First non-empty line is the title, the rest the description. #short/#long pick the format and
+// #publish/#draft whether it goes live (null leaves both to the channel); those tags are taken out,
+// other hashtags stay in the text for search.
+function parseMessageText(text) {
+  const tags = new Set();
+  const stripped = String(text || '').replace(/(^|\s)#(shorts?|long|publish|draft)\b/gi, (_match, lead, tag) => {
+    tags.add(tag.toLowerCase());
+    return lead;
+  });
+  const lines = stripped.split('\n').map((line) => line.trim());
+  while (lines.length && !lines[0]) lines.shift();
+  const [title = '', ...rest] = lines;
+  const formatTag = [...tags].find((tag) => FORMAT_TAGS[tag]);
+
+  return {
+    title: title.replace(/\s+/g, ' ').slice(0, 200),
+    description: rest.join('\n').replace(/\n{3,}/g, '\n\n').trim().slice(0, 2000),
+    format: formatTag ? FORMAT_TAGS[formatTag] : null,
+    publish: tags.has('publish') ? true : tags.has('draft') ? false : null
+  };
+}
+
+
+// Fills in what the message left open from the channel's settings; default tags missing from the
+// text are added to the description as hashtags
+function applyChannelDefaults(parsed, channel) {
+  const present = new Set((`${parsed.title} ${parsed.description}`.match(/#[\p{L}\p{N}_]+/gu) || []).map((tag) => tag.slice(1).toLowerCase()));
+  const missing = channel.defaultTags.filter((tag) => !present.has(tag)).map((tag) => `#${tag}`);
+  return {
+    title: parsed.title,
+    description: [parsed.description, missing.join(' ')].filter(Boolean).join('\n\n').slice(0, 2000),
+    format: parsed.format || channel.defaultFormat,
+    publish: parsed.publish ?? channel.autoPublish
+  };
+}
+
+
+let ffprobeMissing = false;
+
+async function probeVideo(file) {
+  const { stdout } = await execFileAsync(ffprobePath, [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-show_entries', 'stream=width,height:format=duration',
+    '-of', 'json',
+    file
+  ], { timeout: 15000 });
+  const data = JSON.parse(stdout);
+  const stream = data.streams?.[0];
+  return {
+    width: Number(stream?.width) || 0,
+    height: Number(stream?.height) || 0,
+    duration: Number(data.format?.duration) || null
+  };
+}
+
+
+// 'short' for portrait videos no longer than SHORT_MAX_SECONDS, 'long' otherwise
+async function detectVideoFormat(file, attachment) {
+  let width = attachment.width || 0;
+  let height = attachment.height || 0;
+  let duration = null;
+  if (!ffprobeMissing) {
+    try {
+      const probed = await probeVideo(file);
+      if (probed.width && probed.height) ({ width, height } = probed);
+      duration = probed.duration;
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        ffprobeMissing = true;
+        console.warn(`${ffprobePath} not found, choosing video formats from Discord's dimensions only`);
+      } else {
+        console.warn(`Could not probe ${attachment.name}: ${err.message}`);
+      }
+    }
+  }
+
+  if (!width || !height || height <= width) return 'long';
+  return duration === null || duration <= SHORT_MAX_SECONDS ? 'short' : 'long';
+}
+
+
+// Progress messages are edited at most this often; Discord rate limits message edits
+const PROGRESS_INTERVAL_MS = 3000;
+// Job id -> its progress message and the last pending edit, so edits land in order
+const progressStates = new Map();
+
+const uploadQueue = createUploadQueue({
+  file: process.env.BOT_QUEUE_FILE || path.resolve(__dirname, 'upload-queue.json'),
+  run: runUploadJob,
+  onRetry: (job, err) => {
+    const seconds = Math.round((job.nextAttemptAt - Date.now()) / 1000);
+    console.warn(`Upload of ${job.attachment.name} failed (attempt ${job.attempts}): ${err.message}`);
+    return setProgress(job, `🔁 **${job.attachment.name}**: ${err.message}. Retrying in ${seconds}s (attempt ${job.attempts + 1} of ${uploadQueue.maxAttempts}).`);
+  },
+  onFailed: async (job, err) => {
+    console.error(`Giving up on ${job.attachment.name} after ${job.attempts} attempts`, err);
+    if (job.spoolPath) await fs.rm(job.spoolPath, { force: true });
+    // Transfer errors explain themselves; anything else is a bug not worth showing in the channel
+    const reason = (err.status || err.retryable !== undefined) ? err.message : 'something went wrong on our side';
+    await setProgress(job, `❌ Couldn't upload **${job.attachment.name}**: ${reason}. Please try again.`);
+    progressStates.delete(job.id);
   }
-  const arrayBuffer = await response.arrayBuffer();
-  return Buffer.from(arrayBuffer);
+});
+
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
 
-async function sendToBackend(buffer, attachment, uploaderDiscordId, uploaderDiscordName) {
-  const ext = path.extname(attachment.name || '').toLowerCase();
-  const mimetype = attachment.contentType || mime.lookup(ext) || 'application/octet-stream';
-  const file = new File([buffer], attachment.name || `upload${ext || ''}`, { type: mimetype });
+async function findMessage(channelId, messageId) {
+  const channel = await client.channels.fetch(channelId);
+  return channel.messages.fetch(messageId);
+}
 
-  const form = new FormData();
-  form.append('file', file);
-  form.append('uploaderDiscordId', uploaderDiscordId);
-  form.append('uploaderDiscordName', uploaderDiscordName || 'Unknown');
 
-  console.log(`Sending to ${uploadEndpoint} with mimetype=${mimetype}, filename=${attachment.name}`);
-  const response = await fetch(uploadEndpoint, {
-    method: 'POST',
-    body: form
+// Edits the job's progress reply; after a restart the message is fetched again
+function setProgress(job, text) {
+  if (!job.progressMessageId) return Promise.resolve();
+  if (!progressStates.has(job.id)) progressStates.set(job.id, { message: null, last: Promise.resolve() });
+  const state = progressStates.get(job.id);
+  state.last = state.last.then(async () => {
+    try {
+      state.message ||= await findMessage(job.channelId, job.progressMessageId);
+      await state.message.edit(text);
+    } catch (err) {
+      console.error(`Failed to update progress for ${job.attachment.name}`, err.message);
+    }
   });
+  return state.last;
+}
 
-  console.log(`Backend response status: ${response.status} ${response.statusText}`);
-  if (!response.ok) {
-    const text = await response.text();
-    console.log(`Backend error response body: ${text}`);
-    throw new Error(`Backend error ${response.status}: ${text}`);
+
+function progressReporter(job, label) {
+  let last = Date.now();
+  return (done, total) => {
+    if (Date.now() - last < PROGRESS_INTERVAL_MS) return;
+    last = Date.now();
+    const amount = total ? `${Math.floor((done / total) * 100)}% of ${formatBytes(total)}` : formatBytes(done);
+    setProgress(job, `${label} **${job.attachment.name}**… ${amount}`);
+  };
+}
+
+
+// Spools the attachment to disk (once, so retries skip the download), then streams it to the backend
+async function runUploadJob(job) {
+  const { attachment, metadata } = job;
+  const ext = path.extname(attachment.name || '').toLowerCase();
+  const mimetype = attachment.contentType || mime.lookup(ext) || 'application/octet-stream';
+
+  const spooled = job.spoolPath && await fs.stat(job.spoolPath).then(() => true, () => false);
+  if (!spooled) {
+    await fs.mkdir(spoolDir, { recursive: true });
+    const dest = path.join(spoolDir, `${job.id}${ext}`);
+    await setProgress(job, `⬇️ Downloading **${attachment.name}**…`);
+    const report = progressReporter(job, '⬇️ Downloading');
+    await downloadToFile(attachment.url, dest, (done, total) => report(done, total || attachment.size));
+    job.spoolPath = dest;
+    await uploadQueue.save();
   }
 
-  const result = await response.json();
-  console.log(`Backend response JSON:`, result);
-  return result;
+  if (mimetype.startsWith('video/') && !metadata.format) {
+    metadata.format = await detectVideoFormat(job.spoolPath, attachment);
+    await uploadQueue.save();
+  }
+
+  console.log(`Uploading ${attachment.name} for ${job.authorId}: title=${JSON.stringify(metadata.title)}, format=${metadata.format || 'photo'}, publish=${metadata.publish}`);
+  await setProgress(job, `⬆️ Uploading **${attachment.name}**…`);
+  const result = await uploadFile(uploadEndpoint, {
+    headers: { Authorization: `Bearer ${apiToken}` },
+    fields: {
+      uploaderDiscordId: job.authorId,
+      uploaderDiscordName: job.authorName || 'Unknown',
+      title: metadata.title,
+      description: metadata.description,
+      format: metadata.format,
+      publish: metadata.publish ? 'true' : undefined
+    },
+    file: job.spoolPath,
+    filename: attachment.name || `upload${ext}`,
+    mimetype,
+    onProgress: progressReporter(job, '⬆️ Uploading')
+  });
+  await fs.rm(job.spoolPath, { force: true });
+  console.log(`Uploaded ${attachment.name} for user ${job.authorId}, post ID: ${result.id}`);
+  await reportUploaded(job, result);
 }
 
 
-async function handleAttachment(message, attachment) {
+async function reportUploaded(job, result) {
+  const editLink = `${frontendBase}/edit/${result.id}?token=${result.editToken}`;
+  const postLink = `${frontendBase}/post/${result.id}`;
+
+  // Turn the progress reply into the confirmation
+  if (result.status === 'published') {
+    await setProgress(job, `✅ **${job.attachment.name}** posted! ${postLink}`);
+  } else if (result.status === 'pending_review') {
+    await setProgress(job, `⏳ **${job.attachment.name}** received and held for review by the moderators. Check your DMs for the edit link.`);
+  } else {
+    await setProgress(job, `✅ **${job.attachment.name}** received! Check your DMs for the edit link.`);
+  }
+  progressStates.delete(job.id);
+
+  const dmText = {
+    published: `Thanks! Your upload is live at ${postLink}. Edit it here: ${editLink}`,
+    pending_review: `Thanks! Your upload is waiting for moderator review and goes live once approved. Edit it here: ${editLink}`
+  }[result.status] || `Thanks! Your upload is saved as draft. Edit and publish here: ${editLink}`;
+
+  // Send DM with edit link
   try {
-    console.log(`Processing attachment: name=${attachment.name}, contentType=${attachment.contentType}, url=${attachment.url}`);
-    const buffer = await downloadAttachment(attachment.url);
-    console.log(`Downloaded buffer size: ${buffer.length} bytes`);
-    const result = await sendToBackend(buffer, attachment, message.author.id, message.author.username);
-    console.log(`Backend response:`, result);
-    const editLink = `${frontendBase}/edit/${result.id}?token=${result.editToken}`;
-
-    // Send confirmation in channel
+    const author = await client.users.fetch(job.authorId);
+    await author.send(dmText);
+    console.log(`Sent DM to user ${job.authorId} with edit link for post ${result.id}`);
+  } catch (dmErr) {
+    console.error('Failed to send DM to user', dmErr);
     try {
-      await message.reply('✅ Upload received! Check your DMs for the edit link.');
-    } catch (replyErr) {
-      console.error('Failed to send channel confirmation', replyErr);
+      const message = await findMessage(job.channelId, job.messageId);
+      await message.reply(`Upload successful (ID: ${result.id}), but I couldn't DM you. Enable DMs and try again or use this link: ${editLink}`);
+    } catch (fallbackErr) {
+      console.error('Failed to send fallback message', fallbackErr);
     }
+  }
+}
 
-    // Send DM with edit link
-    try {
-      await message.author.send(
-         `Thanks! Your upload is saved as draft. Edit and publish here: ${editLink}`
-      );
-      console.log(`Sent DM to user ${message.author.id} with edit link for post ${result.id}`);
-    } catch (dmErr) {
-      console.error('Failed to send DM to user', dmErr);
-      try {
-        await message.reply(`Upload successful (ID: ${result.id}), but I couldn't DM you. Enable DMs and try again or use this link: ${editLink}`);
-      } catch (fallbackErr) {
-        console.error('Failed to send fallback message', fallbackErr);
-      }
-    }
 
-    console.log(`Successfully processed attachment ${attachment.id} for user ${message.author.id}, post ID: ${result.id}`);
+// Replies with a progress message for the attachment and queues its upload
+async function queueAttachment(message, attachment, defaults) {
+  let progress = null;
+  try {
+    progress = await message.reply(`⏳ **${attachment.name}** queued for upload.`);
+  } catch (replyErr) {
+    console.error('Failed to send progress message', replyErr);
+  }
+
+  try {
+    const job = await uploadQueue.add({
+      messageId: message.id,
+      channelId: message.channelId,
+      authorId: message.author.id,
+      authorName: message.author.username,
+      attachment: {
+        id: attachment.id,
+        name: attachment.name,
+        url: attachment.url,
+        contentType: attachment.contentType,
+        size: attachment.size,
+        width: attachment.width,
+        height: attachment.height
+      },
+      metadata: { ...defaults },
+      progressMessageId: progress?.id || null,
+      spoolPath: null
+    });
+    if (progress) progressStates.set(job.id, { message: progress, last: Promise.resolve() });
+    console.log(`Queued attachment ${attachment.id} (${attachment.name}, ${formatBytes(attachment.size || 0)}) from user ${message.author.id}`);
   } catch (err) {
-    console.error('Failed to process attachment', err);
-    console.error('Error details:', err.message, err.cause);
+    console.error('Failed to queue attachment', err);
     try {
-      await message.reply('Sorry, I could not process that attachment. Please try again.');
+      await (progress ? progress.edit('Sorry, I could not queue that attachment. Please try again.') : message.reply('Sorry, I could not queue that attachment. Please try again.'));
     } catch (sendErr) {
       console.error('Failed to notify user in channel', sendErr);
     }
@@ -142,16 +395,229 @@ async function handleAttachment(message, attachment) {
 }
 
 
+const postIdOption = (option) => option.setName('id').setDescription('Post id').setRequired(true).setMinValue(1);
+
+const commands = [
+  new SlashCommandBuilder().setName('publish').setDescription('Publish one of your drafts').addIntegerOption(postIdOption),
+  new SlashCommandBuilder().setName('unpublish').setDescription('Take one of your posts back to draft').addIntegerOption(postIdOption),
+  new SlashCommandBuilder()
+    .setName('settitle')
+    .setDescription('Change the title of one of your posts')
+    .addIntegerOption(postIdOption)
+    .addStringOption((option) => option.setName('title').setDescription('New title').setRequired(true).setMaxLength(200)),
+  new SlashCommandBuilder().setName('delete').setDescription('Delete one of your posts').addIntegerOption(postIdOption),
+  new SlashCommandBuilder().setName('myposts').setDescription('List your latest posts'),
+  new SlashCommandBuilder().setName('stats').setDescription('Views, likes and comments for one of your posts').addIntegerOption(postIdOption),
+  new SlashCommandBuilder()
+    .setName('channels')
+    .setDescription('Choose the channels the bot takes uploads from')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setContexts(InteractionContextType.Guild)
+    .addSubcommand((sub) => sub
+      .setName('add')
+      .setDescription('Watch a channel, or change the settings of one already watched')
+      .addChannelOption((option) => option
+        .setName('channel')
+        .setDescription('Channel to take uploads from')
+        .setRequired(true)
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+      .addBooleanOption((option) => option.setName('publish').setDescription('Publish uploads right away unless marked #draft'))
+      .addStringOption((option) => option
+        .setName('format')
+        .setDescription('Format for videos not marked #short or #long (detected when unset)')
+        .addChoices(...CHANNEL_FORMATS.map((format) => ({ name: format, value: format }))))
+      .addStringOption((option) => option.setName('tags').setDescription('Hashtags added to every upload, e.g. "#memes #clips"').setMaxLength(300))
+      .addStringOption((option) => option.setName('roles').setDescription('Only members with one of these roles can upload (mention them)').setMaxLength(500)))
+    .addSubcommand((sub) => sub
+      .setName('remove')
+      .setDescription('Stop taking uploads from a channel')
+      .addChannelOption((option) => option.setName('channel').setDescription('Channel to stop watching').setRequired(true)))
+    .addSubcommand((sub) => sub.setName('list').setDescription('Show the watched channels in this server'))
+];
+
+const STATUS_LABELS = {
+  draft: 'draft',
+  published: 'published',
+  pending_review: 'waiting for review'
+};
+
+
+// Calls the backend as the Discord user; the service token needs the posts:on_behalf_of scope
+async function callBackend(method, route, discordUserId, body) {
+  const headers = { Authorization: `Bearer ${apiToken}`, 'X-On-Behalf-Of': discordUserId };
+  if (body) headers['Content-Type'] = 'application/json';
+  const response = await fetch(`${apiBase}${route}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const err = new Error(data.error || `Backend error ${response.status}`);
+    err.status = response.status;
+    err.data = data;
+    throw err;
+  }
+  return data;
+}
+
+
+function describeChannel(channel) {
+  return [
+    `<#${channel.channelId}>`,
+    channel.autoPublish ? 'publishes right away' : 'saves drafts',
+    `format: ${channel.defaultFormat || 'detected'}`,
+    channel.defaultTags.length ? `tags: ${channel.defaultTags.map((tag) => `#${tag}`).join(' ')}` : null,
+    channel.allowedRoles.length ? `roles: ${channel.allowedRoles.map((id) => `<@&${id}>`).join(' ')}` : 'anyone can upload'
+  ].filter(Boolean).join(' • ');
+}
+
+
+// Where to point people for uploads in this server
+function uploadChannelHint(guildId) {
+  const [channel] = channelStore.list(guildId);
+  return channel ? `<#${channel.channelId}>` : 'an upload channel';
+}
+
+
+function describePost(post) {
+  return `#${post.id} **${post.title || 'Untitled'}** (${STATUS_LABELS[post.status] || post.status})`;
+}
+
+
+// Each handler returns the ephemeral reply for its command
+const commandHandlers = {
+  async publish(interaction) {
+    const { post, held } = await callBackend('POST', `/me/posts/${interaction.options.getInteger('id')}/publish`, interaction.user.id);
+    if (held) return `${describePost(post)} was held for review by the moderators before publishing.`;
+    return `Published ${describePost(post)}: ${post.url}`;
+  },
+
+  async unpublish(interaction) {
+    const { post } = await callBackend('POST', `/me/posts/${interaction.options.getInteger('id')}/unpublish`, interaction.user.id);
+    return `${describePost(post)} is a draft again.`;
+  },
+
+  async settitle(interaction) {
+    const { post, held } = await callBackend('PATCH', `/me/posts/${interaction.options.getInteger('id')}`, interaction.user.id, {
+      title: interaction.options.getString('title')
+    });
+    if (held) return `Title saved, but ${describePost(post)} was held for review by the moderators.`;
+    return `Title saved: ${describePost(post)}`;
+  },
+
+  async delete(interaction) {
+    const id = interaction.options.getInteger('id');
+    await callBackend('DELETE', `/me/posts/${id}`, interaction.user.id);
+    return `Post #${id} deleted.`;
+  },
+
+  async myposts(interaction) {
+    const { posts } = await callBackend('GET', '/me/posts?limit=10', interaction.user.id);
+    if (!posts.length) return `You haven't uploaded anything yet. Drop a file in ${uploadChannelHint(interaction.guildId)} to get started.`;
+    return posts.map((post) => `${describePost(post)} • ${post.views} views • ${post.likes} likes`).join('\n');
+  },
+
+  async stats(interaction) {
+    const { post, stats } = await callBackend('GET', `/me/posts/${interaction.options.getInteger('id')}/stats`, interaction.user.id);
+    return [
+      describePost(post),
+      `👀 ${stats.views} views • 👍 ${stats.likes} likes • 💬 ${stats.comments} comments • 🕒 ${stats.watchLater} watch later`,
+      post.status === 'published' ? post.url : null
+    ].filter(Boolean).join('\n');
+  },
+
+  // Also limited to Manage Server in Discord's command settings; checked again in case those were changed
+  async channels(interaction) {
+    if (!interaction.inGuild()) return 'Use this command in a server.';
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      return 'You need the Manage Server permission to change upload channels.';
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === 'list') {
+      const watched = channelStore.list(interaction.guildId);
+      if (!watched.length) return 'No channels in this server are watched yet. Add one with `/channels add`.';
+      return watched.map(describeChannel).join('\n');
+    }
+
+    const channel = interaction.options.getChannel('channel', true);
+    if (subcommand === 'remove') {
+      const removed = await channelStore.remove(channel.id);
+      return removed ? `Stopped taking uploads from <#${channel.id}>.` : `<#${channel.id}> isn't watched.`;
+    }
+
+    // Options left out keep the channel's current settings
+    const existing = channelStore.get(channel.id);
+    const tags = interaction.options.getString('tags');
+    const roles = interaction.options.getString('roles');
+    const stored = await channelStore.upsert({
+      channelId: channel.id,
+      guildId: interaction.guildId,
+      autoPublish: interaction.options.getBoolean('publish') ?? existing?.autoPublish,
+      defaultFormat: interaction.options.getString('format') ?? existing?.defaultFormat,
+      defaultTags: tags ?? existing?.defaultTags,
+      allowedRoles: roles !== null ? roles.match(/\d{17,20}/g) || [] : existing?.allowedRoles,
+      addedBy: interaction.user.id
+    });
+    console.log(`User ${interaction.user.id} ${existing ? 'updated' : 'added'} upload channel ${channel.id} in guild ${interaction.guildId}`);
+    return `${existing ? 'Updated' : 'Now watching'} ${describeChannel(stored)}`;
+  }
+};
+
+
+client.on(Events.InteractionCreate, async (interaction) => {
+  if (!interaction.isChatInputCommand()) return;
+  const handler = commandHandlers[interaction.commandName];
+  if (!handler) return;
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const reply = await handler(interaction);
+    await interaction.editReply(reply.slice(0, 2000));
+  } catch (err) {
+    console.error(`/${interaction.commandName} failed for user ${interaction.user.id}`, err);
+    let reply = 'Sorry, something went wrong. Please try again.';
+    if (err.data?.unlinked) {
+      reply = `Your Discord account isn't linked to a ${BOT_BRAND} account yet. Upload something in ${uploadChannelHint(interaction.guildId)} or sign in with Discord at ${frontendBase}.`;
+    } else if (err.status && err.status < 500) {
+      reply = err.message;
+    }
+    try {
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply(reply);
+      } else {
+        await interaction.reply({ content: reply, flags: MessageFlags.Ephemeral });
+      }
+    } catch (replyErr) {
+      console.error('Failed to send command error reply', replyErr);
+    }
+  }
+});
+
+
 client.on(Events.MessageCreate, async (message) => {
   if (message.author.bot) return;
-  if (message.channelId !== targetChannelId) return;
+  const channel = channelStore.get(message.channelId);
+  if (!channel) return;
   if (!message.attachments?.size) return;
 
   const allowed = message.attachments.filter((att) => isAllowedAttachment(att));
   if (!allowed.size) return;
 
+  if (channel.allowedRoles.length && !message.member?.roles.cache.some((role) => channel.allowedRoles.includes(role.id))) {
+    try {
+      await message.reply('Sorry, uploads in this channel are limited to certain roles.');
+    } catch (replyErr) {
+      console.error('Failed to send role notice', replyErr);
+    }
+    return;
+  }
+
+  // cleanContent shows user mentions as @name, which the site links to profiles
+  const defaults = applyChannelDefaults(parseMessageText(message.cleanContent), channel);
   for (const attachment of allowed.values()) {
-    await handleAttachment(message, attachment);
+    await queueAttachment(message, attachment, defaults);
   }
 });
 
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import { createJsonWriter } from './jsonFile.js';
+
+// Channels the bot watches for uploads, across any number of guilds. Kept in a JSON file so
+// admins can add and remove channels with /channels while the bot runs. Each entry holds that
+// channel's upload defaults; hashtags and the #short/#long/#publish/#draft tags in a message win.
+
+export const CHANNEL_FORMATS = ['short', 'long'];
+
+const MAX_DEFAULT_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// Tags without the leading #, lowercased and de-duplicated; anything but letters, digits and _ is dropped
+export function normalizeTags(value) {
+  const raw = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  const tags = raw
+    .map((tag) => String(tag).replace(/^#/, '').toLowerCase().replace(/[^\p{L}\p{N}_]/gu, '').slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_DEFAULT_TAGS);
+}
+
+function normalizeChannel(entry) {
+  return {
+    channelId: String(entry.channelId),
+    guildId: entry.guildId ? String(entry.guildId) : null,
+    autoPublish: Boolean(entry.autoPublish),
+    defaultFormat: CHANNEL_FORMATS.includes(entry.defaultFormat) ? entry.defaultFormat : null,
+    defaultTags: normalizeTags(entry.defaultTags),
+    allowedRoles: [...new Set((entry.allowedRoles || []).map(String))],
+    addedBy: entry.addedBy ? String(entry.addedBy) : null,
+    addedAt: entry.addedAt || new Date().toISOString()
+  };
+}
+
+export function createChannelStore(config) {
+  const { file } = config;
+  const channels = new Map();
+  const write = createJsonWriter(file);
+
+  try {
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const entry of entries) {
+      const channel = normalizeChannel(entry);
+      channels.set(channel.channelId, channel);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`Could not read channel config ${file}: ${err.message}`);
+  }
+
+  const save = () => write([...channels.values()]);
+
+  return {
+    get(channelId) {
+      return channels.get(String(channelId)) || null;
+    },
+
+    // All watched channels, or those of one guild
+    list(guildId) {
+      const all = [...channels.values()];
+      return guildId ? all.filter((channel) => channel.guildId === String(guildId)) : all;
+    },
+
+    // Adds a channel or replaces its settings; returns the stored entry
+    async upsert(entry) {
+      const previous = channels.get(String(entry.channelId));
+      const channel = normalizeChannel({ ...entry, addedBy: previous?.addedBy ?? entry.addedBy, addedAt: previous?.addedAt });
+      channels.set(channel.channelId, channel);
+      await save();
+      return channel;
+    },
+
+    async remove(channelId) {
+      if (!channels.delete(String(channelId))) return false;
+      await save();
+      return true;
+    }
+  };
+}
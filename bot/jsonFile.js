@@ -0,0 +1,21 @@
+import fs from 'fs';
+import path from 'path';
+
+// Returns a function that saves a value to a JSON file. Each save writes a temporary file and
+// renames it over the old one, so a crash mid-write never leaves a truncated file. Saves run one
+// after another so a slow save never overwrites a newer one, and a failed save doesn't block
+// the ones after it.
+export function createJsonWriter(file) {
+  let saving = Promise.resolve();
+
+  return function save(value) {
+    const data = JSON.stringify(value, null, 2);
+    saving = saving.catch(() => {}).then(async () => {
+      const tmp = `${file}.tmp`;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(tmp, data);
+      await fs.promises.rename(tmp, file);
+    });
+    return saving;
+  };
+}
@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { fetch } from 'undici';
+
+// Moves attachments through a local spool file so neither the download from Discord nor the
+// upload to the backend holds a whole file in memory. Errors carry err.retryable so the upload
+// queue knows when another attempt can't help.
+
+function transferError(message, { status, retryable }) {
+  const err = new Error(message);
+  err.status = status;
+  err.retryable = retryable;
+  return err;
+}
+
+const isRetryableStatus = (status) => status >= 500 || status === 408 || status === 429;
+
+// Resolves to the number of bytes written; onProgress(received, total) gets total 0 when unknown
+export async function downloadToFile(url, dest, onProgress) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (err) {
+    throw transferError(`Download failed: ${err.message}`, { retryable: true });
+  }
+  if (!response.ok || !response.body) {
+    const gone = response.status === 403 || response.status === 404;
+    throw transferError(gone ? 'The attachment is no longer available on Discord' : `Download failed with status ${response.status}`, {
+      status: response.status,
+      retryable: isRetryableStatus(response.status)
+    });
+  }
+
+  const total = Number(response.headers.get('content-length')) || 0;
+  let received = 0;
+  const counter = new Transform({
+    transform(chunk, _encoding, callback) {
+      received += chunk.length;
+      onProgress?.(received, total);
+      callback(null, chunk);
+    }
+  });
+  try {
+    await pipeline(Readable.fromWeb(response.body), counter, fs.createWriteStream(dest));
+  } catch (err) {
+    await fs.promises.rm(dest, { force: true });
+    throw transferError(`Download interrupted: ${err.message}`, { retryable: true });
+  }
+  return received;
+}
+
+// Posts fields plus the file as multipart/form-data. The body is built by hand so the file
+// part streams from disk and reports progress as it goes.
+export async function uploadFile(endpoint, { headers = {}, fields = {}, file, filename, mimetype, onProgress }) {
+  const boundary = `----BotUpload${crypto.randomBytes(12).toString('hex')}`;
+  const fieldParts = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+  const fileHead = Buffer.from(
+    `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${filename.replace(/["\r\n]/g, '_')}"\r\n` +
+    `Content-Type: ${mimetype}\r\n\r\n`
+  );
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+  const { size } = await fs.promises.stat(file);
+  const length = fieldParts.reduce((sum, part) => sum + part.length, 0) + fileHead.length + size + tail.length;
+
+  async function* body() {
+    yield* fieldParts;
+    yield fileHead;
+    let sent = 0;
+    for await (const chunk of fs.createReadStream(file)) {
+      sent += chunk.length;
+      onProgress?.(sent, size);
+      yield chunk;
+    }
+    yield tail;
+  }
+
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Content-Length': String(length) },
+      body: Readable.from(body()),
+      duplex: 'half'
+    });
+  } catch (err) {
+    throw transferError(`Upload failed: ${err.cause?.message || err.message}`, { retryable: true });
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw transferError(data.error || `Backend error ${response.status}`, {
+      status: response.status,
+      retryable: isRetryableStatus(response.status)
+    });
+  }
+  return data;
+}
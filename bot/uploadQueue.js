@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { createJsonWriter } from './jsonFile.js';
+
+// Uploads waiting to reach the backend, kept in a JSON file so they survive restarts. Jobs run
+// one at a time, oldest due first. A failed attempt is retried with exponential backoff unless
+// the error says another try can't help (err.retryable === false) or the attempts run out.
+
+const BASE_DELAY_MS = 15 * 1000;
+const MAX_DELAY_MS = 30 * 60 * 1000;
+
+export function retryDelay(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+}
+
+export function createUploadQueue(config) {
+  const { file, maxAttempts = 6, run, onRetry, onFailed } = config;
+  const jobs = new Map();
+  const write = createJsonWriter(file);
+  let timer = null;
+  let running = false;
+  let started = false;
+
+  try {
+    for (const job of JSON.parse(fs.readFileSync(file, 'utf8'))) jobs.set(job.id, job);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`Could not read upload queue ${file}: ${err.message}`);
+  }
+
+  const save = () => write([...jobs.values()]);
+
+  const nextJob = () => [...jobs.values()].sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+
+  function schedule() {
+    if (!started || running) return;
+    clearTimeout(timer);
+    const job = nextJob();
+    if (job) timer = setTimeout(runNext, Math.max(job.nextAttemptAt - Date.now(), 0));
+  }
+
+  // Callbacks only report to Discord; their failures must not stall the queue
+  async function notify(callback, job, err) {
+    try {
+      await callback?.(job, err);
+    } catch (notifyErr) {
+      console.error(`Upload job ${job.id} callback failed`, notifyErr);
+    }
+  }
+
+  async function runNext() {
+    const job = nextJob();
+    if (!job || job.nextAttemptAt > Date.now()) return schedule();
+    running = true;
+    job.attempts += 1;
+    job.lastError = null;
+
+    // A failed save counts as a failed attempt, so the job is retried instead of stalling the queue
+    try {
+      await save();
+      await run(job);
+      jobs.delete(job.id);
+    } catch (err) {
+      job.lastError = err.message;
+      if (err.retryable === false || job.attempts >= maxAttempts) {
+        jobs.delete(job.id);
+        await notify(onFailed, job, err);
+      } else {
+        job.nextAttemptAt = Date.now() + retryDelay(job.attempts);
+        await notify(onRetry, job, err);
+      }
+    }
+
+    try {
+      await save();
+    } catch (err) {
+      console.error('Failed to save upload queue', err);
+    }
+    running = false;
+    schedule();
+  }
+
+  return {
+    maxAttempts,
+
+    get size() {
+      return jobs.size;
+    },
+
+    start() {
+      started = true;
+      if (jobs.size) console.log(`Resuming ${jobs.size} queued uploads`);
+      schedule();
+    },
+
+    async add(data) {
+      const job = {
+        id: crypto.randomUUID(),
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null,
+        createdAt: new Date().toISOString(),
+        ...data
+      };
+      jobs.set(job.id, job);
+      // The caller reports a failed add to the user, so the job must not run anyway
+      try {
+        await save();
+      } catch (err) {
+        jobs.delete(job.id);
+        throw err;
+      }
+      schedule();
+      return job;
+    },
+
+    // Persists changes a running job made to itself, such as where its file was spooled
+    save
+  };
+}
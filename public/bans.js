@@ -0,0 +1,76 @@
+// Ban and suspension notice with the one-time appeal form, filled from the `ban` payload of /api/auth/me
+(function () {
+  function describeExpiry(ban) {
+    if (ban.permanent) return 'This ban is permanent.';
+    return `It ends ${new Date(ban.expiresAt).toLocaleString()}.`;
+  }
+
+  function appendText(container, tag, text, className) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    el.textContent = text;
+    container.appendChild(el);
+    return el;
+  }
+
+  function renderAppeal(container, ban) {
+    const appeal = ban.appeal;
+    if (appeal) {
+      const labels = { pending: 'Your appeal is waiting for review.', accepted: 'Your appeal was accepted.', rejected: 'Your appeal was rejected.' };
+      appendText(container, 'p', labels[appeal.status] || 'Your appeal was reviewed.');
+      if (appeal.response) appendText(container, 'p', `Moderator note: ${appeal.response}`, 'ban-appeal-note');
+      return;
+    }
+
+    const form = document.createElement('form');
+    form.className = 'ban-appeal';
+    const input = document.createElement('textarea');
+    input.maxLength = 2000;
+    input.rows = 4;
+    input.placeholder = 'Think this was a mistake? Tell the moderators why. You can appeal once.';
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = 'Submit appeal';
+    const status = document.createElement('p');
+    status.className = 'ban-appeal-note';
+    form.append(input, submit, status);
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      submit.disabled = true;
+      try {
+        const res = await fetch('/api/appeals', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: input.value.trim() })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || 'Failed to submit appeal');
+        form.remove();
+        renderAppeal(container, data.ban);
+      } catch (err) {
+        status.textContent = err.message;
+        submit.disabled = false;
+      }
+    });
+    container.appendChild(form);
+  }
+
+  // Fills container (a .ban-content box) with the ban details; keeps its existing sign-out button last
+  function render(container, ban) {
+    if (!ban) return;
+    const signOut = container.querySelector('button');
+    container.innerHTML = '';
+    const suspended = ban.mode === 'suspend';
+    appendText(container, 'h1', suspended ? '⏸️ Account Suspended' : '🚫 Account Banned');
+    appendText(container, 'p', suspended
+      ? 'You can still watch, but you cannot upload or comment.'
+      : 'Your account has been banned and you cannot access this platform.');
+    if (ban.reason) appendText(container, 'p', `Reason: ${ban.reason}`);
+    appendText(container, 'p', describeExpiry(ban));
+    renderAppeal(container, ban);
+    if (signOut) container.appendChild(signOut);
+  }
+
+  window.BanNotice = { render };
+})();
@@ -70,8 +70,12 @@ async function init() {
       publishBtn.disabled = true;
       setStatus('Publishing…');
       try {
-        await publish(id, token, titleInput.value, descriptionInput.value);
-        setStatus(`Published! View it at /post/${id}`, 'success');
+        const result = await publish(id, token, titleInput.value, descriptionInput.value);
+        if (result.status === 'pending_review') {
+          setStatus('Saved. Your post is being held for a quick review before it goes live.', 'success');
+        } else {
+          setStatus(`Published! View it at /post/${id}`, 'success');
+        }
       } catch (err) {
         setStatus(err.message, 'error');
       } finally {
@@ -0,0 +1,125 @@
+// @username mentions: profile links in rendered text and autocomplete while typing.
+// Tokenizes with the same pattern as server/src/mentions.js.
+(function () {
+  const MENTION_PATTERN = /(^|[^\p{L}\p{N}_.@])@([\p{L}\p{N}_.]{2,32})/gu;
+  // The partial mention being typed right before the caret
+  const TYPING_PATTERN = /(?:^|[^\p{L}\p{N}_.@])@([\p{L}\p{N}_.]{1,32})$/u;
+  const LOOKUP_DELAY_MS = 150;
+
+  // Fills el with text, turning resolved mentions into profile links
+  function render(el, text, mentions) {
+    el.textContent = '';
+    const byName = new Map((mentions || []).map((m) => [m.username.toLowerCase(), m]));
+    const value = String(text || '');
+    let last = 0;
+    for (const match of value.matchAll(MENTION_PATTERN)) {
+      const name = match[2].replace(/\.+$/, '');
+      const user = byName.get(name.toLowerCase());
+      if (!user) continue;
+      const start = match.index + match[1].length;
+      el.appendChild(document.createTextNode(value.slice(last, start)));
+      const link = document.createElement('a');
+      link.className = 'mention';
+      link.href = `/profile.html?id=${encodeURIComponent(user.discordId)}`;
+      link.textContent = `@${name}`;
+      el.appendChild(link);
+      last = start + 1 + name.length;
+    }
+    el.appendChild(document.createTextNode(value.slice(last)));
+  }
+
+  // Suggests usernames from /api/users/lookup as the user types @name into input
+  function attachAutocomplete(input) {
+    const list = document.createElement('div');
+    list.className = 'search-suggest mention-suggest';
+    list.style.display = 'none';
+    input.after(list);
+    if (getComputedStyle(input.parentElement).position === 'static') {
+      input.parentElement.style.position = 'relative';
+    }
+
+    let timer = null;
+    let users = [];
+    let active = 0;
+
+    function hide() {
+      list.style.display = 'none';
+      users = [];
+    }
+
+    function typedQuery() {
+      const before = input.value.slice(0, input.selectionStart);
+      return before.match(TYPING_PATTERN)?.[1] || null;
+    }
+
+    function choose(user) {
+      const caret = input.selectionStart;
+      const query = typedQuery();
+      if (query === null) return hide();
+      const start = caret - query.length;
+      const insert = `${user.username} `;
+      input.value = input.value.slice(0, start) + insert + input.value.slice(caret);
+      input.setSelectionRange(start + insert.length, start + insert.length);
+      hide();
+      input.focus();
+    }
+
+    function show() {
+      list.innerHTML = '';
+      users.forEach((user, i) => {
+        const item = document.createElement('div');
+        item.className = i === active ? 'search-suggest-item active' : 'search-suggest-item';
+        item.textContent = `@${user.username}`;
+        // mousedown fires before the textarea blurs
+        item.addEventListener('mousedown', (e) => {
+          e.preventDefault();
+          choose(user);
+        });
+        list.appendChild(item);
+      });
+      list.style.top = `${input.offsetTop + input.offsetHeight + 6}px`;
+      list.style.left = `${input.offsetLeft}px`;
+      list.style.width = `${input.offsetWidth}px`;
+      list.style.display = 'block';
+    }
+
+    async function lookup(query) {
+      try {
+        const res = await fetch(`/api/users/lookup?q=${encodeURIComponent(query)}`);
+        if (!res.ok || typedQuery() !== query) return;
+        const data = await res.json();
+        users = data.users || [];
+        active = 0;
+        if (users.length) show();
+        else hide();
+      } catch (_err) {
+        hide();
+      }
+    }
+
+    input.addEventListener('input', () => {
+      clearTimeout(timer);
+      const query = typedQuery();
+      if (!query) return hide();
+      timer = setTimeout(() => lookup(query), LOOKUP_DELAY_MS);
+    });
+
+    input.addEventListener('keydown', (e) => {
+      if (!users.length) return;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        active = (active + (e.key === 'ArrowDown' ? 1 : users.length - 1)) % users.length;
+        show();
+      } else if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        choose(users[active]);
+      } else if (e.key === 'Escape') {
+        hide();
+      }
+    });
+
+    input.addEventListener('blur', () => setTimeout(hide, 150));
+  }
+
+  window.Mentions = { render, attachAutocomplete };
+})();
@@ -14,6 +14,7 @@ const watchBtn = document.getElementById('watch-btn');
 const deleteBtn = document.getElementById('delete-btn');
 const reportBtn = document.getElementById('report-btn');
 const followBtn = document.getElementById('follow-btn');
+const dmBtn = document.getElementById('dm-btn');
 const commentsList = document.getElementById('comments-list');
 const commentForm = document.getElementById('comment-form');
 const commentText = document.getElementById('comment-text');
@@ -25,6 +26,7 @@ const authLabel = document.getElementById('auth-label');
 const sessionUser = document.getElementById('session-user');
 const sessionAvatar = document.getElementById('session-avatar');
 const commentCountEl = document.getElementById('comment-count');
+const commentSortEl = document.getElementById('comment-sort');
 const playerWrapper = document.querySelector('.player-wrapper');
 
 let videoEl = null;
@@ -33,12 +35,15 @@ let playOverlay = null;
 
 const state = {
   user: null,
+  ban: null,
   postId: null,
   liked: false,
   watchLater: false,
   following: false,
+  discordDms: false,
   uploaderDiscordId: null,
-  uploaderName: null
+  uploaderName: null,
+  createdAt: null
 };
 
 // Create lightbox elements
@@ -105,6 +110,90 @@ function setStatus(text, type = 'info') {
   statusEl.className = `status ${type === 'error' ? 'error' : type === 'success' ? 'success' : ''}`;
 }
 
+const HLS_JS_URL = 'https://cdn.jsdelivr.net/npm/hls.js@1/dist/hls.min.js';
+let hlsScriptPromise = null;
+
+function loadHlsScript() {
+  if (window.Hls) return Promise.resolve(window.Hls);
+  if (!hlsScriptPromise) {
+    hlsScriptPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = HLS_JS_URL;
+      script.onload = () => resolve(window.Hls);
+      script.onerror = () => reject(new Error('Failed to load hls.js'));
+      document.head.appendChild(script);
+    });
+  }
+  return hlsScriptPromise;
+}
+
+// Switch to the adaptive stream once transcoding is done; the original file stays as fallback
+async function attachAdaptiveSource(video, hlsUrl, fallbackUrl) {
+  if (video.canPlayType('application/vnd.apple.mpegurl')) {
+    video.src = hlsUrl;
+    return;
+  }
+  try {
+    const Hls = await loadHlsScript();
+    if (!Hls || !Hls.isSupported()) return;
+    const hls = new Hls();
+    hls.on(Hls.Events.ERROR, (_event, info) => {
+      if (!info.fatal) return;
+      hls.destroy();
+      video.src = fallbackUrl;
+    });
+    hls.loadSource(hlsUrl);
+    hls.attachMedia(video);
+  } catch (err) {
+    console.warn('Adaptive playback unavailable, using original file:', err.message);
+  }
+}
+
+function formatClock(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Native controls expose no seek-bar events, so track the pointer over the bottom strip of the player
+const SEEK_BAR_HEIGHT = 48;
+
+function attachTimelinePreview(container, video, vttUrl) {
+  if (!window.ScrubPreview) return;
+  const tooltip = document.createElement('div');
+  tooltip.className = 'timeline-preview';
+  const frame = document.createElement('div');
+  frame.className = 'scrub-frame';
+  const time = document.createElement('span');
+  time.className = 'scrub-time';
+  tooltip.append(frame, time);
+  container.appendChild(tooltip);
+
+  let cues = null;
+  window.ScrubPreview.load(vttUrl).then((loaded) => { cues = loaded; });
+
+  container.addEventListener('mousemove', (e) => {
+    const rect = container.getBoundingClientRect();
+    const overSeekBar = rect.bottom - e.clientY <= SEEK_BAR_HEIGHT;
+    if (!cues || !cues.length || !video.controls || !overSeekBar || !video.duration) {
+      tooltip.style.display = 'none';
+      return;
+    }
+    const fraction = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    const seconds = fraction * video.duration;
+    const cue = window.ScrubPreview.cueAtTime(cues, seconds);
+    if (!cue) return;
+    window.ScrubPreview.showCue(frame, cue);
+    time.textContent = formatClock(seconds);
+    tooltip.style.display = 'flex';
+    const left = Math.min(Math.max(e.clientX - rect.left - cue.w / 2, 0), rect.width - cue.w);
+    tooltip.style.left = `${left}px`;
+  });
+  container.addEventListener('mouseleave', () => {
+    tooltip.style.display = 'none';
+  });
+}
+
 function renderPreview(data) {
   previewEl.innerHTML = '';
   if (data.type === 'image') {
@@ -118,11 +207,14 @@ function renderPreview(data) {
   } else if (data.type === 'video') {
     const video = document.createElement('video');
     video.src = data.fileUrl;
+    if (data.thumbnail) video.poster = data.thumbnail;
     video.controls = false;
     video.preload = 'metadata';
     video.playsInline = true;
     videoEl = video;
     previewEl.appendChild(video);
+    if (data.hlsUrl) attachAdaptiveSource(video, data.hlsUrl, data.fileUrl);
+    if (data.previewVtt) attachTimelinePreview(previewEl, video, data.previewVtt);
 
     playOverlay = document.createElement('div');
     playOverlay.className = 'play-overlay';
@@ -140,7 +232,7 @@ function renderPreview(data) {
       videoEl.controls = true;
       videoEl.muted = false;
       videoEl.play().catch(() => {});
-      if (!hasRecordedView && state.user) {
+      if (!hasRecordedView) {
         hasRecordedView = true;
         recordView(state.postId).catch(() => {});
       }
@@ -171,64 +263,250 @@ async function fetchPost(id) {
 }
 
 async function fetchComments(id) {
-  const response = await fetch(`/api/post/${id}/comments`);
+  const response = await fetch(`/api/post/${id}/comments?sort=${commentSortEl.value}`);
   if (!response.ok) return [];
   const data = await response.json();
   return data.comments || [];
 }
 
+// Replies shown before a thread collapses behind "Show more replies"
+const REPLIES_PREVIEW = 2;
+// Deeper replies stop indenting so narrow screens stay readable
+const MAX_REPLY_INDENT = 3;
+const expandedThreads = new Set();
+
+function buildCommentTree(list) {
+  const nodes = new Map(list.map((c) => [c.id, { ...c, children: [] }]));
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parentId ? nodes.get(node.parentId) : null;
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+  // Top level stays newest first; replies read oldest first
+  nodes.forEach((node) => node.children.sort((a, b) => a.id - b.id));
+  return roots;
+}
+
+// A tombstone only stays visible while live replies hang off it
+function hasVisibleContent(node) {
+  return !node.deleted || node.children.some(hasVisibleContent);
+}
+
+async function refreshComments() {
+  renderComments(await fetchComments(state.postId));
+}
+
+function renderCommentAuthor(c) {
+  const author = document.createElement('div');
+  author.className = 'author';
+  author.style.display = 'flex';
+  author.style.alignItems = 'center';
+  author.style.gap = '6px';
+
+  if (c.authorDiscordId) {
+    const authorLink = document.createElement('a');
+    authorLink.href = `/profile.html?id=${c.authorDiscordId}`;
+    authorLink.textContent = c.author;
+    authorLink.style.cursor = 'pointer';
+    authorLink.style.color = 'inherit';
+    authorLink.style.textDecoration = 'none';
+    authorLink.title = 'View profile';
+    author.appendChild(authorLink);
+  } else {
+    const nameSpan = document.createElement('span');
+    nameSpan.textContent = c.author;
+    author.appendChild(nameSpan);
+  }
+
+  if (c.authorVerified) {
+    const badge = document.createElement('span');
+    badge.className = 'verified-badge';
+    badge.innerHTML = '<svg viewBox="0 0 24 24" style="width:10px;height:10px;fill:currentColor"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg>Verified';
+    badge.style.fontSize = '9px';
+    badge.style.padding = '1px 6px';
+    author.appendChild(badge);
+  }
+  return author;
+}
+
+// Inline textarea used for both replies and edits
+function openInlineEditor(anchor, { initial = '', submitLabel, onSubmit }) {
+  const form = document.createElement('form');
+  form.className = 'comment-inline-form';
+  const input = document.createElement('textarea');
+  input.maxLength = 800;
+  input.value = initial;
+  const buttons = document.createElement('div');
+  buttons.className = 'comment-actions';
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.textContent = submitLabel;
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'link-btn';
+  cancel.textContent = 'Cancel';
+  cancel.addEventListener('click', () => form.remove());
+  buttons.append(submit, cancel);
+  form.append(input, buttons);
+  Mentions.attachAutocomplete(input);
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const text = input.value.trim();
+    if (!text) return;
+    submit.disabled = true;
+    try {
+      await onSubmit(text);
+    } catch (err) {
+      setStatus(err.message, 'error');
+      submit.disabled = false;
+    }
+  });
+  anchor.after(form);
+  input.focus();
+}
+
+function renderCommentActions(c) {
+  const actions = document.createElement('div');
+  actions.className = 'comment-actions';
+  if (c.deleted) return actions;
+  if (!state.user) {
+    const likes = document.createElement('span');
+    likes.className = 'time';
+    likes.textContent = `👍 ${c.likes}`;
+    actions.appendChild(likes);
+    return actions;
+  }
+
+  const isAuthor = c.authorDiscordId === state.user.discordId;
+  const isUploader = state.uploaderDiscordId === state.user.discordId;
+  const canDelete = isAuthor || isUploader || state.user.permissions?.includes('posts.delete_any');
+  const addAction = (label, handler) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'link-btn';
+    btn.textContent = label;
+    btn.addEventListener('click', handler);
+    actions.appendChild(btn);
+    return btn;
+  };
+
+  const likeAction = addAction(`👍 ${c.likes}`, async () => {
+    likeAction.disabled = true;
+    try {
+      const result = await likeComment(state.postId, c.id);
+      c.likes = result.likes;
+      c.liked = result.liked;
+      likeAction.textContent = `👍 ${result.likes}`;
+      likeAction.classList.toggle('liked', result.liked);
+    } catch (err) {
+      setStatus(err.message, 'error');
+    } finally {
+      likeAction.disabled = false;
+    }
+  });
+  likeAction.classList.toggle('liked', Boolean(c.liked));
+
+  addAction('Reply', () => openInlineEditor(actions, {
+    submitLabel: 'Reply',
+    onSubmit: async (text) => {
+      await addComment(state.postId, text, c.id);
+      expandedThreads.add(c.id);
+      await refreshComments();
+    }
+  }));
+  if (isAuthor) {
+    addAction('Edit', () => openInlineEditor(actions, {
+      initial: c.text,
+      submitLabel: 'Save',
+      onSubmit: async (text) => {
+        await editComment(state.postId, c.id, text);
+        await refreshComments();
+      }
+    }));
+  }
+  if (isUploader && !c.parentId) {
+    addAction(c.pinned ? 'Unpin' : 'Pin', async () => {
+      try {
+        await pinComment(state.postId, c.id, !c.pinned);
+        await refreshComments();
+      } catch (err) {
+        setStatus(err.message, 'error');
+      }
+    });
+  }
+  if (canDelete) {
+    addAction('Delete', async () => {
+      if (!confirm('Delete this comment?')) return;
+      try {
+        await deleteComment(state.postId, c.id);
+        await refreshComments();
+      } catch (err) {
+        setStatus(err.message, 'error');
+      }
+    });
+  }
+  return actions;
+}
+
+function renderCommentNode(node, depth) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'comment-thread';
+
+  const card = document.createElement('div');
+  card.className = node.deleted ? 'comment deleted' : 'comment';
+  const text = document.createElement('div');
+  text.className = 'text';
+  if (node.deleted) text.textContent = 'Comment deleted';
+  else Mentions.render(text, node.text, node.mentions);
+  const time = document.createElement('div');
+  time.className = 'time';
+  time.textContent = new Date(node.createdAt).toLocaleString() + (node.editedAt ? ' (edited)' : '');
+  if (node.pinned) {
+    const pinnedLabel = document.createElement('div');
+    pinnedLabel.className = 'pinned-label';
+    pinnedLabel.textContent = '📌 Pinned by uploader';
+    card.appendChild(pinnedLabel);
+  }
+  if (!node.deleted) card.appendChild(renderCommentAuthor(node));
+  card.append(text, time, renderCommentActions(node));
+  wrapper.appendChild(card);
+
+  const children = node.children.filter(hasVisibleContent);
+  if (children.length) {
+    const replies = document.createElement('div');
+    replies.className = depth < MAX_REPLY_INDENT ? 'comment-replies' : 'comment-replies flat';
+    const expanded = expandedThreads.has(node.id) || children.length <= REPLIES_PREVIEW;
+    const shown = expanded ? children : children.slice(0, REPLIES_PREVIEW);
+    shown.forEach((child) => replies.appendChild(renderCommentNode(child, depth + 1)));
+    if (!expanded) {
+      const more = document.createElement('button');
+      more.type = 'button';
+      more.className = 'link-btn show-more-replies';
+      const hidden = children.length - REPLIES_PREVIEW;
+      more.textContent = `Show ${hidden} more ${hidden === 1 ? 'reply' : 'replies'}`;
+      more.addEventListener('click', () => {
+        expandedThreads.add(node.id);
+        replies.replaceWith(renderCommentNode(node, depth).querySelector('.comment-replies'));
+      });
+      replies.appendChild(more);
+    }
+    wrapper.appendChild(replies);
+  }
+  return wrapper;
+}
+
 function renderComments(list) {
   commentsList.innerHTML = '';
-  if (commentCountEl) commentCountEl.textContent = list.length;
-  if (!list.length) {
+  if (commentCountEl) commentCountEl.textContent = list.filter((c) => !c.deleted).length;
+  const roots = buildCommentTree(list).filter(hasVisibleContent);
+  if (!roots.length) {
     const empty = document.createElement('p');
     empty.textContent = 'No comments yet. Be the first!';
     commentsList.appendChild(empty);
     return;
   }
-  list.forEach((c) => {
-    const card = document.createElement('div');
-    card.className = 'comment';
-    
-    const author = document.createElement('div');
-    author.className = 'author';
-    author.style.display = 'flex';
-    author.style.alignItems = 'center';
-    author.style.gap = '6px';
-    
-    if (c.authorDiscordId) {
-      const authorLink = document.createElement('a');
-      authorLink.href = `/profile.html?id=${c.authorDiscordId}`;
-      authorLink.textContent = c.author;
-      authorLink.style.cursor = 'pointer';
-      authorLink.style.color = 'inherit';
-      authorLink.style.textDecoration = 'none';
-      authorLink.title = 'View profile';
-      author.appendChild(authorLink);
-    } else {
-      const nameSpan = document.createElement('span');
-      nameSpan.textContent = c.author;
-      author.appendChild(nameSpan);
-    }
-    
-    if (c.authorVerified) {
-      const badge = document.createElement('span');
-      badge.className = 'verified-badge';
-      badge.innerHTML = '<svg viewBox="0 0 24 24" style="width:10px;height:10px;fill:currentColor"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg>Verified';
-      badge.style.fontSize = '9px';
-      badge.style.padding = '1px 6px';
-      author.appendChild(badge);
-    }
-    
-    const text = document.createElement('div');
-    text.className = 'text';
-    text.textContent = c.text;
-    const time = document.createElement('div');
-    time.className = 'time';
-    time.textContent = new Date(c.createdAt).toLocaleString();
-    card.append(author, text, time);
-    commentsList.appendChild(card);
-  });
+  roots.forEach((node) => commentsList.appendChild(renderCommentNode(node, 0)));
 }
 
 async function likePost(id) {
@@ -243,9 +521,16 @@ async function toggleWatchLater(id) {
   return response.json();
 }
 
+function renderPublishedLine(views, createdAt) {
+  const viewLabel = `${views.toLocaleString()} ${views === 1 ? 'view' : 'views'}`;
+  publishedAtEl.textContent = `${viewLabel} • Published on ${new Date(createdAt).toLocaleString()}`;
+}
+
 async function recordView(id) {
   const response = await fetch(`/api/post/${id}/view`, { method: 'POST' });
   if (!response.ok) return;
+  const data = await response.json();
+  if (state.createdAt) renderPublishedLine(data.views, state.createdAt);
 }
 
 async function fetchFollowStatus(discordId) {
@@ -267,11 +552,24 @@ async function toggleFollow(discordId, follow, meta = {}) {
   return res.json();
 }
 
-async function addComment(id, text) {
+async function setDiscordDms(discordId, enabled) {
+  const res = await fetch(`/api/user/${discordId}/follow/discord-dms`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ enabled })
+  });
+  if (!res.ok) {
+    const msg = (await res.json().catch(() => ({}))).error || 'Unable to update Discord DMs';
+    throw new Error(msg);
+  }
+  return res.json();
+}
+
+async function addComment(id, text, parentId = null) {
   const response = await fetch(`/api/post/${id}/comment`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ text })
+    body: JSON.stringify({ text, parentId })
   });
   if (!response.ok) {
     const msg = (await response.json().catch(() => ({}))).error || 'Failed to post comment';
@@ -280,6 +578,47 @@ async function addComment(id, text) {
   return response.json();
 }
 
+async function editComment(id, commentId, text) {
+  const response = await fetch(`/api/post/${id}/comment/${commentId}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text })
+  });
+  if (!response.ok) {
+    const msg = (await response.json().catch(() => ({}))).error || 'Failed to edit comment';
+    throw new Error(msg);
+  }
+  return response.json();
+}
+
+async function likeComment(id, commentId) {
+  const response = await fetch(`/api/post/${id}/comment/${commentId}/like`, { method: 'POST' });
+  if (!response.ok) throw new Error('Unable to like comment right now');
+  return response.json();
+}
+
+async function pinComment(id, commentId, pinned) {
+  const response = await fetch(`/api/post/${id}/comment/${commentId}/pin`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ pinned })
+  });
+  if (!response.ok) {
+    const msg = (await response.json().catch(() => ({}))).error || 'Failed to pin comment';
+    throw new Error(msg);
+  }
+  return response.json();
+}
+
+async function deleteComment(id, commentId) {
+  const response = await fetch(`/api/post/${id}/comment/${commentId}`, { method: 'DELETE' });
+  if (!response.ok) {
+    const msg = (await response.json().catch(() => ({}))).error || 'Failed to delete comment';
+    throw new Error(msg);
+  }
+  return response.json();
+}
+
 function updateAuthUi() {
   if (state.user) {
     authLabel.textContent = `Logged in as ${state.user.username}`;
@@ -287,9 +626,12 @@ function updateAuthUi() {
     logoutBtn.style.display = 'inline-flex';
     if (sessionUser) sessionUser.style.display = 'flex';
     setAvatar(sessionAvatar, state.user.avatar, state.user.username || 'User');
-    commentText.disabled = false;
-    commentSubmit.disabled = false;
-    commentHint.textContent = `Commenting as ${state.user.username}`;
+    const suspended = state.ban?.mode === 'suspend';
+    commentText.disabled = suspended;
+    commentSubmit.disabled = suspended;
+    commentHint.textContent = suspended
+      ? `Your account is suspended from commenting${state.ban.expiresAt ? ` until ${new Date(state.ban.expiresAt).toLocaleString()}` : ''}.`
+      : `Commenting as ${state.user.username}`;
   } else {
     authLabel.textContent = 'Not logged in. Likes and comments require Discord.';
     loginBtn.style.display = 'inline-flex';
@@ -301,12 +643,19 @@ function updateAuthUi() {
   }
 }
 
-function updateFollowUi(following, followerCount) {
+function updateFollowUi(following, followerCount, discordDms = false) {
   state.following = following;
+  state.discordDms = following && discordDms;
   if (followBtn) {
     followBtn.classList.toggle('following', following);
     followBtn.textContent = following ? 'Following' : 'Follow';
   }
+  // Only followers can opt in to DMs about new posts
+  if (dmBtn) {
+    dmBtn.style.display = following ? '' : 'none';
+    dmBtn.classList.toggle('following', state.discordDms);
+    dmBtn.textContent = state.discordDms ? '🔔 Discord DMs' : '🔕 Discord DMs';
+  }
   if (followerCountEl && typeof followerCount === 'number') {
     followerCountEl.textContent = `${followerCount} follower${followerCount === 1 ? '' : 's'}`;
   }
@@ -319,8 +668,8 @@ async function loadUser() {
       if (res.status === 403) {
         const data = await res.json().catch(() => ({}));
         if (data.banned) {
-          alert('Your account has been banned and cannot access this platform.');
-          window.location.href = '/api/auth/logout';
+          // The home page explains the ban and takes appeals
+          window.location.href = '/';
           return;
         }
       }
@@ -328,6 +677,7 @@ async function loadUser() {
     }
     const data = await res.json();
     state.user = data.user;
+    state.ban = data.ban || null;
   } catch (_err) {
     state.user = null;
   }
@@ -382,10 +732,12 @@ async function init() {
     }, 500);
     
     titleEl.textContent = data.title || 'Untitled';
-    descriptionEl.textContent = data.description || 'No description provided yet.';
+    if (data.description) Mentions.render(descriptionEl, data.description, data.descriptionMentions);
+    else descriptionEl.textContent = 'No description provided yet.';
     const formatLabel = data.format === 'short' ? 'Short' : 'Long form';
     typePill.textContent = data.type === 'video' ? `Video • ${formatLabel}` : 'Image';
-    publishedAtEl.textContent = `Published on ${new Date(data.createdAt).toLocaleString()}`;
+    state.createdAt = data.createdAt;
+    renderPublishedLine(data.views ?? 0, data.createdAt);
     const uploaderName = data.uploaderName || 'Unknown uploader';
     uploaderTag.textContent = data.uploaderName ? `@${data.uploaderName.toLowerCase().replace(/\s+/g, '')}` : 'Uploader unknown';
     uploaderNameEl.innerHTML = '';
@@ -402,8 +754,8 @@ async function init() {
     state.uploaderName = data.uploaderName || null;
     setAvatar(uploaderAvatarEl, data.uploaderAvatar, uploaderName);
     
-    // Show delete button if user is owner or admin
-    if (state.user && (state.user.discordId === state.uploaderDiscordId || state.user.isAdmin)) {
+    // Show delete button if user is owner or may remove any post
+    if (state.user && (state.user.discordId === state.uploaderDiscordId || state.user.permissions?.includes('posts.delete_any'))) {
       deleteBtn.style.display = 'inline-flex';
     }
     
@@ -426,10 +778,11 @@ async function init() {
     likeCount.textContent = data.likes ?? 0;
     updateLikeButton(Boolean(data.liked));
     // watch later initial state (optional; not provided by API yet)
+    // Videos count a view when playback starts; images count on open
     try {
-      if (state.user) {
-        await recordView(id);
+      if (data.type !== 'video') {
         hasRecordedView = true;
+        await recordView(id);
       }
     } catch (_e) {}
     renderPreview(data);
@@ -439,7 +792,7 @@ async function init() {
     if (state.uploaderDiscordId) {
       try {
         const followData = await fetchFollowStatus(state.uploaderDiscordId);
-        updateFollowUi(followData.following, followData.followerCount);
+        updateFollowUi(followData.following, followData.followerCount, followData.discordDms);
       } catch (_err) {
         updateFollowUi(false, 0);
       }
@@ -447,6 +800,7 @@ async function init() {
 
     const initialComments = await fetchComments(id);
     renderComments(initialComments);
+    commentSortEl.addEventListener('change', () => refreshComments().catch(() => {}));
 
     likeBtn.addEventListener('click', async () => {
       if (!state.user) {
@@ -608,7 +962,7 @@ async function init() {
           username: uploaderName,
           avatar: data.uploaderAvatar
         });
-        updateFollowUi(result.following, result.followerCount);
+        updateFollowUi(result.following, result.followerCount, result.discordDms);
       } catch (err) {
         setStatus(err.message, 'error');
       } finally {
@@ -616,6 +970,21 @@ async function init() {
       }
     });
 
+    dmBtn.addEventListener('click', async () => {
+      if (!state.user || !state.following) return;
+      dmBtn.disabled = true;
+      try {
+        const result = await setDiscordDms(state.uploaderDiscordId, !state.discordDms);
+        updateFollowUi(true, undefined, result.discordDms);
+        setStatus(result.discordDms ? `The Discord bot will DM you when ${state.uploaderName || 'this creator'} publishes.` : 'Discord DMs turned off.', 'success');
+      } catch (err) {
+        setStatus(err.message, 'error');
+      } finally {
+        dmBtn.disabled = false;
+      }
+    });
+
+    Mentions.attachAutocomplete(commentText);
     commentForm.addEventListener('submit', async (e) => {
       e.preventDefault();
       if (!state.user) {
@@ -711,7 +1080,7 @@ async function loadRecommendedVideos(currentPostId) {
       
       const meta = document.createElement('div');
       meta.className = 'meta';
-      meta.textContent = `${post.likes || 0} likes`;
+      meta.textContent = `${post.views || 0} views • ${post.likes || 0} likes`;
       
       info.append(title, channel, meta);
       card.append(thumb, info);
@@ -0,0 +1,76 @@
+// Scrub previews: frames from a sprite sheet, indexed by a WebVTT file using #xywh fragments
+(function () {
+  const cueCache = new Map();
+
+  function parseTimestamp(value) {
+    return value.trim().split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  }
+
+  function parseVtt(text, baseUrl) {
+    const cues = [];
+    text.replace(/\r/g, '').split('\n\n').forEach((block) => {
+      const lines = block.trim().split('\n');
+      const timingIndex = lines.findIndex((line) => line.includes('-->'));
+      const target = lines[timingIndex + 1];
+      if (timingIndex === -1 || !target) return;
+      const [start, end] = lines[timingIndex].split('-->').map(parseTimestamp);
+      const [file, fragment] = target.trim().split('#xywh=');
+      if (!fragment) return;
+      const [x, y, w, h] = fragment.split(',').map(Number);
+      cues.push({ start, end, url: new URL(file, baseUrl).href, x, y, w, h });
+    });
+    return cues;
+  }
+
+  function load(vttUrl) {
+    if (!cueCache.has(vttUrl)) {
+      const absolute = new URL(vttUrl, window.location.href).href;
+      const pending = fetch(absolute)
+        .then((res) => (res.ok ? res.text() : ''))
+        .then((text) => parseVtt(text, absolute))
+        .catch(() => []);
+      cueCache.set(vttUrl, pending);
+    }
+    return cueCache.get(vttUrl);
+  }
+
+  function cueAtTime(cues, seconds) {
+    if (!cues.length) return null;
+    return cues.find((cue) => seconds >= cue.start && seconds < cue.end) || cues[cues.length - 1];
+  }
+
+  // Renders one tile into el, scaled so it is `width` pixels wide
+  function showCue(el, cue, width) {
+    const scale = width ? width / cue.w : 1;
+    el.style.width = `${cue.w}px`;
+    el.style.height = `${cue.h}px`;
+    el.style.backgroundImage = `url("${cue.url}")`;
+    el.style.backgroundPosition = `-${cue.x}px -${cue.y}px`;
+    el.style.transform = `scale(${scale})`;
+    el.style.display = 'block';
+  }
+
+  // Hovering across a feed card scrubs through the whole video
+  function attachCardScrub(container, vttUrl) {
+    const frame = document.createElement('div');
+    frame.className = 'scrub-preview';
+    container.appendChild(frame);
+    let cues = null;
+
+    container.addEventListener('mouseenter', async () => {
+      if (!cues) cues = await load(vttUrl);
+    });
+    container.addEventListener('mousemove', (e) => {
+      if (!cues || !cues.length) return;
+      const rect = container.getBoundingClientRect();
+      const fraction = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 0.999);
+      const cue = cueAtTime(cues, fraction * cues[cues.length - 1].end);
+      if (cue) showCue(frame, cue, rect.width);
+    });
+    container.addEventListener('mouseleave', () => {
+      frame.style.display = 'none';
+    });
+  }
+
+  window.ScrubPreview = { load, cueAtTime, showCue, attachCardScrub };
+})();
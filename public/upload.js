@@ -27,6 +27,7 @@ const thumbnailPreviewMedia = document.getElementById('thumbnail-preview-media')
 const thumbnailPreviewName = document.getElementById('thumbnail-preview-name');
 const thumbnailPreviewSize = document.getElementById('thumbnail-preview-size');
 const thumbnailPreviewRemove = document.getElementById('thumbnail-preview-remove');
+const progressEl = document.getElementById('upload-progress');
 
 homeBtn.addEventListener('click', () => window.location.href = '/');
 logoutBtn.addEventListener('click', async () => {
@@ -225,11 +226,129 @@ function setResult({ status, editLink, token, viewLink }) {
   resultEl.style.display = 'block';
   if (status === 'published') {
     resultEl.innerHTML = `Published! <a href="${viewLink}" target="_blank">View post</a>.`;
+  } else if (status === 'pending_review') {
+    resultEl.innerHTML = `Held for review. It will be published once a moderator approves it. <a href="${editLink}" target="_blank">Open edit page</a>.`;
   } else {
     resultEl.innerHTML = `Draft saved. <a href="${editLink}" target="_blank">Open edit page</a> (token auto-included).`;
   }
 }
 
+// Resumable uploads: the file goes up in chunks; an interrupted upload resumes from the
+// chunks the server already has when the same file is submitted again.
+const RESUME_KEY_PREFIX = 'bv-upload:';
+const CHUNK_RETRIES = 5;
+
+function resumeKey(file) {
+  return `${RESUME_KEY_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+}
+
+async function sha256Hex(data) {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest)).map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function setProgress(percent) {
+  progressEl.style.display = 'block';
+  progressEl.value = percent;
+}
+
+async function openUploadSession(file) {
+  const savedId = localStorage.getItem(resumeKey(file));
+  if (savedId) {
+    const res = await fetch(`/api/upload/sessions/${savedId}`);
+    if (res.ok) return res.json();
+    localStorage.removeItem(resumeKey(file));
+  }
+  const res = await fetch('/api/upload/sessions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ filename: file.name, size: file.size, mimeType: file.type })
+  });
+  if (!res.ok) {
+    throw new Error((await res.json().catch(() => ({}))).error || 'Could not start upload');
+  }
+  const session = await res.json();
+  localStorage.setItem(resumeKey(file), session.uploadId);
+  return session;
+}
+
+async function putChunk(uploadId, index, blob, digest) {
+  for (let attempt = 1; ; attempt += 1) {
+    let retryable = true;
+    try {
+      const res = await fetch(`/api/upload/sessions/${uploadId}/chunks/${index}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream', 'X-Chunk-Sha256': digest },
+        body: blob
+      });
+      if (res.ok) return;
+      // 400 covers size/checksum mismatches, which a flaky connection can cause
+      retryable = res.status >= 500 || res.status === 400;
+      const msg = (await res.json().catch(() => ({}))).error || `Chunk ${index + 1} failed`;
+      throw new Error(msg);
+    } catch (err) {
+      if (!retryable || attempt >= CHUNK_RETRIES) throw err;
+      await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+async function uploadResumable(file, fields) {
+  const session = await openUploadSession(file);
+  const received = new Set(session.receivedChunks);
+  if (received.size) setStatus(`Resuming upload (${received.size}/${session.totalChunks} parts already sent)…`);
+
+  const digests = [];
+  for (let index = 0; index < session.totalChunks; index += 1) {
+    const start = index * session.chunkSize;
+    const blob = file.slice(start, Math.min(start + session.chunkSize, file.size));
+    digests.push(await sha256Hex(await blob.arrayBuffer()));
+    if (!received.has(index)) {
+      await putChunk(session.uploadId, index, blob, digests[index]);
+    }
+    const percent = Math.round(((index + 1) / session.totalChunks) * 100);
+    setProgress(percent);
+    setStatus(`Uploading… ${percent}%`);
+  }
+
+  setStatus('Finishing upload…');
+  const formData = new FormData();
+  formData.append('checksum', await sha256Hex(new TextEncoder().encode(digests.join(''))));
+  Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+
+  const res = await fetch(`/api/upload/sessions/${session.uploadId}/complete`, {
+    method: 'POST',
+    body: formData
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    // A corrupted assembly cannot be resumed; start clean next time
+    if (res.status === 422 || res.status === 404) localStorage.removeItem(resumeKey(file));
+    throw new Error(data.error || 'Upload failed');
+  }
+  localStorage.removeItem(resumeKey(file));
+  return res.json();
+}
+
+// Chunk checksums need crypto.subtle, which browsers only offer over HTTPS and on localhost.
+// Elsewhere (plain HTTP on a LAN address) the file goes up in one multipart request instead.
+const canResume = Boolean(window.crypto?.subtle);
+
+async function uploadSingle(file, fields) {
+  const formData = new FormData();
+  formData.append('file', file);
+  Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+
+  const res = await fetch('/api/upload', {
+    method: 'POST',
+    body: formData
+  });
+  if (!res.ok) {
+    throw new Error((await res.json().catch(() => ({}))).error || 'Upload failed');
+  }
+  return res.json();
+}
+
 async function ensureSession() {
   try {
     const res = await fetch('/api/auth/me');
@@ -238,6 +357,11 @@ async function ensureSession() {
     if (!data.user) throw new Error();
     sessionPill.textContent = `Signed in as ${data.user.username}`;
     logoutBtn.style.display = 'inline-flex';
+    if (data.ban?.mode === 'suspend') {
+      const until = data.ban.expiresAt ? ` until ${new Date(data.ban.expiresAt).toLocaleString()}` : '';
+      setStatus(`Your account is suspended from uploading${until}.`, 'error');
+      uploadBtn.disabled = true;
+    }
   } catch (_err) {
     sessionPill.textContent = 'Sign in with Discord to upload';
     window.location.href = '/api/auth/login';
@@ -259,37 +383,32 @@ form.addEventListener('submit', async (e) => {
     return;
   }
 
-  const formData = new FormData();
-  formData.append('file', file);
-  formData.append('format', formatInput.value || 'long'); // 'short' or 'long'
-  formData.append('title', form.title.value);
-  formData.append('description', form.description.value);
-  formData.append('publish', publishCheckbox.checked ? 'true' : 'false');
+  const fields = {
+    format: formatInput.value || 'long', // 'short' or 'long'
+    title: form.title.value,
+    description: form.description.value,
+    publish: publishCheckbox.checked ? 'true' : 'false'
+  };
   
   // Add thumbnail if selected
   const thumbnail = thumbnailInput.files?.[0];
   if (thumbnail) {
-    formData.append('thumbnail', thumbnail);
+    fields.thumbnail = thumbnail;
   }
 
   uploadBtn.disabled = true;
   setStatus('Uploading…');
+  if (canResume) setProgress(0);
   resultEl.style.display = 'none';
 
   try {
-    const res = await fetch('/api/upload', {
-      method: 'POST',
-      body: formData
-    });
-    if (!res.ok) {
-      const msg = (await res.json().catch(() => ({}))).error || 'Upload failed';
-      throw new Error(msg);
-    }
-    const data = await res.json();
+    const data = await (canResume ? uploadResumable(file, fields) : uploadSingle(file, fields));
     const editLink = `/edit/${data.id}?token=${data.editToken}`;
     const viewLink = `/post/${data.id}`;
     if (data.status === 'published') {
       setStatus('Uploaded and published!', 'success');
+    } else if (data.status === 'pending_review') {
+      setStatus('Uploaded. Your post is waiting for a quick review before it goes live.', 'success');
     } else {
       setStatus('Upload saved as draft. Edit and publish next.', 'success');
     }
@@ -298,9 +417,10 @@ form.addEventListener('submit', async (e) => {
     removeFile();
     removeThumbnail();
   } catch (err) {
-    setStatus(err.message, 'error');
+    setStatus(canResume ? `${err.message}. Submit the same file again to resume.` : err.message, 'error');
   } finally {
     uploadBtn.disabled = false;
+    progressEl.style.display = 'none';
   }
 });
 
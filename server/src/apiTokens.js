@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+
+// API tokens for scripts and the Discord bot, sent as `Authorization: Bearer <token>`.
+// Personal tokens act as the user who created them; service tokens are created by users holding
+// tokens.service and may also act for other users. A token only works on routes that accept
+// one of its scopes, and only its SHA-256 hash is stored.
+
+export const TOKEN_KINDS = ['personal', 'service'];
+
+export const TOKEN_SCOPES = {
+  upload: 'Upload posts as the token owner',
+  posts: 'List, publish, edit and delete the token owner\'s posts',
+  'upload:on_behalf_of': 'Upload posts for another user, named by their Discord id',
+  'posts:on_behalf_of': 'Manage the posts of another user with a linked Discord account',
+  'events:read': 'Read site events such as newly published posts, for Discord announcements'
+};
+
+export const SERVICE_ONLY_SCOPES = ['upload:on_behalf_of', 'posts:on_behalf_of', 'events:read'];
+
+const TOKEN_PREFIXES = { personal: 'bvp_', service: 'bvs_' };
+// Shown in token lists so people can tell their tokens apart
+const DISPLAY_PREFIX_LENGTH = 10;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Checks the kind and scopes of a new token; returns an error message or null
+export function validateTokenRequest({ kind, scopes }) {
+  if (!TOKEN_KINDS.includes(kind)) return `kind must be one of ${TOKEN_KINDS.join(', ')}`;
+  if (!Array.isArray(scopes) || !scopes.length) return 'Choose at least one scope';
+  const unknown = scopes.filter((scope) => !TOKEN_SCOPES[scope]);
+  if (unknown.length) return `Unknown scope: ${unknown.join(', ')}`;
+  const serviceOnly = scopes.filter((scope) => SERVICE_ONLY_SCOPES.includes(scope));
+  if (serviceOnly.length && kind !== 'service') return `Only service tokens can hold ${serviceOnly.join(', ')}`;
+  return null;
+}
+
+export function createApiTokens(config) {
+  const { db } = config;
+
+  return {
+    // Returns the new token; its value is only ever available here
+    async create({ userId, name, kind, scopes, expiresAt = null }) {
+      const token = `${TOKEN_PREFIXES[kind]}${crypto.randomBytes(32).toString('base64url')}`;
+      const record = await db.createApiToken({
+        userId,
+        name,
+        kind,
+        scopes,
+        tokenHash: hashToken(token),
+        prefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+        expiresAt
+      });
+      return { token, record };
+    },
+
+    // The stored token for a bearer value, or null when it is unknown, revoked or expired
+    async authenticate(value) {
+      const record = await db.getApiTokenByHash(hashToken(String(value)));
+      if (!record || record.revokedAt) return null;
+      if (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now()) return null;
+      await db.touchApiToken(record.id);
+      return record;
+    }
+  };
+}
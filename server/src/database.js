@@ -1,11 +1,51 @@
 import pg from 'pg';
 import Database from 'better-sqlite3';
+import { parseSearchTerms, closestTerms, likePrefix } from './search.js';
+import { BUILT_IN_ROLES } from './permissions.js';
 
 const { Pool } = pg;
 
+// Recomputes each built-in role's flag on the users row from user_roles
+const roleFlagsSql = BUILT_IN_ROLES
+  .map((role) => `${role.flag} = EXISTS (SELECT 1 FROM user_roles ur JOIN roles r ON r.id = ur.roleId WHERE ur.userId = users.id AND r.name = '${role.name}')`)
+  .join(', ');
+
+// Columns pointing at a user, moved to the kept account when two accounts are merged.
+// The moderation log is left alone so it still shows who did what at the time.
+const USER_REFERENCES = [
+  ['comments', 'userId'],
+  ['notifications', 'userId'],
+  ['reports', 'reporterId'],
+  ['reports', 'targetUserId'],
+  ['reports', 'assigneeId'],
+  ['bans', 'userId'],
+  ['bans', 'createdBy'],
+  ['appeals', 'userId'],
+  ['appeals', 'reviewedBy'],
+  ['strikes', 'userId'],
+  ['strikes', 'createdBy'],
+  ['screening_hashes', 'createdBy'],
+  ['posts', 'removedBy'],
+  ['user_roles', 'assignedBy'],
+  ['identities', 'userId'],
+  ['api_tokens', 'userId']
+];
+
+// Tables with one row per user and key: rows only move where the kept account has none
+const UNIQUE_USER_REFERENCES = [
+  ['likes', 'userId', 'postId'],
+  ['history', 'userId', 'postId'],
+  ['watchlist', 'userId', 'postId'],
+  ['comment_likes', 'userId', 'commentId'],
+  ['follows', 'followerId', 'followingDiscordId'],
+  ['user_roles', 'userId', 'roleId']
+];
+
 export function createDatabase(config) {
   if (config.type === 'postgres') {
     const pool = new Pool({ connectionString: config.url, ssl: config.ssl ? { rejectUnauthorized: false } : false });
+    // Typo-tolerant search needs pg_trgm, which some hosts don't allow installing
+    let hasTrigram = false;
 
     const postWithLikes = `
       SELECT 
@@ -16,6 +56,14 @@ export function createDatabase(config) {
         p.createdat AS "createdAt", 
         p.format,
         p.thumbnail,
+        p.processingstatus AS "processingStatus",
+        p.hlsurl AS "hlsUrl",
+        p.previewsprite AS "previewSprite",
+        p.previewvtt AS "previewVtt",
+        p.views,
+        p.filesha256 AS "fileSha256",
+        p.filephash AS "filePhash",
+        p.screeningapprovedat AS "screeningApprovedAt",
         COALESCE(lc.count, 0) AS likes, 
         u.avatar AS "uploaderAvatar",
         COALESCE(u.isverified, false) AS "uploaderVerified"
@@ -27,6 +75,65 @@ export function createDatabase(config) {
       WHERE p.id = $1
     `;
 
+    const banColumns = `
+      id, userid AS "userId", mode, reason, expiresat AS "expiresAt", createdat AS "createdAt", liftedat AS "liftedAt"
+    `;
+    const strikeSelect = `
+      SELECT s.id, s.severity, s.reason, s.source, s.targetid AS "targetId", s.expiresat AS "expiresAt",
+             s.createdat AS "createdAt", s.revokedat AS "revokedAt", u.discordid AS "userDiscordId",
+             creator.username AS "createdByName"
+      FROM strikes s
+      JOIN users u ON u.id = s.userid
+      LEFT JOIN users creator ON creator.id = s.createdby
+    `;
+    const sessionColumns = `
+      id, userid AS "userId", refreshhash AS "refreshHash", previousrefreshhash AS "previousRefreshHash",
+      rotatedat AS "rotatedAt", useragent AS "userAgent", ip, createdat AS "createdAt", lastseenat AS "lastSeenAt",
+      expiresat AS "expiresAt", revokedat AS "revokedAt", revokedreason AS "revokedReason"
+    `;
+    const apiTokenColumns = `
+      id, userid AS "userId", name, kind, scopes, prefix, createdat AS "createdAt", lastusedat AS "lastUsedAt",
+      expiresat AS "expiresAt", revokedat AS "revokedAt"
+    `;
+    const identityColumns = `
+      provider, subject, userid AS "userId", displayname AS "displayName", createdat AS "createdAt", lastusedat AS "lastUsedAt"
+    `;
+    const roleSelect = `
+      SELECT r.id, r.name, r.description, r.permissions, r.builtin AS "builtIn", r.createdat AS "createdAt",
+             COUNT(ur.userId)::INT AS "memberCount"
+      FROM roles r
+      LEFT JOIN user_roles ur ON ur.roleId = r.id
+    `;
+    const appealSelect = `
+      SELECT a.id, a.id AS "cursorId", a.banid AS "banId", a.message, a.status, a.response,
+             a.createdat AS "createdAt", a.reviewedat AS "reviewedAt",
+             u.discordid AS "userDiscordId", u.username AS "userName",
+             b.mode AS "banMode", b.reason AS "banReason", b.expiresat AS "banExpiresAt", b.liftedat AS "banLiftedAt",
+             reviewer.username AS "reviewerName"
+      FROM appeals a
+      JOIN users u ON u.id = a.userid
+      JOIN bans b ON b.id = a.banid
+      LEFT JOIN users reviewer ON reviewer.id = a.reviewedby
+    `;
+
+    // Reports joined with the people and content they point at, for the admin queue
+    const reportSelect = `
+      SELECT r.id, r.id AS "cursorId", r.type, r.reason, r.details, r.status,
+             r.resolutionnotes AS "resolutionNotes", r.createdat AS "createdAt",
+             r.updatedat AS "updatedAt", r.resolvedat AS "resolvedAt",
+             r.targetpostid AS "targetPostId", r.targetcommentid AS "targetCommentId",
+             reporter.discordid AS "reporterDiscordId", reporter.username AS "reporterName",
+             target.discordid AS "targetUserDiscordId", target.username AS "targetUserName",
+             assignee.discordid AS "assigneeDiscordId", assignee.username AS "assigneeName",
+             p.title AS "targetPostTitle", c.text AS "targetCommentText"
+      FROM reports r
+      LEFT JOIN users reporter ON reporter.id = r.reporterid
+      LEFT JOIN users target ON target.id = r.targetuserid
+      LEFT JOIN users assignee ON assignee.id = r.assigneeid
+      LEFT JOIN posts p ON p.id = r.targetpostid
+      LEFT JOIN comments c ON c.id = r.targetcommentid
+    `;
+
     return {
       async init() {
         await pool.query(`
@@ -47,6 +154,7 @@ export function createDatabase(config) {
         await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS isVerified BOOLEAN DEFAULT FALSE`);
         await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS isStaff BOOLEAN DEFAULT FALSE`);
         await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS isOwner BOOLEAN DEFAULT FALSE`);
+        await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS isSuspended BOOLEAN DEFAULT FALSE`);
         await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS bio TEXT DEFAULT ''`);
         await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS banner TEXT DEFAULT ''`);
         await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS profileColor TEXT DEFAULT '#3ea6ff'`);
@@ -124,12 +232,292 @@ export function createDatabase(config) {
         `);
         await pool.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS uploaderName TEXT DEFAULT ''`);
         await pool.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS format TEXT DEFAULT 'long'`);
+        await pool.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS processingStatus TEXT DEFAULT 'none'`);
+        await pool.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS hlsUrl TEXT DEFAULT ''`);
+        await pool.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS processingError TEXT DEFAULT ''`);
+        await pool.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS previewSprite TEXT DEFAULT ''`);
+        await pool.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS previewVtt TEXT DEFAULT ''`);
+        await pool.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS views INTEGER NOT NULL DEFAULT 0`);
+        // Removed posts keep status 'removed' (hidden everywhere) until restored or purged
+        await pool.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS removedAt TIMESTAMPTZ`);
+        await pool.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS removedBy INTEGER REFERENCES users(id) ON DELETE SET NULL`);
+        await pool.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS removalReason TEXT DEFAULT ''`);
+        await pool.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS removedFromStatus TEXT`);
+        // Pre-publish screening: fingerprints taken at upload, and why a post sits in 'pending_review'
+        await pool.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS fileSha256 TEXT`);
+        await pool.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS filePhash TEXT`);
+        await pool.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS screeningReasons JSONB`);
+        await pool.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS heldAt TIMESTAMPTZ`);
+        await pool.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS screeningApprovedAt TIMESTAMPTZ`);
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS screening_hashes (
+            id SERIAL PRIMARY KEY,
+            kind TEXT NOT NULL,
+            hash TEXT NOT NULL,
+            note TEXT NOT NULL DEFAULT '',
+            createdBy INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            createdAt TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            UNIQUE(kind, hash)
+          );
+        `);
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS post_views (
+            id SERIAL PRIMARY KEY,
+            postId INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+            viewerKey TEXT NOT NULL,
+            viewedAt TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            UNIQUE(postId, viewerKey)
+          );
+        `);
         await pool.query(`ALTER TABLE comments ADD COLUMN IF NOT EXISTS userId INTEGER REFERENCES users(id)`);
+        await pool.query('ALTER TABLE comments ADD COLUMN IF NOT EXISTS parentId INTEGER REFERENCES comments(id) ON DELETE CASCADE');
+        await pool.query('ALTER TABLE comments ADD COLUMN IF NOT EXISTS editedAt TIMESTAMPTZ');
+        await pool.query('ALTER TABLE comments ADD COLUMN IF NOT EXISTS deletedAt TIMESTAMPTZ');
+        await pool.query('ALTER TABLE comments ADD COLUMN IF NOT EXISTS pinnedAt TIMESTAMPTZ');
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS comment_likes (
+            id SERIAL PRIMARY KEY,
+            commentId INTEGER NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+            userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            createdAt TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            UNIQUE(commentId, userId)
+          );
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_comment_likes_commentId ON comment_likes(commentId)');
         await pool.query('CREATE INDEX IF NOT EXISTS idx_comments_postId ON comments(postId)');
         await pool.query('CREATE INDEX IF NOT EXISTS idx_likes_postId ON likes(postId)');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_likes_user ON likes(userId, createdAt DESC)');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_posts_feed ON posts(status, id DESC)');
         await pool.query('CREATE INDEX IF NOT EXISTS idx_history_user ON history(userId, viewedAt DESC)');
         await pool.query('CREATE INDEX IF NOT EXISTS idx_watchlist_user ON watchlist(userId, addedAt DESC)');
         await pool.query('CREATE INDEX IF NOT EXISTS idx_follows_target ON follows(followingDiscordId)');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_post_views_viewedAt ON post_views(viewedAt)');
+        // Targets are kept as nullable links so a report outlives the content it points at
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS reports (
+            id SERIAL PRIMARY KEY,
+            type TEXT NOT NULL,
+            reporterId INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            targetUserId INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            targetPostId INTEGER REFERENCES posts(id) ON DELETE SET NULL,
+            targetCommentId INTEGER REFERENCES comments(id) ON DELETE SET NULL,
+            reason TEXT NOT NULL,
+            details TEXT NOT NULL DEFAULT '',
+            status TEXT NOT NULL DEFAULT 'open',
+            assigneeId INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            resolutionNotes TEXT NOT NULL DEFAULT '',
+            createdAt TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updatedAt TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            resolvedAt TIMESTAMPTZ
+          );
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, id DESC)');
+        // Actor and target are snapshots rather than foreign keys, so rows never change after insert
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS moderation_actions (
+            id SERIAL PRIMARY KEY,
+            actorId INTEGER,
+            actorDiscordId TEXT,
+            actorName TEXT NOT NULL DEFAULT '',
+            action TEXT NOT NULL,
+            targetType TEXT NOT NULL,
+            targetId TEXT NOT NULL,
+            targetLabel TEXT NOT NULL DEFAULT '',
+            reason TEXT NOT NULL DEFAULT '',
+            beforeState JSONB,
+            afterState JSONB,
+            createdAt TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          );
+        `);
+        await pool.query(`
+          CREATE OR REPLACE FUNCTION moderation_actions_append_only() RETURNS trigger AS $$
+          BEGIN
+            RAISE EXCEPTION 'moderation_actions is append-only';
+          END;
+          $$ LANGUAGE plpgsql
+        `);
+        await pool.query('DROP TRIGGER IF EXISTS moderation_actions_append_only ON moderation_actions');
+        await pool.query(`
+          CREATE TRIGGER moderation_actions_append_only
+          BEFORE UPDATE OR DELETE ON moderation_actions
+          FOR EACH ROW EXECUTE FUNCTION moderation_actions_append_only()
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_moderation_actions_actor ON moderation_actions(actorDiscordId, id DESC)');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_moderation_actions_target ON moderation_actions(targetType, targetId, id DESC)');
+        // mode is 'ban' (no access) or 'suspend' (can watch, can't post); expiresAt NULL means permanent
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS bans (
+            id SERIAL PRIMARY KEY,
+            userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            mode TEXT NOT NULL DEFAULT 'ban',
+            reason TEXT NOT NULL DEFAULT '',
+            expiresAt TIMESTAMPTZ,
+            createdBy INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            createdAt TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            liftedAt TIMESTAMPTZ
+          );
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_bans_user ON bans(userId, id DESC)');
+        // Accounts banned before bans were tracked get a permanent row so they can appeal
+        await pool.query(`
+          INSERT INTO bans (userId, mode)
+          SELECT u.id, 'ban' FROM users u
+          WHERE u.isBanned = true AND NOT EXISTS (SELECT 1 FROM bans b WHERE b.userId = u.id AND b.liftedAt IS NULL)
+        `);
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS appeals (
+            id SERIAL PRIMARY KEY,
+            banId INTEGER NOT NULL UNIQUE REFERENCES bans(id) ON DELETE CASCADE,
+            userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            message TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            response TEXT NOT NULL DEFAULT '',
+            reviewedBy INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            createdAt TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            reviewedAt TIMESTAMPTZ
+          );
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_appeals_status ON appeals(status, id DESC)');
+        // Strikes count towards automatic escalation until they expire or are revoked
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS strikes (
+            id SERIAL PRIMARY KEY,
+            userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            severity INTEGER NOT NULL DEFAULT 1,
+            reason TEXT NOT NULL DEFAULT '',
+            source TEXT NOT NULL DEFAULT 'warning',
+            targetId TEXT,
+            expiresAt TIMESTAMPTZ,
+            createdBy INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            createdAt TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            revokedAt TIMESTAMPTZ
+          );
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_strikes_user ON strikes(userId, id DESC)');
+        // Roles bundle admin permissions; the built-in ones mirror the isOwner/isAdmin/isStaff flags
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS roles (
+            id SERIAL PRIMARY KEY,
+            name TEXT NOT NULL UNIQUE,
+            description TEXT NOT NULL DEFAULT '',
+            permissions JSONB NOT NULL DEFAULT '[]',
+            builtIn BOOLEAN NOT NULL DEFAULT FALSE,
+            createdAt TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          );
+        `);
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS user_roles (
+            userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            roleId INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+            assignedBy INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            createdAt TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (userId, roleId)
+          );
+        `);
+        for (const role of BUILT_IN_ROLES) {
+          // Update first so restarts don't burn sequence values on the conflicting insert
+          const updated = await pool.query(
+            'UPDATE roles SET description = $2, permissions = $3, builtIn = TRUE WHERE name = $1',
+            [role.name, role.description, JSON.stringify(role.permissions)]
+          );
+          if (!updated.rowCount) {
+            await pool.query(
+              'INSERT INTO roles (name, description, permissions, builtIn) VALUES ($1, $2, $3, TRUE) ON CONFLICT (name) DO NOTHING',
+              [role.name, role.description, JSON.stringify(role.permissions)]
+            );
+          }
+          // Users flagged before roles existed get the matching role
+          await pool.query(
+            `INSERT INTO user_roles (userId, roleId)
+             SELECT u.id, r.id FROM users u JOIN roles r ON r.name = $1
+             WHERE COALESCE(u.${role.flag}, FALSE)
+             ON CONFLICT DO NOTHING`,
+            [role.name]
+          );
+        }
+        // Sign-in sessions; refresh tokens are stored hashed
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS sessions (
+            id TEXT PRIMARY KEY,
+            userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            refreshHash TEXT NOT NULL,
+            previousRefreshHash TEXT,
+            rotatedAt TIMESTAMPTZ,
+            userAgent TEXT NOT NULL DEFAULT '',
+            ip TEXT NOT NULL DEFAULT '',
+            createdAt TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            lastSeenAt TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            expiresAt TIMESTAMPTZ NOT NULL,
+            revokedAt TIMESTAMPTZ,
+            revokedReason TEXT
+          );
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(userId, lastSeenAt DESC)');
+        // Sign-in identities; accounts from before this table get the one their discordId names
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS identities (
+            provider TEXT NOT NULL,
+            subject TEXT NOT NULL,
+            userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            displayName TEXT NOT NULL DEFAULT '',
+            createdAt TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            lastUsedAt TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (provider, subject)
+          );
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_identities_user ON identities(userId)');
+        // API tokens; only a hash of each token is stored
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS api_tokens (
+            id SERIAL PRIMARY KEY,
+            userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            name TEXT NOT NULL,
+            kind TEXT NOT NULL DEFAULT 'personal',
+            scopes JSONB NOT NULL DEFAULT '[]',
+            tokenHash TEXT NOT NULL UNIQUE,
+            prefix TEXT NOT NULL,
+            createdAt TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            lastUsedAt TIMESTAMPTZ,
+            expiresAt TIMESTAMPTZ,
+            revokedAt TIMESTAMPTZ
+          );
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(userId)');
+        // Outbox of site events for the Discord bot; a post is announced once, however often it is republished
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS post_events (
+            id SERIAL PRIMARY KEY,
+            type TEXT NOT NULL,
+            postId INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+            createdAt TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            UNIQUE(type, postId)
+          );
+        `);
+        await pool.query('ALTER TABLE follows ADD COLUMN IF NOT EXISTS discordDms BOOLEAN NOT NULL DEFAULT FALSE');
+        await pool.query(`
+          INSERT INTO identities (provider, subject, userId, displayName)
+          SELECT CASE WHEN discordId LIKE 'g-%' THEN 'google' ELSE 'discord' END,
+                 CASE WHEN discordId LIKE 'g-%' THEN SUBSTRING(discordId FROM 3) ELSE discordId END,
+                 id, username
+          FROM users
+          WHERE NOT EXISTS (SELECT 1 FROM identities i WHERE i.userId = users.id)
+          ON CONFLICT DO NOTHING
+        `);
+        await pool.query(`
+          ALTER TABLE posts ADD COLUMN IF NOT EXISTS searchVector tsvector GENERATED ALWAYS AS (
+            setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+            setweight(to_tsvector('simple', COALESCE(uploaderName, '')), 'B') ||
+            setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+          ) STORED
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_posts_search ON posts USING GIN(searchVector)');
+        try {
+          await pool.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+          await pool.query('CREATE INDEX IF NOT EXISTS idx_posts_title_trgm ON posts USING GIN(title gin_trgm_ops)');
+          hasTrigram = true;
+        } catch (err) {
+          console.warn('pg_trgm unavailable, search will not tolerate typos:', err.message);
+        }
       },
 
       async upsertUser({ discordId, username, avatar }) {
@@ -145,7 +533,8 @@ export function createDatabase(config) {
 
       async getUserById(id) {
         const res = await pool.query(
-          `SELECT id, discordId AS "discordId", username, avatar
+          `SELECT id, discordId AS "discordId", username, avatar, isAdmin AS "isAdmin", isBanned AS "isBanned",
+                  COALESCE(isOwner, false) AS "isOwner", COALESCE(isSuspended, false) AS "isSuspended"
            FROM users
            WHERE id = $1
            LIMIT 1`,
@@ -167,8 +556,9 @@ export function createDatabase(config) {
 
       async insertPost(data) {
         const res = await pool.query(
-          `INSERT INTO posts (filename, type, title, description, uploaderDiscordId, uploaderName, status, editToken, createdAt, thumbnail)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          `INSERT INTO posts (filename, type, title, description, uploaderDiscordId, uploaderName, status, editToken, createdAt, thumbnail, format,
+                              fileSha256, filePhash, screeningReasons, heldAt)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, CASE WHEN $7 = 'pending_review' THEN NOW() END)
            RETURNING id`,
           [
             data.filename,
@@ -180,7 +570,11 @@ export function createDatabase(config) {
             data.status,
             data.editToken,
             data.createdAt,
-            data.thumbnail || ''
+            data.thumbnail || '',
+            data.format || 'long',
+            data.fileSha256 || null,
+            data.filePhash || null,
+            data.screeningReasons ? JSON.stringify(data.screeningReasons) : null
           ]
         );
         return { lastInsertRowid: res.rows[0].id };
@@ -191,11 +585,11 @@ export function createDatabase(config) {
         return res.rows[0];
       },
 
-      async listPublished() {
+      async listPublished({ format = null, cursor = null, limit = 50 } = {}) {
         const res = await pool.query(`
-          SELECT p.id, p.filename, p.type, p.title, p.description, p.format, p.thumbnail,
+          SELECT p.id, p.filename, p.type, p.title, p.description, p.format, p.thumbnail, p.previewvtt AS "previewVtt", p.views,
                  p.uploaderdiscordid AS "uploaderDiscordId", p.uploadername AS "uploaderName",
-                 p.createdat AS "createdAt", p.status,
+                 p.createdat AS "createdAt", p.status, p.id AS "cursorId",
                  COALESCE(lc.count, 0) AS likes, u.avatar AS "uploaderAvatar", COALESCE(u.isverified, false) AS "uploaderVerified"
           FROM posts p
           LEFT JOIN (
@@ -203,53 +597,125 @@ export function createDatabase(config) {
           ) lc ON lc.postId = p.id
           LEFT JOIN users u ON u.discordid = p.uploaderdiscordid
           WHERE p.status = 'published'
+            AND ($1::text IS NULL OR p.format = $1)
+            AND ($2::int IS NULL OR p.id < $2)
           ORDER BY p.id DESC
-        `);
+          LIMIT $3
+        `, [format, cursor?.id ?? null, limit]);
         return res.rows;
       },
 
-      async searchPosts(query) {
-        const searchTerm = `%${query}%`;
+      // Every term must match as a prefix; with pg_trgm a close title match also counts
+      async searchPosts(query, { format = null, type = null, uploader = null, from = null, to = null, limit = 50 } = {}) {
+        const terms = parseSearchTerms(query);
+        if (!terms.length) return [];
+        const params = [terms.map((term) => `${term}:*`).join(' & '), format, type, uploader, from, to, limit];
+        if (hasTrigram) params.push(terms.join(' '));
+        const fuzzyMatch = hasTrigram ? 'OR $8 <% p.title' : '';
+        const fuzzyRank = hasTrigram ? 'word_similarity($8, p.title)' : '0';
         const res = await pool.query(`
-          SELECT p.id, p.filename, p.type, p.title, p.description, p.format, p.thumbnail,
+          SELECT p.id, p.filename, p.type, p.title, p.description, p.format, p.thumbnail, p.previewvtt AS "previewVtt", p.views,
                  p.uploaderdiscordid AS "uploaderDiscordId", p.uploadername AS "uploaderName",
                  p.createdat AS "createdAt", p.status,
-                 COALESCE(lc.count, 0) AS likes, u.avatar AS "uploaderAvatar", COALESCE(u.isverified, false) AS "uploaderVerified"
+                 COALESCE(lc.count, 0) AS likes, u.avatar AS "uploaderAvatar", COALESCE(u.isverified, false) AS "uploaderVerified",
+                 ts_rank(p.searchVector, q) + ${fuzzyRank} AS rank
           FROM posts p
+          CROSS JOIN to_tsquery('english', $1) q
           LEFT JOIN (
             SELECT postId, COUNT(*) AS count FROM likes GROUP BY postId
           ) lc ON lc.postId = p.id
           LEFT JOIN users u ON u.discordid = p.uploaderdiscordid
-          WHERE p.status = 'published' AND (LOWER(p.title) LIKE LOWER($1) OR LOWER(p.description) LIKE LOWER($1) OR LOWER(p.uploadername) LIKE LOWER($1))
-          ORDER BY p.id DESC
-          LIMIT 50
-        `, [searchTerm]);
+          WHERE p.status = 'published'
+            AND (p.searchVector @@ q ${fuzzyMatch})
+            AND ($2::text IS NULL OR p.format = $2)
+            AND ($3::text IS NULL OR p.type = $3)
+            AND ($4::text IS NULL OR p.uploaderdiscordid = $4)
+            AND ($5::timestamptz IS NULL OR p.createdAt >= $5::timestamptz)
+            AND ($6::timestamptz IS NULL OR p.createdAt <= $6::timestamptz)
+          ORDER BY rank DESC, p.id DESC
+          LIMIT $7
+        `, params);
+        return res.rows;
+      },
+
+      // Autocomplete: post titles matching every typed prefix, plus matching usernames
+      async suggestSearch(query, limit = 8) {
+        const terms = parseSearchTerms(query);
+        if (!terms.length) return { posts: [], users: [] };
+        const tsQuery = terms.map((term) => `${term}:*`).join(' & ');
+        const postsRes = await pool.query(`
+          SELECT id, title
+          FROM posts
+          WHERE status = 'published' AND COALESCE(title, '') <> ''
+            AND to_tsvector('english', title) @@ to_tsquery('english', $1)
+          ORDER BY views DESC, id DESC
+          LIMIT $2
+        `, [tsQuery, limit]);
+        const usersRes = await pool.query(`
+          SELECT discordId AS "discordId", username, avatar
+          FROM users
+          WHERE isBanned = false AND LOWER(username) LIKE $1 ESCAPE '\\'
+          ORDER BY username
+          LIMIT 3
+        `, [likePrefix(query)]);
+        return { posts: postsRes.rows, users: usersRes.rows };
+      },
+
+      // Mention targets by lowercased username, oldest account first
+      async findUsersByUsernames(names) {
+        if (!names.length) return [];
+        const res = await pool.query(
+          `SELECT id, discordId AS "discordId", username
+           FROM users
+           WHERE isBanned = false AND LOWER(username) = ANY($1)
+           ORDER BY id`,
+          [names]
+        );
+        return res.rows;
+      },
+
+      // @username autocomplete
+      async lookupUsers(query, limit = 8) {
+        const res = await pool.query(
+          `SELECT discordId AS "discordId", username, avatar, isVerified AS "isVerified"
+           FROM users
+           WHERE isBanned = false AND LOWER(username) LIKE $1 ESCAPE '\\'
+           ORDER BY LENGTH(username), username
+           LIMIT $2`,
+          [likePrefix(query), limit]
+        );
         return res.rows;
       },
 
-      async listTrending() {
+      // Candidates for trending (newest first); scoring happens in trending.js
+      async listTrending({ since = null, limit = 1000 } = {}) {
         const res = await pool.query(`
-          SELECT p.id, p.filename, p.type, p.title, p.description, p.format, p.thumbnail,
+          SELECT p.id, p.filename, p.type, p.title, p.description, p.format, p.thumbnail, p.previewvtt AS "previewVtt", p.views,
                  p.uploaderdiscordid AS "uploaderDiscordId", p.uploadername AS "uploaderName",
                  p.createdat AS "createdAt", p.status,
-                 COALESCE(lc.count, 0) AS likes, u.avatar AS "uploaderAvatar", COALESCE(u.isverified, false) AS "uploaderVerified"
+                 COALESCE(lc.count, 0)::INT AS likes, COALESCE(cc.count, 0)::INT AS comments,
+                 u.avatar AS "uploaderAvatar", COALESCE(u.isverified, false) AS "uploaderVerified"
           FROM posts p
           LEFT JOIN (
             SELECT postId, COUNT(*) AS count FROM likes GROUP BY postId
           ) lc ON lc.postId = p.id
+          LEFT JOIN (
+            SELECT postId, COUNT(*) AS count FROM comments WHERE deletedAt IS NULL GROUP BY postId
+          ) cc ON cc.postId = p.id
           LEFT JOIN users u ON u.discordid = p.uploaderdiscordid
           WHERE p.status = 'published'
-          ORDER BY lc.count DESC NULLS LAST, p.createdAt DESC
-          LIMIT 100
-        `);
+            AND ($1::timestamptz IS NULL OR p.createdAt >= $1::timestamptz)
+          ORDER BY p.createdAt DESC
+          LIMIT $2
+        `, [since, limit]);
         return res.rows;
       },
 
-      async listLiked(userId) {
+      async listLiked(userId, { cursor = null, limit = 50 } = {}) {
         const res = await pool.query(`
-          SELECT p.id, p.filename, p.type, p.title, p.description, p.format, p.thumbnail,
+          SELECT p.id, p.filename, p.type, p.title, p.description, p.format, p.thumbnail, p.previewvtt AS "previewVtt", p.views,
                  p.uploaderdiscordid AS "uploaderDiscordId", p.uploadername AS "uploaderName",
-                 p.createdat AS "createdAt", p.status,
+                 p.createdat AS "createdAt", p.status, l.createdAt::text AS "cursorAt", l.id AS "cursorId",
                  COALESCE(lc.count, 0) AS likes, u.avatar AS "uploaderAvatar", COALESCE(u.isverified, false) AS "uploaderVerified"
           FROM likes l
           JOIN posts p ON p.id = l.postId
@@ -258,16 +724,18 @@ export function createDatabase(config) {
           ) lc ON lc.postId = p.id
           LEFT JOIN users u ON u.discordid = p.uploaderdiscordid
           WHERE l.userId = $1 AND p.status = 'published'
-          ORDER BY l.createdAt DESC
-        `, [userId]);
+            AND ($2::timestamptz IS NULL OR (l.createdAt, l.id) < ($2::timestamptz, $3::int))
+          ORDER BY l.createdAt DESC, l.id DESC
+          LIMIT $4
+        `, [userId, cursor?.at ?? null, cursor?.id ?? null, limit]);
         return res.rows;
       },
 
-      async listHistory(userId) {
+      async listHistory(userId, { cursor = null, limit = 50 } = {}) {
         const res = await pool.query(`
-          SELECT p.id, p.filename, p.type, p.title, p.description, p.format, p.thumbnail,
+          SELECT p.id, p.filename, p.type, p.title, p.description, p.format, p.thumbnail, p.previewvtt AS "previewVtt", p.views,
                  p.uploaderdiscordid AS "uploaderDiscordId", p.uploadername AS "uploaderName",
-                 p.createdat AS "createdAt", p.status, h.viewedAt AS "viewedAt",
+                 p.createdat AS "createdAt", p.status, h.viewedAt AS "viewedAt", h.viewedAt::text AS "cursorAt", h.id AS "cursorId",
                  COALESCE(lc.count, 0) AS likes, u.avatar AS "uploaderAvatar", COALESCE(u.isverified, false) AS "uploaderVerified"
           FROM history h
           JOIN posts p ON p.id = h.postId
@@ -276,16 +744,18 @@ export function createDatabase(config) {
           ) lc ON lc.postId = p.id
           LEFT JOIN users u ON u.discordid = p.uploaderdiscordid
           WHERE h.userId = $1 AND p.status = 'published'
-          ORDER BY h.viewedAt DESC
-        `, [userId]);
+            AND ($2::timestamptz IS NULL OR (h.viewedAt, h.id) < ($2::timestamptz, $3::int))
+          ORDER BY h.viewedAt DESC, h.id DESC
+          LIMIT $4
+        `, [userId, cursor?.at ?? null, cursor?.id ?? null, limit]);
         return res.rows;
       },
 
-      async listWatchlist(userId) {
+      async listWatchlist(userId, { cursor = null, limit = 50 } = {}) {
         const res = await pool.query(`
-          SELECT p.id, p.filename, p.type, p.title, p.description, p.format, p.thumbnail,
+          SELECT p.id, p.filename, p.type, p.title, p.description, p.format, p.thumbnail, p.previewvtt AS "previewVtt", p.views,
                  p.uploaderdiscordid AS "uploaderDiscordId", p.uploadername AS "uploaderName",
-                 p.createdat AS "createdAt", p.status, w.addedAt AS "addedAt",
+                 p.createdat AS "createdAt", p.status, w.addedAt AS "addedAt", w.addedAt::text AS "cursorAt", w.id AS "cursorId",
                  COALESCE(lc.count, 0) AS likes, u.avatar AS "uploaderAvatar", COALESCE(u.isverified, false) AS "uploaderVerified"
           FROM watchlist w
           JOIN posts p ON p.id = w.postId
@@ -294,16 +764,153 @@ export function createDatabase(config) {
           ) lc ON lc.postId = p.id
           LEFT JOIN users u ON u.discordid = p.uploaderdiscordid
           WHERE w.userId = $1 AND p.status = 'published'
-          ORDER BY w.addedAt DESC
-        `, [userId]);
+            AND ($2::timestamptz IS NULL OR (w.addedAt, w.id) < ($2::timestamptz, $3::int))
+          ORDER BY w.addedAt DESC, w.id DESC
+          LIMIT $4
+        `, [userId, cursor?.at ?? null, cursor?.id ?? null, limit]);
         return res.rows;
       },
 
+      // Held and removed posts stay as they are; returns whether the post was published
       async publishPost(data) {
-        await pool.query(
-          `UPDATE posts SET title = $1, description = $2, status = 'published' WHERE id = $3`,
+        const res = await pool.query(
+          `UPDATE posts SET title = $1, description = $2, status = 'published' WHERE id = $3 AND status IN ('draft', 'published')`,
           [data.title, data.description, data.id]
         );
+        return res.rowCount > 0;
+      },
+
+      // Edits a draft without publishing it
+      async updatePostText({ id, title, description }) {
+        await pool.query('UPDATE posts SET title = $2, description = $3 WHERE id = $1', [id, title, description]);
+      },
+
+      // Takes a published post back to draft; returns whether it was published
+      async unpublishPost(id) {
+        const res = await pool.query(`UPDATE posts SET status = 'draft' WHERE id = $1 AND status = 'published'`, [id]);
+        return res.rowCount > 0;
+      },
+
+      // Everything an uploader has that isn't removed, drafts and held posts included
+      async listUploaderPosts(discordId, { limit = 25 } = {}) {
+        const res = await pool.query(
+          `SELECT p.id, p.title, p.type, p.format, p.status, p.views, p.createdat AS "createdAt",
+                  (SELECT COUNT(*) FROM likes l WHERE l.postId = p.id)::INT AS likes
+           FROM posts p
+           WHERE p.uploaderDiscordId = $1 AND p.status <> 'removed'
+           ORDER BY p.id DESC
+           LIMIT $2`,
+          [discordId, limit]
+        );
+        return res.rows;
+      },
+
+      async getPostStats(postId) {
+        const res = await pool.query(
+          `SELECT (SELECT COUNT(*) FROM likes WHERE postId = $1)::INT AS likes,
+                  (SELECT COUNT(*) FROM comments WHERE postId = $1 AND deletedAt IS NULL)::INT AS comments,
+                  (SELECT COUNT(*) FROM watchlist WHERE postId = $1)::INT AS "watchLater"`,
+          [postId]
+        );
+        return res.rows[0];
+      },
+
+      // Saves the edit but keeps the post out of every feed until an admin reviews it
+      async holdPost({ id, title, description, reasons }) {
+        await pool.query(
+          `UPDATE posts SET title = $2, description = $3, status = 'pending_review', screeningReasons = $4, heldAt = NOW()
+           WHERE id = $1`,
+          [id, title, description, JSON.stringify(reasons)]
+        );
+      },
+
+      async listHeldPosts({ cursor = null, limit = 50 } = {}) {
+        const res = await pool.query(`
+          SELECT p.id, p.id AS "cursorId", p.title, p.description, p.type, p.filename, p.thumbnail,
+                 p.uploaderdiscordid AS "uploaderDiscordId", p.uploadername AS "uploaderName",
+                 p.heldat AS "heldAt", p.screeningreasons AS "screeningReasons",
+                 p.filesha256 AS "fileSha256", p.filephash AS "filePhash"
+          FROM posts p
+          WHERE p.status = 'pending_review' AND ($1::int IS NULL OR p.id < $1)
+          ORDER BY p.id DESC
+          LIMIT $2
+        `, [cursor?.id ?? null, limit]);
+        return res.rows;
+      },
+
+      async countHeldPosts() {
+        const res = await pool.query(`SELECT COUNT(*)::INT AS count FROM posts WHERE status = 'pending_review'`);
+        return res.rows[0].count;
+      },
+
+      // Publishes a held post; later edits skip the file checks its approval covered
+      async approvePost(postId) {
+        const res = await pool.query(
+          `UPDATE posts SET status = 'published', screeningApprovedAt = NOW() WHERE id = $1 AND status = 'pending_review'`,
+          [postId]
+        );
+        return res.rowCount > 0;
+      },
+
+      async listBlockedHashes() {
+        const res = await pool.query(`
+          SELECT h.id, h.kind, h.hash, h.note, h.createdat AS "createdAt", u.username AS "createdByName"
+          FROM screening_hashes h
+          LEFT JOIN users u ON u.id = h.createdby
+          ORDER BY h.id DESC
+        `);
+        return res.rows;
+      },
+
+      // Returns null if the hash was already blocked
+      async addBlockedHash({ kind, hash, note = '', createdBy = null }) {
+        const res = await pool.query(
+          `INSERT INTO screening_hashes (kind, hash, note, createdBy) VALUES ($1, $2, $3, $4)
+           ON CONFLICT (kind, hash) DO NOTHING
+           RETURNING id, kind, hash, note, createdat AS "createdAt"`,
+          [kind, hash, note, createdBy]
+        );
+        return res.rows[0] || null;
+      },
+
+      async removeBlockedHash(id) {
+        const res = await pool.query('DELETE FROM screening_hashes WHERE id = $1', [id]);
+        return res.rowCount > 0;
+      },
+
+      // Transcoding state: none | queued | processing | ready | failed
+      async setProcessingState(postId, { status, hlsUrl = null, error = null }) {
+        await pool.query(
+          `UPDATE posts
+           SET processingStatus = $2,
+               hlsUrl = COALESCE($3, hlsUrl),
+               processingError = COALESCE($4, processingError)
+           WHERE id = $1`,
+          [postId, status, hlsUrl, error]
+        );
+      },
+
+      // Generated poster only fills in when the uploader didn't attach a thumbnail
+      async setPreviewAssets(postId, { poster, previewSprite, previewVtt }) {
+        await pool.query(
+          `UPDATE posts
+           SET thumbnail = CASE WHEN COALESCE(thumbnail, '') = '' THEN $2 ELSE thumbnail END,
+               previewSprite = $3,
+               previewVtt = $4
+           WHERE id = $1`,
+          [postId, poster, previewSprite, previewVtt]
+        );
+      },
+
+      async listPostsByProcessingStatus(statuses) {
+        const res = await pool.query(
+          `SELECT id, filename, type, processingstatus AS "processingStatus"
+           FROM posts
+           WHERE processingStatus = ANY($1::text[])
+           ORDER BY id ASC`,
+          [statuses]
+        );
+        return res.rows;
       },
 
       async setLike(postId, userId, like) {
@@ -329,26 +936,104 @@ export function createDatabase(config) {
         return res.rows.map((r) => Number(r.postid ?? r.postId));
       },
 
-      async insertComment(postId, userId, text, createdAt) {
+      async insertComment(postId, userId, text, createdAt, parentId = null) {
         const res = await pool.query(
-          'INSERT INTO comments (postId, userId, text, createdAt) VALUES ($1, $2, $3, $4) RETURNING id',
-          [postId, userId, text, createdAt]
+          'INSERT INTO comments (postId, userId, text, createdAt, parentId) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+          [postId, userId, text, createdAt, parentId]
         );
         return res.rows[0].id;
       },
 
-      async listComments(postId) {
+      // Flat list including tombstones; callers build the reply tree from parentId.
+      // The pinned comment always comes first, then newest or most liked.
+      async listComments(postId, { sort = 'newest' } = {}) {
+        const order = sort === 'top' ? 'likes DESC, c.id DESC' : 'c.id DESC';
         const res = await pool.query(
-          `SELECT c.id, c.text, c.createdAt, u.username AS author, u.discordId AS "authorDiscordId", u.isVerified AS "authorVerified"
+          `SELECT c.id, c.parentId AS "parentId", c.text, c.createdAt AS "createdAt", c.editedAt AS "editedAt", c.deletedAt AS "deletedAt",
+                  c.pinnedAt AS "pinnedAt", COALESCE(cl.count, 0)::INT AS likes,
+                  u.username AS author, u.discordId AS "authorDiscordId", u.isVerified AS "authorVerified"
            FROM comments c
            JOIN users u ON u.id = c.userId
+           LEFT JOIN (
+             SELECT commentId, COUNT(*) AS count FROM comment_likes GROUP BY commentId
+           ) cl ON cl.commentId = c.id
            WHERE c.postId = $1
-           ORDER BY c.id DESC`,
+           ORDER BY c.pinnedAt IS NULL, ${order}`,
           [postId]
         );
         return res.rows;
       },
 
+      async setCommentLike(commentId, userId, like) {
+        if (like) {
+          await pool.query(
+            'INSERT INTO comment_likes (commentId, userId) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+            [commentId, userId]
+          );
+        } else {
+          await pool.query('DELETE FROM comment_likes WHERE commentId = $1 AND userId = $2', [commentId, userId]);
+        }
+        const res = await pool.query('SELECT COUNT(*)::INT AS count FROM comment_likes WHERE commentId = $1', [commentId]);
+        return res.rows[0].count;
+      },
+
+      async hasUserLikedComment(commentId, userId) {
+        const res = await pool.query('SELECT 1 FROM comment_likes WHERE commentId = $1 AND userId = $2 LIMIT 1', [commentId, userId]);
+        return Boolean(res.rows[0]);
+      },
+
+      async getUserCommentLikes(userId, postId) {
+        const res = await pool.query(
+          `SELECT cl.commentId AS "commentId"
+           FROM comment_likes cl
+           JOIN comments c ON c.id = cl.commentId
+           WHERE cl.userId = $1 AND c.postId = $2`,
+          [userId, postId]
+        );
+        return res.rows.map((r) => Number(r.commentId));
+      },
+
+      // A post has at most one pinned comment; pinning another replaces it
+      async setCommentPinned(postId, commentId, pinned) {
+        if (!pinned) {
+          await pool.query('UPDATE comments SET pinnedAt = NULL WHERE id = $1 AND postId = $2', [commentId, postId]);
+          return;
+        }
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+          await client.query('UPDATE comments SET pinnedAt = NULL WHERE postId = $1 AND pinnedAt IS NOT NULL', [postId]);
+          await client.query('UPDATE comments SET pinnedAt = NOW() WHERE id = $1 AND postId = $2', [commentId, postId]);
+          await client.query('COMMIT');
+        } catch (err) {
+          await client.query('ROLLBACK');
+          throw err;
+        } finally {
+          client.release();
+        }
+      },
+
+      async getComment(commentId) {
+        const res = await pool.query(
+          `SELECT c.id, c.postId AS "postId", c.userId AS "userId", c.parentId AS "parentId", c.text,
+                  c.deletedAt AS "deletedAt", c.pinnedAt AS "pinnedAt", u.discordId AS "authorDiscordId"
+           FROM comments c
+           JOIN users u ON u.id = c.userId
+           WHERE c.id = $1`,
+          [commentId]
+        );
+        return res.rows[0];
+      },
+
+      async updateComment(commentId, text) {
+        await pool.query('UPDATE comments SET text = $2, editedAt = NOW() WHERE id = $1 AND deletedAt IS NULL', [commentId, text]);
+      },
+
+      // Soft delete: the row stays as a tombstone so replies keep their place in the thread
+      async deleteComment(commentId) {
+        await pool.query("UPDATE comments SET text = '', deletedAt = NOW(), pinnedAt = NULL WHERE id = $1", [commentId]);
+      },
+
       async recordView(postId, userId) {
         await pool.query(`
           INSERT INTO history (postId, userId, viewedAt)
@@ -358,6 +1043,29 @@ export function createDatabase(config) {
         `, [postId, userId]);
       },
 
+      // A viewer counts once per post per window; returns whether this play was counted
+      async countView(postId, viewerKey, windowSeconds) {
+        const res = await pool.query(`
+          WITH counted AS (
+            INSERT INTO post_views (postId, viewerKey, viewedAt)
+            VALUES ($1, $2, NOW())
+            ON CONFLICT (postId, viewerKey)
+            DO UPDATE SET viewedAt = EXCLUDED.viewedAt
+            WHERE post_views.viewedAt < NOW() - make_interval(secs => $3)
+            RETURNING 1
+          )
+          UPDATE posts SET views = views + 1
+          WHERE id = $1 AND EXISTS (SELECT 1 FROM counted)
+          RETURNING views
+        `, [postId, viewerKey, windowSeconds]);
+        return res.rowCount > 0;
+      },
+
+      // Entries past the window no longer affect deduplication
+      async pruneViewLog(windowSeconds) {
+        await pool.query('DELETE FROM post_views WHERE viewedAt < NOW() - make_interval(secs => $1)', [windowSeconds]);
+      },
+
       async setWatchLater(postId, userId, add) {
         if (add) {
           await pool.query(`
@@ -400,38 +1108,457 @@ export function createDatabase(config) {
         return res.rows[0]?.count || 0;
       },
 
-      async deletePost(postId) {
-        await pool.query('DELETE FROM posts WHERE id = $1', [postId]);
-        return true;
+      async getFollow(followerId, followingDiscordId) {
+        const res = await pool.query(
+          'SELECT discordDms AS "discordDms" FROM follows WHERE followerId = $1 AND followingDiscordId = $2',
+          [followerId, followingDiscordId]
+        );
+        return res.rows[0] || null;
       },
 
-      async setBanned(discordId, banned) {
-        await pool.query('UPDATE users SET isBanned = $1 WHERE discordId = $2', [banned, discordId]);
-        return true;
+      // Opts a follower in or out of Discord DMs for the creator's new posts; false when not following
+      async setFollowDiscordDms(followerId, followingDiscordId, enabled) {
+        const res = await pool.query(
+          'UPDATE follows SET discordDms = $3 WHERE followerId = $1 AND followingDiscordId = $2',
+          [followerId, followingDiscordId, Boolean(enabled)]
+        );
+        return res.rowCount > 0;
       },
 
-      async setVerified(discordId, verified) {
-        await pool.query('UPDATE users SET isVerified = $1 WHERE discordId = $2', [verified, discordId]);
-        return true;
+      // Discord user ids of the creator's followers who asked for DMs and have Discord linked
+      async listDiscordDmFollowers(followingDiscordId) {
+        const res = await pool.query(
+          `SELECT DISTINCT i.subject
+           FROM follows f
+           JOIN identities i ON i.userId = f.followerId AND i.provider = 'discord'
+           WHERE f.followingDiscordId = $1 AND f.discordDms`,
+          [followingDiscordId]
+        );
+        return res.rows.map((row) => row.subject);
       },
 
-      async setAdmin(discordId, admin) {
-        await pool.query('UPDATE users SET isAdmin = $1 WHERE discordId = $2', [admin, discordId]);
-        return true;
+      // Soft delete: hides the post and remembers who removed it and why; false if it was already removed
+      async removePost(postId, { removedBy = null, reason = '' } = {}) {
+        const res = await pool.query(
+          `UPDATE posts
+           SET removedFromStatus = status, status = 'removed', removedAt = NOW(), removedBy = $2, removalReason = $3
+           WHERE id = $1 AND status <> 'removed'`,
+          [postId, removedBy, reason]
+        );
+        return res.rowCount > 0;
       },
 
-      async setStaff(discordId, staff) {
-        await pool.query('UPDATE users SET isStaff = $1 WHERE discordId = $2', [staff, discordId]);
-        return true;
+      async restorePost(postId) {
+        const res = await pool.query(
+          `UPDATE posts
+           SET status = COALESCE(removedFromStatus, 'published'), removedAt = NULL, removedBy = NULL, removalReason = '', removedFromStatus = NULL
+           WHERE id = $1 AND status = 'removed'`,
+          [postId]
+        );
+        return res.rowCount > 0;
       },
 
-      async setOwner(discordId, owner) {
-        await pool.query('UPDATE users SET isOwner = $1 WHERE discordId = $2', [owner, discordId]);
-        return true;
+      async listRemovedPosts({ cursor = null, limit = 50 } = {}) {
+        const res = await pool.query(`
+          SELECT p.id, p.id AS "cursorId", p.title, p.type, p.filename, p.thumbnail,
+                 p.uploaderdiscordid AS "uploaderDiscordId", p.uploadername AS "uploaderName",
+                 p.removedat AS "removedAt", p.removalreason AS "removalReason", remover.username AS "removedByName"
+          FROM posts p
+          LEFT JOIN users remover ON remover.id = p.removedby
+          WHERE p.status = 'removed' AND ($1::int IS NULL OR p.id < $1)
+          ORDER BY p.id DESC
+          LIMIT $2
+        `, [cursor?.id ?? null, limit]);
+        return res.rows;
+      },
+
+      // Removed posts past the retention window, with everything the storage cleanup needs
+      async listPurgeablePosts(removedBefore) {
+        const res = await pool.query(
+          `SELECT id, filename, thumbnail
+           FROM posts WHERE status = 'removed' AND removedAt <= $1
+           ORDER BY id`,
+          [removedBefore]
+        );
+        return res.rows;
+      },
+
+      // Hard delete; likes, comments, history and watchlist entries cascade with it
+      async purgePost(postId) {
+        const res = await pool.query(`DELETE FROM posts WHERE id = $1 AND status = 'removed'`, [postId]);
+        return res.rowCount > 0;
+      },
+
+      // Permanent full ban or lift; kept for callers that only know the boolean
+      async setBanned(discordId, banned) {
+        const user = await this.getUserByDiscordId(discordId);
+        if (!user) return false;
+        if (banned) await this.createBan({ userId: user.id, mode: 'ban' });
+        else await this.liftBan(user.id);
+        return true;
+      },
+
+      async setVerified(discordId, verified) {
+        await pool.query('UPDATE users SET isVerified = $1 WHERE discordId = $2', [verified, discordId]);
+        return true;
+      },
+
+      // The admin, staff and owner flags are granted through their built-in roles
+      async setAdmin(discordId, admin) {
+        return this.setBuiltInRole(discordId, 'admin', admin);
+      },
+
+      async setStaff(discordId, staff) {
+        return this.setBuiltInRole(discordId, 'staff', staff);
+      },
+
+      async setOwner(discordId, owner) {
+        return this.setBuiltInRole(discordId, 'owner', owner);
+      },
+
+      async setBuiltInRole(discordId, name, assigned) {
+        const user = await this.getUserByDiscordId(discordId);
+        if (!user) return true;
+        if (assigned) {
+          await pool.query(
+            'INSERT INTO user_roles (userId, roleId) SELECT $1, id FROM roles WHERE name = $2 ON CONFLICT DO NOTHING',
+            [user.id, name]
+          );
+        } else {
+          await pool.query('DELETE FROM user_roles WHERE userId = $1 AND roleId IN (SELECT id FROM roles WHERE name = $2)', [user.id, name]);
+        }
+        await pool.query(`UPDATE users SET ${roleFlagsSql} WHERE id = $1`, [user.id]);
+        return true;
+      },
+
+      // Roles and permissions
+      async listRoles() {
+        const res = await pool.query(`${roleSelect} GROUP BY r.id ORDER BY r.builtIn DESC, r.id`);
+        return res.rows;
+      },
+
+      async getRole(id) {
+        const res = await pool.query(`${roleSelect} WHERE r.id = $1 GROUP BY r.id`, [id]);
+        return res.rows[0] || null;
+      },
+
+      // Returns null if the name is taken
+      async createRole({ name, description = '', permissions = [] }) {
+        const res = await pool.query(
+          `INSERT INTO roles (name, description, permissions) VALUES ($1, $2, $3)
+           ON CONFLICT (name) DO NOTHING
+           RETURNING id`,
+          [name, description, JSON.stringify(permissions)]
+        );
+        return res.rows[0] ? this.getRole(res.rows[0].id) : null;
+      },
+
+      // Built-in roles keep the permissions defined in code; returns null for them
+      async updateRole(id, { description, permissions }) {
+        const res = await pool.query(
+          `UPDATE roles SET description = COALESCE($2, description), permissions = COALESCE($3, permissions)
+           WHERE id = $1 AND NOT builtIn
+           RETURNING id`,
+          [id, description ?? null, permissions ? JSON.stringify(permissions) : null]
+        );
+        return res.rows[0] ? this.getRole(id) : null;
+      },
+
+      async deleteRole(id) {
+        const res = await pool.query('DELETE FROM roles WHERE id = $1 AND NOT builtIn', [id]);
+        return res.rowCount > 0;
+      },
+
+      async getUserRoles(userId) {
+        const res = await pool.query(
+          `SELECT r.id, r.name, r.description, r.permissions, r.builtIn AS "builtIn"
+           FROM user_roles ur JOIN roles r ON r.id = ur.roleId
+           WHERE ur.userId = $1 ORDER BY r.builtIn DESC, r.id`,
+          [userId]
+        );
+        return res.rows;
+      },
+
+      async getUserPermissions(userId) {
+        const res = await pool.query(
+          `SELECT DISTINCT jsonb_array_elements_text(r.permissions) AS permission
+           FROM user_roles ur JOIN roles r ON r.id = ur.roleId
+           WHERE ur.userId = $1`,
+          [userId]
+        );
+        return res.rows.map((r) => r.permission);
+      },
+
+      // Replaces the user's roles and re-syncs the built-in role flags
+      async setUserRoles(userId, roleIds, assignedBy = null) {
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+          await client.query('DELETE FROM user_roles WHERE userId = $1 AND NOT (roleId = ANY($2::INT[]))', [userId, roleIds]);
+          await client.query(
+            `INSERT INTO user_roles (userId, roleId, assignedBy)
+             SELECT $1, id, $3 FROM roles WHERE id = ANY($2::INT[])
+             ON CONFLICT DO NOTHING`,
+            [userId, roleIds, assignedBy]
+          );
+          await client.query(`UPDATE users SET ${roleFlagsSql} WHERE id = $1`, [userId]);
+          await client.query('COMMIT');
+        } catch (err) {
+          await client.query('ROLLBACK');
+          throw err;
+        } finally {
+          client.release();
+        }
+        return this.getUserRoles(userId);
+      },
+
+      // Sign-in sessions
+      async createSession({ id, userId, refreshHash, userAgent = '', ip = '', expiresAt }) {
+        const res = await pool.query(
+          `INSERT INTO sessions (id, userId, refreshHash, userAgent, ip, expiresAt)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING ${sessionColumns}`,
+          [id, userId, refreshHash, userAgent, ip, expiresAt]
+        );
+        return res.rows[0];
+      },
+
+      async getSession(id) {
+        const res = await pool.query(`SELECT ${sessionColumns} FROM sessions WHERE id = $1`, [id]);
+        return res.rows[0] || null;
+      },
+
+      // Swaps the refresh token, only if it is still the one the caller presented; returns whether it did
+      async rotateSession(id, { from, to, expiresAt }) {
+        const res = await pool.query(
+          `UPDATE sessions
+           SET previousRefreshHash = refreshHash, refreshHash = $3, rotatedAt = NOW(), lastSeenAt = NOW(), expiresAt = $4
+           WHERE id = $1 AND refreshHash = $2 AND revokedAt IS NULL`,
+          [id, from, to, expiresAt]
+        );
+        return res.rowCount > 0;
+      },
+
+      async touchSession(id) {
+        await pool.query('UPDATE sessions SET lastSeenAt = NOW() WHERE id = $1', [id]);
+      },
+
+      // Sessions still signed in, most recently used first
+      async listSessions(userId) {
+        const res = await pool.query(
+          `SELECT ${sessionColumns} FROM sessions
+           WHERE userId = $1 AND revokedAt IS NULL AND expiresAt > NOW()
+           ORDER BY lastSeenAt DESC`,
+          [userId]
+        );
+        return res.rows;
+      },
+
+      async revokeSession(id, reason) {
+        const res = await pool.query(
+          'UPDATE sessions SET revokedAt = NOW(), revokedReason = $2 WHERE id = $1 AND revokedAt IS NULL',
+          [id, reason]
+        );
+        return res.rowCount > 0;
+      },
+
+      async revokeUserSessions(userId, { reason, exceptId = null } = {}) {
+        const res = await pool.query(
+          `UPDATE sessions SET revokedAt = NOW(), revokedReason = $2
+           WHERE userId = $1 AND revokedAt IS NULL AND ($3::TEXT IS NULL OR id <> $3)`,
+          [userId, reason, exceptId]
+        );
+        return res.rowCount;
+      },
+
+      // Drops sessions that ended before the cutoff
+      async pruneSessions(before) {
+        await pool.query('DELETE FROM sessions WHERE expiresAt < $1 OR revokedAt < $1', [before]);
+      },
+
+      // Bot event outbox
+      async recordPostEvent(type, postId) {
+        await pool.query('INSERT INTO post_events (type, postId) VALUES ($1, $2) ON CONFLICT DO NOTHING', [type, postId]);
+      },
+
+      // Events after the given id whose post is still published, oldest first
+      async listPostEvents({ after = 0, limit = 50 } = {}) {
+        const res = await pool.query(
+          `SELECT e.id, e.type, e.postId AS "postId", e.createdAt AS "createdAt",
+                  p.title, p.description, p.type AS "postType", p.format, p.filename, p.thumbnail,
+                  p.uploaderDiscordId AS "uploaderDiscordId", p.uploaderName AS "uploaderName", u.avatar AS "uploaderAvatar"
+           FROM post_events e
+           JOIN posts p ON p.id = e.postId
+           LEFT JOIN users u ON u.discordId = p.uploaderDiscordId
+           WHERE e.id > $1 AND p.status = 'published'
+           ORDER BY e.id
+           LIMIT $2`,
+          [after, limit]
+        );
+        return res.rows;
+      },
+
+      async latestPostEventId() {
+        const res = await pool.query('SELECT COALESCE(MAX(id), 0)::INT AS id FROM post_events');
+        return res.rows[0].id;
+      },
+
+      async prunePostEvents(before) {
+        await pool.query('DELETE FROM post_events WHERE createdAt < $1', [before]);
+      },
+
+      // Sign-in identities
+      async getIdentity(provider, subject) {
+        const res = await pool.query(`SELECT ${identityColumns} FROM identities WHERE provider = $1 AND subject = $2`, [provider, subject]);
+        return res.rows[0] || null;
+      },
+
+      async listIdentities(userId) {
+        const res = await pool.query(`SELECT ${identityColumns} FROM identities WHERE userId = $1 ORDER BY createdAt`, [userId]);
+        return res.rows;
+      },
+
+      // Leaves an identity that already exists untouched; returns whichever row is stored
+      async addIdentity({ provider, subject, userId, displayName = '' }) {
+        await pool.query(
+          `INSERT INTO identities (provider, subject, userId, displayName)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (provider, subject) DO NOTHING`,
+          [provider, subject, userId, displayName]
+        );
+        return this.getIdentity(provider, subject);
+      },
+
+      async touchIdentity(provider, subject, displayName) {
+        await pool.query(
+          'UPDATE identities SET displayName = $3, lastUsedAt = NOW() WHERE provider = $1 AND subject = $2',
+          [provider, subject, displayName]
+        );
+      },
+
+      async removeIdentity(userId, provider, subject) {
+        const res = await pool.query(
+          'DELETE FROM identities WHERE userId = $1 AND provider = $2 AND subject = $3',
+          [userId, provider, subject]
+        );
+        return res.rowCount > 0;
+      },
+
+      // API tokens
+      async createApiToken({ userId, name, kind, scopes, tokenHash, prefix, expiresAt = null }) {
+        const res = await pool.query(
+          `INSERT INTO api_tokens (userId, name, kind, scopes, tokenHash, prefix, expiresAt)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING ${apiTokenColumns}`,
+          [userId, name, kind, JSON.stringify(scopes), tokenHash, prefix, expiresAt]
+        );
+        return res.rows[0];
+      },
+
+      async getApiTokenByHash(tokenHash) {
+        const res = await pool.query(`SELECT ${apiTokenColumns} FROM api_tokens WHERE tokenHash = $1`, [tokenHash]);
+        return res.rows[0] || null;
+      },
+
+      // Tokens that still work, newest first
+      async listApiTokens(userId) {
+        const res = await pool.query(
+          `SELECT ${apiTokenColumns} FROM api_tokens
+           WHERE userId = $1 AND revokedAt IS NULL AND (expiresAt IS NULL OR expiresAt > NOW())
+           ORDER BY id DESC`,
+          [userId]
+        );
+        return res.rows;
+      },
+
+      async touchApiToken(id) {
+        await pool.query('UPDATE api_tokens SET lastUsedAt = NOW() WHERE id = $1', [id]);
+      },
+
+      async revokeApiToken(id, userId) {
+        const res = await pool.query(
+          'UPDATE api_tokens SET revokedAt = NOW() WHERE id = $1 AND userId = $2 AND revokedAt IS NULL',
+          [id, userId]
+        );
+        return res.rowCount > 0;
+      },
+
+      // Revokes all of a user's live tokens, or only those of one kind; returns how many
+      async revokeUserApiTokens(userId, kind = null) {
+        const res = await pool.query(
+          'UPDATE api_tokens SET revokedAt = NOW() WHERE userId = $1 AND ($2::text IS NULL OR kind = $2) AND revokedAt IS NULL',
+          [userId, kind]
+        );
+        return res.rowCount;
+      },
+
+      // Moves everything the merged account owns onto the kept one, then deletes the merged account.
+      // Its sessions are dropped rather than moved, so those devices sign in again.
+      async mergeUsers(keepId, mergeId) {
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+          const found = await client.query(
+            'SELECT id, discordId AS "discordId", username, isVerified AS "isVerified" FROM users WHERE id = ANY($1::INT[]) FOR UPDATE',
+            [[keepId, mergeId]]
+          );
+          const keep = found.rows.find((u) => u.id === Number(keepId));
+          const merge = found.rows.find((u) => u.id === Number(mergeId));
+          if (!keep || !merge || keep.id === merge.id) {
+            await client.query('ROLLBACK');
+            return false;
+          }
+
+          await client.query(
+            'UPDATE posts SET uploaderDiscordId = $1, uploaderName = $2 WHERE uploaderDiscordId = $3',
+            [keep.discordId, keep.username, merge.discordId]
+          );
+          // Posts both accounts watched keep the later view time
+          await client.query(
+            `UPDATE history h SET viewedAt = m.viewedAt
+             FROM history m
+             WHERE h.userId = $1 AND m.userId = $2 AND m.postId = h.postId AND m.viewedAt > h.viewedAt`,
+            [keep.id, merge.id]
+          );
+          for (const [table, column, key] of UNIQUE_USER_REFERENCES) {
+            await client.query(
+              `UPDATE ${table} SET ${column} = $1
+               WHERE ${column} = $2 AND ${key} NOT IN (SELECT ${key} FROM ${table} WHERE ${column} = $1)`,
+              [keep.id, merge.id]
+            );
+            await client.query(`DELETE FROM ${table} WHERE ${column} = $1`, [merge.id]);
+          }
+          // Followers of the merged account now follow the kept one; nobody follows themselves
+          await client.query(
+            `UPDATE follows SET followingDiscordId = $1
+             WHERE followingDiscordId = $2 AND followerId NOT IN (SELECT followerId FROM follows WHERE followingDiscordId = $1)`,
+            [keep.discordId, merge.discordId]
+          );
+          await client.query(
+            'DELETE FROM follows WHERE followingDiscordId = $1 OR (followerId = $2 AND followingDiscordId = $3)',
+            [merge.discordId, keep.id, keep.discordId]
+          );
+          for (const [table, column] of USER_REFERENCES) {
+            await client.query(`UPDATE ${table} SET ${column} = $1 WHERE ${column} = $2`, [keep.id, merge.id]);
+          }
+          await client.query('DELETE FROM sessions WHERE userId = $1', [merge.id]);
+          await client.query(
+            `UPDATE users SET isVerified = $2, ${roleFlagsSql} WHERE id = $1`,
+            [keep.id, Boolean(keep.isVerified || merge.isVerified)]
+          );
+          await client.query('DELETE FROM users WHERE id = $1', [merge.id]);
+          await client.query('COMMIT');
+          return true;
+        } catch (err) {
+          await client.query('ROLLBACK');
+          throw err;
+        } finally {
+          client.release();
+        }
       },
 
       async getUserByDiscordId(discordId) {
-        const res = await pool.query('SELECT id, discordId AS "discordId", username, avatar, isAdmin AS "isAdmin", isBanned AS "isBanned", isVerified AS "isVerified", COALESCE(isStaff, false) AS "isStaff", COALESCE(isOwner, false) AS "isOwner", bio, banner, profileColor AS "profileColor" FROM users WHERE discordId = $1 LIMIT 1', [discordId]);
+        const res = await pool.query('SELECT id, discordId AS "discordId", username, avatar, isAdmin AS "isAdmin", isBanned AS "isBanned", isVerified AS "isVerified", COALESCE(isStaff, false) AS "isStaff", COALESCE(isOwner, false) AS "isOwner", COALESCE(isSuspended, false) AS "isSuspended", bio, banner, profileColor AS "profileColor" FROM users WHERE discordId = $1 LIMIT 1', [discordId]);
         return res.rows[0] || null;
       },
 
@@ -452,7 +1579,25 @@ export function createDatabase(config) {
       },
 
       async getAllUsers() {
-        const res = await pool.query('SELECT id, discordId AS "discordId", username, avatar, isAdmin AS "isAdmin", isBanned AS "isBanned", isVerified AS "isVerified", COALESCE(isStaff, false) AS "isStaff", COALESCE(isOwner, false) AS "isOwner", bio, banner, profileColor AS "profileColor", createdAt AS "createdAt" FROM users ORDER BY createdAt DESC');
+        const res = await pool.query(`
+          SELECT u.id, u.discordId AS "discordId", u.username, u.avatar, u.isAdmin AS "isAdmin", u.isBanned AS "isBanned",
+                 u.isVerified AS "isVerified", COALESCE(u.isStaff, false) AS "isStaff", COALESCE(u.isOwner, false) AS "isOwner",
+                 COALESCE(u.isSuspended, false) AS "isSuspended", u.bio, u.banner, u.profileColor AS "profileColor",
+                 u.createdAt AS "createdAt", COALESCE(st.count, 0)::INT AS "activeStrikes", COALESCE(st.points, 0)::INT AS "strikePoints",
+                 COALESCE(rl.roles, ARRAY[]::TEXT[]) AS roles
+          FROM users u
+          LEFT JOIN (
+            SELECT userId, COUNT(*) AS count, SUM(severity) AS points FROM strikes
+            WHERE revokedAt IS NULL AND (expiresAt IS NULL OR expiresAt > NOW())
+            GROUP BY userId
+          ) st ON st.userId = u.id
+          LEFT JOIN (
+            SELECT ur.userId, array_agg(r.name ORDER BY r.id) AS roles
+            FROM user_roles ur JOIN roles r ON r.id = ur.roleId
+            GROUP BY ur.userId
+          ) rl ON rl.userId = u.id
+          ORDER BY u.createdAt DESC
+        `);
         return res.rows;
       },
 
@@ -462,7 +1607,7 @@ export function createDatabase(config) {
 
         const videosRes = await pool.query(
           `SELECT id, filename, type, title, description, format, createdat AS "createdAt", 
-           COALESCE(lc.count, 0) AS likes
+           views, COALESCE(lc.count, 0) AS likes
            FROM posts p
            LEFT JOIN (SELECT postId, COUNT(*) AS count FROM likes GROUP BY postId) lc ON lc.postId = p.id
            WHERE uploaderdiscordid = $1 AND status = 'published'
@@ -478,6 +1623,13 @@ export function createDatabase(config) {
           [discordId]
         );
 
+        const viewsRes = await pool.query(
+          `SELECT COALESCE(SUM(views), 0)::INT AS total
+           FROM posts
+           WHERE uploaderdiscordid = $1 AND status = 'published'`,
+          [discordId]
+        );
+
         const followersRes = await pool.query(
           'SELECT COUNT(*)::INT AS count FROM follows WHERE followingDiscordId = $1',
           [discordId]
@@ -488,6 +1640,7 @@ export function createDatabase(config) {
           videos: videosRes.rows,
           totalVideos: videosRes.rows.length,
           totalLikes: likesRes.rows[0]?.total || 0,
+          totalViews: viewsRes.rows[0]?.total || 0,
           followerCount: followersRes.rows[0]?.count || 0
         };
       },
@@ -501,6 +1654,15 @@ export function createDatabase(config) {
         return res.rows[0];
       },
 
+      // Whether the user still has this exact notification unread, so repeats can be skipped
+      async hasUnreadNotification(userId, type, message) {
+        const res = await pool.query(
+          'SELECT 1 FROM notifications WHERE userId = $1 AND type = $2 AND message = $3 AND read = FALSE LIMIT 1',
+          [userId, type, message]
+        );
+        return res.rowCount > 0;
+      },
+
       async getNotifications(userId) {
         const res = await pool.query(
           `SELECT id, userId AS "userId", type, title, message, read, createdAt AS "createdAt" FROM notifications WHERE userId = $1 ORDER BY createdAt DESC LIMIT 50`,
@@ -523,6 +1685,223 @@ export function createDatabase(config) {
 
       async markAllNotificationsRead(userId) {
         await pool.query(`UPDATE notifications SET read = TRUE WHERE userId = $1`, [userId]);
+      },
+
+      // Report queue
+      async createReport({ type, reporterId, targetUserId = null, targetPostId = null, targetCommentId = null, reason, details = '' }) {
+        const res = await pool.query(
+          `INSERT INTO reports (type, reporterId, targetUserId, targetPostId, targetCommentId, reason, details)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING id`,
+          [type, reporterId, targetUserId, targetPostId, targetCommentId, reason, details]
+        );
+        return this.getReport(res.rows[0].id);
+      },
+
+      async getReport(id) {
+        const res = await pool.query(`${reportSelect} WHERE r.id = $1`, [id]);
+        return res.rows[0];
+      },
+
+      async listReports({ status = null, type = null, cursor = null, limit = 50 } = {}) {
+        const res = await pool.query(`
+          ${reportSelect}
+          WHERE ($1::text IS NULL OR r.status = $1)
+            AND ($2::text IS NULL OR r.type = $2)
+            AND ($3::int IS NULL OR r.id < $3)
+          ORDER BY r.id DESC
+          LIMIT $4
+        `, [status, type, cursor?.id ?? null, limit]);
+        return res.rows;
+      },
+
+      async countReportsByStatus() {
+        const res = await pool.query('SELECT status, COUNT(*)::INT AS count FROM reports GROUP BY status');
+        return Object.fromEntries(res.rows.map((r) => [r.status, r.count]));
+      },
+
+      // Omitted fields are left alone; assigneeId: null unassigns
+      async updateReport(id, { status, assigneeId, resolutionNotes }) {
+        await pool.query(
+          `UPDATE reports
+           SET status = COALESCE($2, status),
+               assigneeId = CASE WHEN $3 THEN $4 ELSE assigneeId END,
+               resolutionNotes = COALESCE($5, resolutionNotes),
+               updatedAt = NOW(),
+               resolvedAt = CASE
+                 WHEN COALESCE($2, status) IN ('resolved', 'dismissed') THEN COALESCE(resolvedAt, NOW())
+                 ELSE NULL
+               END
+           WHERE id = $1`,
+          [id, status ?? null, assigneeId !== undefined, assigneeId ?? null, resolutionNotes ?? null]
+        );
+        return this.getReport(id);
+      },
+
+      // Moderation audit log (append-only)
+      async recordModerationAction({ actorId, actorDiscordId, actorName = '', action, targetType, targetId, targetLabel = '', reason = '', before = null, after = null }) {
+        await pool.query(
+          `INSERT INTO moderation_actions (actorId, actorDiscordId, actorName, action, targetType, targetId, targetLabel, reason, beforeState, afterState)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+          [actorId, actorDiscordId, actorName, action, targetType, String(targetId), targetLabel, reason,
+            before === null ? null : JSON.stringify(before), after === null ? null : JSON.stringify(after)]
+        );
+      },
+
+      // Bans: at most one active row per user; users.isBanned/isSuspended mirror it for cheap checks
+      async createBan({ userId, mode, reason = '', expiresAt = null, createdBy = null }) {
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+          await client.query('UPDATE bans SET liftedAt = NOW() WHERE userId = $1 AND liftedAt IS NULL', [userId]);
+          const res = await client.query(
+            `INSERT INTO bans (userId, mode, reason, expiresAt, createdBy)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING ${banColumns}`,
+            [userId, mode, reason, expiresAt, createdBy]
+          );
+          await client.query('UPDATE users SET isBanned = $2, isSuspended = $3 WHERE id = $1', [userId, mode === 'ban', mode === 'suspend']);
+          await client.query('COMMIT');
+          return res.rows[0];
+        } catch (err) {
+          await client.query('ROLLBACK');
+          throw err;
+        } finally {
+          client.release();
+        }
+      },
+
+      // The user's current ban, lifting it on the spot if it has expired
+      async getActiveBan(userId) {
+        const res = await pool.query(
+          `SELECT ${banColumns} FROM bans WHERE userId = $1 AND liftedAt IS NULL ORDER BY id DESC LIMIT 1`,
+          [userId]
+        );
+        const ban = res.rows[0];
+        if (!ban) return null;
+        if (ban.expiresAt && new Date(ban.expiresAt).getTime() <= Date.now()) {
+          await this.liftBan(userId);
+          return null;
+        }
+        return ban;
+      },
+
+      async liftBan(userId) {
+        const res = await pool.query('UPDATE bans SET liftedAt = NOW() WHERE userId = $1 AND liftedAt IS NULL', [userId]);
+        await pool.query('UPDATE users SET isBanned = false, isSuspended = false WHERE id = $1', [userId]);
+        return res.rowCount > 0;
+      },
+
+      async liftExpiredBans() {
+        const res = await pool.query(`
+          WITH lifted AS (
+            UPDATE bans SET liftedAt = NOW()
+            WHERE liftedAt IS NULL AND expiresAt IS NOT NULL AND expiresAt <= NOW()
+            RETURNING userId
+          )
+          UPDATE users SET isBanned = false, isSuspended = false
+          WHERE id IN (SELECT userId FROM lifted)
+        `);
+        return res.rowCount;
+      },
+
+      async addStrike({ userId, severity = 1, reason = '', source = 'warning', targetId = null, expiresAt = null, createdBy = null }) {
+        const res = await pool.query(
+          `INSERT INTO strikes (userId, severity, reason, source, targetId, expiresAt, createdBy)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING id`,
+          [userId, severity, reason, source, targetId === null ? null : String(targetId), expiresAt, createdBy]
+        );
+        return this.getStrike(res.rows[0].id);
+      },
+
+      async getStrike(id) {
+        const res = await pool.query(`${strikeSelect} WHERE s.id = $1`, [id]);
+        return res.rows[0] || null;
+      },
+
+      // Every strike including expired and revoked ones, newest first
+      async listStrikes(userId) {
+        const res = await pool.query(`${strikeSelect} WHERE s.userId = $1 ORDER BY s.id DESC`, [userId]);
+        return res.rows;
+      },
+
+      // Count and total severity of strikes that still count towards escalation
+      async getStrikeSummary(userId) {
+        const res = await pool.query(
+          `SELECT COUNT(*)::INT AS count, COALESCE(SUM(severity), 0)::INT AS points FROM strikes
+           WHERE userId = $1 AND revokedAt IS NULL AND (expiresAt IS NULL OR expiresAt > NOW())`,
+          [userId]
+        );
+        return res.rows[0];
+      },
+
+      // Returns null if the strike doesn't exist or was already revoked
+      async revokeStrike(id) {
+        const res = await pool.query('UPDATE strikes SET revokedAt = NOW() WHERE id = $1 AND revokedAt IS NULL RETURNING id', [id]);
+        return res.rows[0] ? this.getStrike(id) : null;
+      },
+
+      // Appeals: one per ban
+      async createAppeal({ banId, userId, message }) {
+        const res = await pool.query(
+          `INSERT INTO appeals (banId, userId, message) VALUES ($1, $2, $3)
+           ON CONFLICT (banId) DO NOTHING
+           RETURNING id`,
+          [banId, userId, message]
+        );
+        return res.rows[0] ? this.getAppeal(res.rows[0].id) : null;
+      },
+
+      async getAppeal(id) {
+        const res = await pool.query(`${appealSelect} WHERE a.id = $1`, [id]);
+        return res.rows[0];
+      },
+
+      async getAppealForBan(banId) {
+        const res = await pool.query(`${appealSelect} WHERE a.banId = $1`, [banId]);
+        return res.rows[0] || null;
+      },
+
+      async listAppeals({ status = null, cursor = null, limit = 50 } = {}) {
+        const res = await pool.query(`
+          ${appealSelect}
+          WHERE ($1::text IS NULL OR a.status = $1)
+            AND ($2::int IS NULL OR a.id < $2)
+          ORDER BY a.id DESC
+          LIMIT $3
+        `, [status, cursor?.id ?? null, limit]);
+        return res.rows;
+      },
+
+      // Only pending appeals can be decided; returns null if someone else already did
+      async reviewAppeal(id, { status, response = '', reviewedBy }) {
+        const res = await pool.query(
+          `UPDATE appeals SET status = $2, response = $3, reviewedBy = $4, reviewedAt = NOW()
+           WHERE id = $1 AND status = 'pending'
+           RETURNING id`,
+          [id, status, response, reviewedBy]
+        );
+        return res.rows[0] ? this.getAppeal(id) : null;
+      },
+
+      async listModerationActions({ actor = null, action = null, targetType = null, targetId = null, from = null, to = null, cursor = null, limit = 50 } = {}) {
+        const res = await pool.query(`
+          SELECT id, id AS "cursorId", actordiscordid AS "actorDiscordId", actorname AS "actorName", action,
+                 targettype AS "targetType", targetid AS "targetId", targetlabel AS "targetLabel", reason,
+                 beforestate AS "before", afterstate AS "after", createdat AS "createdAt"
+          FROM moderation_actions
+          WHERE ($1::text IS NULL OR actorDiscordId = $1)
+            AND ($2::text IS NULL OR action = $2)
+            AND ($3::text IS NULL OR targetType = $3)
+            AND ($4::text IS NULL OR targetId = $4)
+            AND ($5::timestamptz IS NULL OR createdAt >= $5)
+            AND ($6::timestamptz IS NULL OR createdAt <= $6)
+            AND ($7::int IS NULL OR id < $7)
+          ORDER BY id DESC
+          LIMIT $8
+        `, [actor, action, targetType, targetId, from, to, cursor?.id ?? null, limit]);
+        return res.rows;
       }
     };
   }
@@ -569,6 +1948,9 @@ export function createDatabase(config) {
   if (!tableInfo.some(col => col.name === 'isOwner')) {
     db.exec('ALTER TABLE users ADD COLUMN isOwner INTEGER DEFAULT 0');
   }
+  if (!tableInfo.some(col => col.name === 'isSuspended')) {
+    db.exec('ALTER TABLE users ADD COLUMN isSuspended INTEGER DEFAULT 0');
+  }
   db.exec(`
     CREATE TABLE IF NOT EXISTS posts (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -650,11 +2032,254 @@ export function createDatabase(config) {
       FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
     );
   `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS comment_likes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      commentId INTEGER NOT NULL,
+      userId INTEGER NOT NULL,
+      createdAt TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE(commentId, userId),
+      FOREIGN KEY (commentId) REFERENCES comments(id) ON DELETE CASCADE,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
   db.exec('CREATE INDEX IF NOT EXISTS idx_comments_postId ON comments(postId)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_comment_likes_commentId ON comment_likes(commentId)');
   db.exec('CREATE INDEX IF NOT EXISTS idx_likes_postId ON likes(postId)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_likes_user ON likes(userId, createdAt)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_posts_feed ON posts(status, id)');
   db.exec('CREATE INDEX IF NOT EXISTS idx_history_user ON history(userId, viewedAt)');
   db.exec('CREATE INDEX IF NOT EXISTS idx_watchlist_user ON watchlist(userId, addedAt)');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS post_views (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      postId INTEGER NOT NULL,
+      viewerKey TEXT NOT NULL,
+      viewedAt TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE(postId, viewerKey),
+      FOREIGN KEY (postId) REFERENCES posts(id) ON DELETE CASCADE
+    );
+  `);
   db.exec('CREATE INDEX IF NOT EXISTS idx_follows_target ON follows(followingDiscordId)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_post_views_viewedAt ON post_views(viewedAt)');
+  // Targets are kept as nullable links so a report outlives the content it points at
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      reporterId INTEGER,
+      targetUserId INTEGER,
+      targetPostId INTEGER,
+      targetCommentId INTEGER,
+      reason TEXT NOT NULL,
+      details TEXT NOT NULL DEFAULT '',
+      status TEXT NOT NULL DEFAULT 'open',
+      assigneeId INTEGER,
+      resolutionNotes TEXT NOT NULL DEFAULT '',
+      createdAt TEXT NOT NULL DEFAULT (datetime('now')),
+      updatedAt TEXT NOT NULL DEFAULT (datetime('now')),
+      resolvedAt TEXT,
+      FOREIGN KEY (reporterId) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (targetUserId) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (targetPostId) REFERENCES posts(id) ON DELETE SET NULL,
+      FOREIGN KEY (targetCommentId) REFERENCES comments(id) ON DELETE SET NULL,
+      FOREIGN KEY (assigneeId) REFERENCES users(id) ON DELETE SET NULL
+    );
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, id)');
+  // Actor and target are snapshots rather than foreign keys, so rows never change after insert
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS moderation_actions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actorId INTEGER,
+      actorDiscordId TEXT,
+      actorName TEXT NOT NULL DEFAULT '',
+      action TEXT NOT NULL,
+      targetType TEXT NOT NULL,
+      targetId TEXT NOT NULL,
+      targetLabel TEXT NOT NULL DEFAULT '',
+      reason TEXT NOT NULL DEFAULT '',
+      beforeState TEXT,
+      afterState TEXT,
+      createdAt TEXT NOT NULL
+    );
+    CREATE TRIGGER IF NOT EXISTS moderation_actions_no_update BEFORE UPDATE ON moderation_actions
+    BEGIN
+      SELECT RAISE(ABORT, 'moderation_actions is append-only');
+    END;
+    CREATE TRIGGER IF NOT EXISTS moderation_actions_no_delete BEFORE DELETE ON moderation_actions
+    BEGIN
+      SELECT RAISE(ABORT, 'moderation_actions is append-only');
+    END;
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_moderation_actions_actor ON moderation_actions(actorDiscordId, id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_moderation_actions_target ON moderation_actions(targetType, targetId, id)');
+  // mode is 'ban' (no access) or 'suspend' (can watch, can't post); expiresAt NULL means permanent
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS bans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId INTEGER NOT NULL,
+      mode TEXT NOT NULL DEFAULT 'ban',
+      reason TEXT NOT NULL DEFAULT '',
+      expiresAt TEXT,
+      createdBy INTEGER,
+      createdAt TEXT NOT NULL,
+      liftedAt TEXT,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL
+    );
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_bans_user ON bans(userId, id)');
+  // Accounts banned before bans were tracked get a permanent row so they can appeal
+  db.prepare(`
+    INSERT INTO bans (userId, mode, createdAt)
+    SELECT u.id, 'ban', ? FROM users u
+    WHERE u.isBanned = 1 AND NOT EXISTS (SELECT 1 FROM bans b WHERE b.userId = u.id AND b.liftedAt IS NULL)
+  `).run(new Date().toISOString());
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS appeals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      banId INTEGER NOT NULL UNIQUE,
+      userId INTEGER NOT NULL,
+      message TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      response TEXT NOT NULL DEFAULT '',
+      reviewedBy INTEGER,
+      createdAt TEXT NOT NULL,
+      reviewedAt TEXT,
+      FOREIGN KEY (banId) REFERENCES bans(id) ON DELETE CASCADE,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (reviewedBy) REFERENCES users(id) ON DELETE SET NULL
+    );
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_appeals_status ON appeals(status, id)');
+  // Strikes count towards automatic escalation until they expire or are revoked
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS strikes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId INTEGER NOT NULL,
+      severity INTEGER NOT NULL DEFAULT 1,
+      reason TEXT NOT NULL DEFAULT '',
+      source TEXT NOT NULL DEFAULT 'warning',
+      targetId TEXT,
+      expiresAt TEXT,
+      createdBy INTEGER,
+      createdAt TEXT NOT NULL,
+      revokedAt TEXT,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL
+    );
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_strikes_user ON strikes(userId, id)');
+  // Roles bundle admin permissions; the built-in ones mirror the isOwner/isAdmin/isStaff flags
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS roles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      description TEXT NOT NULL DEFAULT '',
+      permissions TEXT NOT NULL DEFAULT '[]',
+      builtIn INTEGER NOT NULL DEFAULT 0,
+      createdAt TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS user_roles (
+      userId INTEGER NOT NULL,
+      roleId INTEGER NOT NULL,
+      assignedBy INTEGER,
+      createdAt TEXT NOT NULL,
+      PRIMARY KEY (userId, roleId),
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (roleId) REFERENCES roles(id) ON DELETE CASCADE,
+      FOREIGN KEY (assignedBy) REFERENCES users(id) ON DELETE SET NULL
+    );
+  `);
+  BUILT_IN_ROLES.forEach((role) => {
+    const now = new Date().toISOString();
+    const updated = db.prepare('UPDATE roles SET description = ?, permissions = ?, builtIn = 1 WHERE name = ?')
+      .run(role.description, JSON.stringify(role.permissions), role.name);
+    if (!updated.changes) {
+      db.prepare('INSERT INTO roles (name, description, permissions, builtIn, createdAt) VALUES (?, ?, ?, 1, ?)')
+        .run(role.name, role.description, JSON.stringify(role.permissions), now);
+    }
+    // Users flagged before roles existed get the matching role
+    db.prepare(`
+      INSERT OR IGNORE INTO user_roles (userId, roleId, createdAt)
+      SELECT u.id, r.id, ? FROM users u JOIN roles r ON r.name = ?
+      WHERE u.${role.flag} = 1
+    `).run(now, role.name);
+  });
+  // Sign-in sessions; refresh tokens are stored hashed
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      userId INTEGER NOT NULL,
+      refreshHash TEXT NOT NULL,
+      previousRefreshHash TEXT,
+      rotatedAt TEXT,
+      userAgent TEXT NOT NULL DEFAULT '',
+      ip TEXT NOT NULL DEFAULT '',
+      createdAt TEXT NOT NULL,
+      lastSeenAt TEXT NOT NULL,
+      expiresAt TEXT NOT NULL,
+      revokedAt TEXT,
+      revokedReason TEXT,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(userId, lastSeenAt)');
+  // Sign-in identities; accounts from before this table get the one their discordId names
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS identities (
+      provider TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      userId INTEGER NOT NULL,
+      displayName TEXT NOT NULL DEFAULT '',
+      createdAt TEXT NOT NULL,
+      lastUsedAt TEXT NOT NULL,
+      PRIMARY KEY (provider, subject),
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_identities_user ON identities(userId)');
+  // API tokens; only a hash of each token is stored
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      kind TEXT NOT NULL DEFAULT 'personal',
+      scopes TEXT NOT NULL DEFAULT '[]',
+      tokenHash TEXT NOT NULL UNIQUE,
+      prefix TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      lastUsedAt TEXT,
+      expiresAt TEXT,
+      revokedAt TEXT,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(userId)');
+  // Outbox of site events for the Discord bot; a post is announced once, however often it is republished
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS post_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      postId INTEGER NOT NULL,
+      createdAt TEXT NOT NULL,
+      UNIQUE(type, postId),
+      FOREIGN KEY (postId) REFERENCES posts(id) ON DELETE CASCADE
+    );
+  `);
+  if (!db.prepare('PRAGMA table_info(follows)').all().some((r) => r.name === 'discordDms')) {
+    db.exec('ALTER TABLE follows ADD COLUMN discordDms INTEGER NOT NULL DEFAULT 0');
+  }
+  db.prepare(`
+    INSERT OR IGNORE INTO identities (provider, subject, userId, displayName, createdAt, lastUsedAt)
+    SELECT CASE WHEN discordId LIKE 'g-%' THEN 'google' ELSE 'discord' END,
+           CASE WHEN discordId LIKE 'g-%' THEN SUBSTR(discordId, 3) ELSE discordId END,
+           id, username, @now, @now
+    FROM users
+    WHERE NOT EXISTS (SELECT 1 FROM identities i WHERE i.userId = users.id)
+  `).run({ now: new Date().toISOString() });
 
   const postColumns = db.prepare("PRAGMA table_info(posts)").all();
   const commentColumns = db.prepare("PRAGMA table_info(comments)").all();
@@ -671,10 +2296,102 @@ export function createDatabase(config) {
     db.exec("ALTER TABLE posts ADD COLUMN thumbnail TEXT DEFAULT ''");
   }
 
+  if (!postColumns.some((r) => r.name === 'processingStatus')) {
+    db.exec("ALTER TABLE posts ADD COLUMN processingStatus TEXT DEFAULT 'none'");
+  }
+
+  if (!postColumns.some((r) => r.name === 'hlsUrl')) {
+    db.exec("ALTER TABLE posts ADD COLUMN hlsUrl TEXT DEFAULT ''");
+  }
+
+  if (!postColumns.some((r) => r.name === 'processingError')) {
+    db.exec("ALTER TABLE posts ADD COLUMN processingError TEXT DEFAULT ''");
+  }
+
+  if (!postColumns.some((r) => r.name === 'previewSprite')) {
+    db.exec("ALTER TABLE posts ADD COLUMN previewSprite TEXT DEFAULT ''");
+  }
+
+  if (!postColumns.some((r) => r.name === 'previewVtt')) {
+    db.exec("ALTER TABLE posts ADD COLUMN previewVtt TEXT DEFAULT ''");
+  }
+
+  if (!postColumns.some((r) => r.name === 'views')) {
+    db.exec('ALTER TABLE posts ADD COLUMN views INTEGER NOT NULL DEFAULT 0');
+  }
+
+  // Removed posts keep status 'removed' (hidden everywhere) until restored or purged
+  if (!postColumns.some((r) => r.name === 'removedAt')) {
+    db.exec('ALTER TABLE posts ADD COLUMN removedAt TEXT');
+    db.exec('ALTER TABLE posts ADD COLUMN removedBy INTEGER REFERENCES users(id) ON DELETE SET NULL');
+    db.exec("ALTER TABLE posts ADD COLUMN removalReason TEXT DEFAULT ''");
+    db.exec('ALTER TABLE posts ADD COLUMN removedFromStatus TEXT');
+  }
+
+  // Pre-publish screening: fingerprints taken at upload, and why a post sits in 'pending_review'
+  if (!postColumns.some((r) => r.name === 'fileSha256')) {
+    db.exec('ALTER TABLE posts ADD COLUMN fileSha256 TEXT');
+    db.exec('ALTER TABLE posts ADD COLUMN filePhash TEXT');
+    db.exec('ALTER TABLE posts ADD COLUMN screeningReasons TEXT');
+    db.exec('ALTER TABLE posts ADD COLUMN heldAt TEXT');
+    db.exec('ALTER TABLE posts ADD COLUMN screeningApprovedAt TEXT');
+  }
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS screening_hashes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      hash TEXT NOT NULL,
+      note TEXT NOT NULL DEFAULT '',
+      createdBy INTEGER,
+      createdAt TEXT NOT NULL,
+      UNIQUE(kind, hash),
+      FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL
+    );
+  `);
+
   if (!commentColumns.some((r) => r.name === 'userId')) {
     db.exec('ALTER TABLE comments ADD COLUMN userId INTEGER');
   }
 
+  if (!commentColumns.some((r) => r.name === 'parentId')) {
+    db.exec('ALTER TABLE comments ADD COLUMN parentId INTEGER REFERENCES comments(id) ON DELETE CASCADE');
+  }
+
+  if (!commentColumns.some((r) => r.name === 'editedAt')) {
+    db.exec('ALTER TABLE comments ADD COLUMN editedAt TEXT');
+  }
+
+  if (!commentColumns.some((r) => r.name === 'deletedAt')) {
+    db.exec('ALTER TABLE comments ADD COLUMN deletedAt TEXT');
+  }
+
+  if (!commentColumns.some((r) => r.name === 'pinnedAt')) {
+    db.exec('ALTER TABLE comments ADD COLUMN pinnedAt TEXT');
+  }
+
+  // Full-text index over posts, kept in sync by triggers; the vocab table feeds typo correction
+  const hasSearchIndex = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'posts_fts'").get();
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS posts_fts USING fts5(
+      title, description, uploaderName,
+      content = 'posts', content_rowid = 'id', tokenize = 'porter unicode61'
+    );
+    CREATE VIRTUAL TABLE IF NOT EXISTS posts_fts_vocab USING fts5vocab(posts_fts, 'row');
+    CREATE TRIGGER IF NOT EXISTS posts_fts_insert AFTER INSERT ON posts BEGIN
+      INSERT INTO posts_fts(rowid, title, description, uploaderName) VALUES (new.id, new.title, new.description, new.uploaderName);
+    END;
+    CREATE TRIGGER IF NOT EXISTS posts_fts_delete AFTER DELETE ON posts BEGIN
+      INSERT INTO posts_fts(posts_fts, rowid, title, description, uploaderName) VALUES ('delete', old.id, old.title, old.description, old.uploaderName);
+    END;
+    CREATE TRIGGER IF NOT EXISTS posts_fts_update AFTER UPDATE OF title, description, uploaderName ON posts BEGIN
+      INSERT INTO posts_fts(posts_fts, rowid, title, description, uploaderName) VALUES ('delete', old.id, old.title, old.description, old.uploaderName);
+      INSERT INTO posts_fts(rowid, title, description, uploaderName) VALUES (new.id, new.title, new.description, new.uploaderName);
+    END;
+  `);
+  if (!hasSearchIndex) {
+    db.exec("INSERT INTO posts_fts(posts_fts) VALUES ('rebuild')");
+  }
+
   const upsertUserStmt = db.prepare(`
     INSERT INTO users (discordId, username, avatar)
     VALUES (@discordId, @username, @avatar)
@@ -682,8 +2399,10 @@ export function createDatabase(config) {
     RETURNING id, discordId, username, avatar
   `);
   const insertPostStmt = db.prepare(`
-    INSERT INTO posts (filename, type, title, description, uploaderDiscordId, uploaderName, status, editToken, createdAt, thumbnail)
-    VALUES (@filename, @type, @title, @description, @uploaderDiscordId, @uploaderName, @status, @editToken, @createdAt, @thumbnail)
+    INSERT INTO posts (filename, type, title, description, uploaderDiscordId, uploaderName, status, editToken, createdAt, thumbnail, format,
+                       fileSha256, filePhash, screeningReasons, heldAt)
+    VALUES (@filename, @type, @title, @description, @uploaderDiscordId, @uploaderName, @status, @editToken, @createdAt, @thumbnail, @format,
+            @fileSha256, @filePhash, @screeningReasons, CASE WHEN @status = 'pending_review' THEN @createdAt END)
   `);
   const getPostStmt = db.prepare(`
     SELECT p.*, COALESCE(lc.count, 0) AS likes, u.avatar AS uploaderAvatar, COALESCE(u.isVerified, 0) AS uploaderVerified
@@ -695,55 +2414,122 @@ export function createDatabase(config) {
     WHERE p.id = ?
   `);
   const listPublishedStmt = db.prepare(`
-    SELECT p.*, COALESCE(lc.count, 0) AS likes, u.avatar AS uploaderAvatar, COALESCE(u.isVerified, 0) AS uploaderVerified
+    SELECT p.*, p.id AS cursorId, COALESCE(lc.count, 0) AS likes, u.avatar AS uploaderAvatar, COALESCE(u.isVerified, 0) AS uploaderVerified
     FROM posts p
     LEFT JOIN (
       SELECT postId, COUNT(*) AS count FROM likes GROUP BY postId
     ) lc ON lc.postId = p.id
     LEFT JOIN users u ON u.discordId = p.uploaderDiscordId
     WHERE p.status = 'published'
+      AND (@format IS NULL OR p.format = @format)
+      AND (@cursorId IS NULL OR p.id < @cursorId)
     ORDER BY p.id DESC
+    LIMIT @limit
   `);
+  // createdAt is stored as an ISO string, so comparing against an ISO cutoff is chronological
   const listTrendingStmt = db.prepare(`
-    SELECT p.*, COALESCE(lc.count, 0) AS likes, u.avatar AS uploaderAvatar, COALESCE(u.isVerified, 0) AS uploaderVerified
+    SELECT p.*, COALESCE(lc.count, 0) AS likes, COALESCE(cc.count, 0) AS comments,
+           u.avatar AS uploaderAvatar, COALESCE(u.isVerified, 0) AS uploaderVerified
     FROM posts p
     LEFT JOIN (
       SELECT postId, COUNT(*) AS count FROM likes GROUP BY postId
     ) lc ON lc.postId = p.id
+    LEFT JOIN (
+      SELECT postId, COUNT(*) AS count FROM comments WHERE deletedAt IS NULL GROUP BY postId
+    ) cc ON cc.postId = p.id
     LEFT JOIN users u ON u.discordId = p.uploaderDiscordId
     WHERE p.status = 'published'
-    ORDER BY lc.count DESC, p.createdAt DESC
-    LIMIT 100
+      AND (@since IS NULL OR p.createdAt >= @since)
+    ORDER BY p.createdAt DESC
+    LIMIT @limit
   `);
-  const publishPostStmt = db.prepare(`UPDATE posts SET title = @title, description = @description, status = 'published' WHERE id = @id`);
+  const publishPostStmt = db.prepare(`UPDATE posts SET title = @title, description = @description, status = 'published' WHERE id = @id AND status IN ('draft', 'published')`);
   const hasLikeStmt = db.prepare('SELECT 1 FROM likes WHERE postId = ? AND userId = ?');
   const insertLikeStmt = db.prepare('INSERT OR IGNORE INTO likes (postId, userId) VALUES (?, ?)');
   const deleteLikeStmt = db.prepare('DELETE FROM likes WHERE postId = ? AND userId = ?');
   const countLikesStmt = db.prepare('SELECT COUNT(*) AS count FROM likes WHERE postId = ?');
   const userLikesStmt = db.prepare('SELECT postId FROM likes WHERE userId = ?');
-  const insertCommentStmt = db.prepare('INSERT INTO comments (postId, userId, text, createdAt) VALUES (?, ?, ?, ?)');
-  const listCommentsStmt = db.prepare(`
-    SELECT c.id, c.text, c.createdAt, u.username AS author, u.discordId AS authorDiscordId, u.isVerified AS authorVerified
+  const insertCommentStmt = db.prepare('INSERT INTO comments (postId, userId, text, createdAt, parentId) VALUES (?, ?, ?, ?, ?)');
+  // The pinned comment always comes first, then newest or most liked
+  const listCommentsSql = (order) => `
+    SELECT c.id, c.parentId, c.text, c.createdAt, c.editedAt, c.deletedAt, c.pinnedAt, COALESCE(cl.count, 0) AS likes,
+           u.username AS author, u.discordId AS authorDiscordId, u.isVerified AS authorVerified
     FROM comments c
     JOIN users u ON u.id = c.userId
+    LEFT JOIN (
+      SELECT commentId, COUNT(*) AS count FROM comment_likes GROUP BY commentId
+    ) cl ON cl.commentId = c.id
     WHERE c.postId = ?
-    ORDER BY c.id DESC
+    ORDER BY c.pinnedAt IS NULL, ${order}
+  `;
+  const listCommentsStmt = db.prepare(listCommentsSql('c.id DESC'));
+  const listTopCommentsStmt = db.prepare(listCommentsSql('likes DESC, c.id DESC'));
+  const hasCommentLikeStmt = db.prepare('SELECT 1 FROM comment_likes WHERE commentId = ? AND userId = ?');
+  const insertCommentLikeStmt = db.prepare('INSERT OR IGNORE INTO comment_likes (commentId, userId) VALUES (?, ?)');
+  const deleteCommentLikeStmt = db.prepare('DELETE FROM comment_likes WHERE commentId = ? AND userId = ?');
+  const countCommentLikesStmt = db.prepare('SELECT COUNT(*) AS count FROM comment_likes WHERE commentId = ?');
+  const userCommentLikesStmt = db.prepare(`
+    SELECT cl.commentId
+    FROM comment_likes cl
+    JOIN comments c ON c.id = cl.commentId
+    WHERE cl.userId = ? AND c.postId = ?
+  `);
+  const clearPinnedStmt = db.prepare('UPDATE comments SET pinnedAt = NULL WHERE postId = ? AND pinnedAt IS NOT NULL');
+  const pinCommentStmt = db.prepare('UPDATE comments SET pinnedAt = ? WHERE id = ? AND postId = ?');
+  const setCommentPinned = db.transaction((postId, commentId, pinned) => {
+    if (pinned) clearPinnedStmt.run(postId);
+    pinCommentStmt.run(pinned ? new Date().toISOString() : null, commentId, postId);
+  });
+  const getCommentStmt = db.prepare(`
+    SELECT c.id, c.postId, c.userId, c.parentId, c.text, c.deletedAt, c.pinnedAt, u.discordId AS authorDiscordId
+    FROM comments c
+    JOIN users u ON u.id = c.userId
+    WHERE c.id = ?
   `);
+  const updateCommentStmt = db.prepare("UPDATE comments SET text = ?, editedAt = ? WHERE id = ? AND deletedAt IS NULL");
+  const deleteCommentStmt = db.prepare("UPDATE comments SET text = '', deletedAt = ?, pinnedAt = NULL WHERE id = ?");
   const recordViewUpsertStmt = db.prepare(`
     INSERT INTO history (postId, userId, viewedAt)
     VALUES (?, ?, datetime('now'))
     ON CONFLICT(postId, userId) DO UPDATE SET viewedAt = excluded.viewedAt
   `);
+  const upsertPostViewStmt = db.prepare(`
+    INSERT INTO post_views (postId, viewerKey, viewedAt)
+    VALUES (@postId, @viewerKey, datetime('now'))
+    ON CONFLICT(postId, viewerKey) DO UPDATE SET viewedAt = excluded.viewedAt
+    WHERE post_views.viewedAt < datetime('now', '-' || @windowSeconds || ' seconds')
+  `);
+  const incrementViewsStmt = db.prepare('UPDATE posts SET views = views + 1 WHERE id = ?');
+  const countView = db.transaction((postId, viewerKey, windowSeconds) => {
+    const { changes } = upsertPostViewStmt.run({ postId, viewerKey, windowSeconds });
+    if (changes > 0) incrementViewsStmt.run(postId);
+    return changes > 0;
+  });
+  const listLikedStmt = db.prepare(`
+    SELECT p.*, l.createdAt AS cursorAt, l.id AS cursorId, COALESCE(lc.count, 0) AS likes, u.avatar AS uploaderAvatar, COALESCE(u.isVerified, 0) AS uploaderVerified
+    FROM likes l
+    JOIN posts p ON p.id = l.postId
+    LEFT JOIN (
+      SELECT postId, COUNT(*) AS count FROM likes GROUP BY postId
+    ) lc ON lc.postId = p.id
+    LEFT JOIN users u ON u.discordId = p.uploaderDiscordId
+    WHERE l.userId = @userId AND p.status = 'published'
+      AND (@cursorAt IS NULL OR (l.createdAt, l.id) < (@cursorAt, @cursorId))
+    ORDER BY l.createdAt DESC, l.id DESC
+    LIMIT @limit
+  `);
   const listHistoryStmt = db.prepare(`
-    SELECT p.*, h.viewedAt, COALESCE(lc.count, 0) AS likes, u.avatar AS uploaderAvatar, COALESCE(u.isVerified, 0) AS uploaderVerified
+    SELECT p.*, h.viewedAt, h.viewedAt AS cursorAt, h.id AS cursorId, COALESCE(lc.count, 0) AS likes, u.avatar AS uploaderAvatar, COALESCE(u.isVerified, 0) AS uploaderVerified
     FROM history h
     JOIN posts p ON p.id = h.postId
     LEFT JOIN (
       SELECT postId, COUNT(*) AS count FROM likes GROUP BY postId
     ) lc ON lc.postId = p.id
     LEFT JOIN users u ON u.discordId = p.uploaderDiscordId
-    WHERE h.userId = ? AND p.status = 'published'
-    ORDER BY h.viewedAt DESC
+    WHERE h.userId = @userId AND p.status = 'published'
+      AND (@cursorAt IS NULL OR (h.viewedAt, h.id) < (@cursorAt, @cursorId))
+    ORDER BY h.viewedAt DESC, h.id DESC
+    LIMIT @limit
   `);
   const addWatchStmt = db.prepare(`
     INSERT INTO watchlist (postId, userId, addedAt)
@@ -753,16 +2539,266 @@ export function createDatabase(config) {
   const removeWatchStmt = db.prepare('DELETE FROM watchlist WHERE postId = ? AND userId = ?');
   const hasWatchStmt = db.prepare('SELECT 1 FROM watchlist WHERE postId = ? AND userId = ?');
   const listWatchlistStmt = db.prepare(`
-    SELECT p.*, w.addedAt, COALESCE(lc.count, 0) AS likes, u.avatar AS uploaderAvatar, COALESCE(u.isVerified, 0) AS uploaderVerified
+    SELECT p.*, w.addedAt, w.addedAt AS cursorAt, w.id AS cursorId, COALESCE(lc.count, 0) AS likes, u.avatar AS uploaderAvatar, COALESCE(u.isVerified, 0) AS uploaderVerified
     FROM watchlist w
     JOIN posts p ON p.id = w.postId
     LEFT JOIN (
       SELECT postId, COUNT(*) AS count FROM likes GROUP BY postId
     ) lc ON lc.postId = p.id
     LEFT JOIN users u ON u.discordId = p.uploaderDiscordId
-    WHERE w.userId = ? AND p.status = 'published'
-    ORDER BY w.addedAt DESC
+    WHERE w.userId = @userId AND p.status = 'published'
+      AND (@cursorAt IS NULL OR (w.addedAt, w.id) < (@cursorAt, @cursorId))
+    ORDER BY w.addedAt DESC, w.id DESC
+    LIMIT @limit
+  `);
+  // bm25 column weights follow the index column order: title, description, uploaderName
+  const searchPostsStmt = db.prepare(`
+    SELECT p.*, COALESCE(lc.count, 0) AS likes, u.avatar AS uploaderAvatar, COALESCE(u.isVerified, 0) AS uploaderVerified,
+           bm25(posts_fts, 10.0, 2.0, 5.0) AS rank
+    FROM posts_fts
+    JOIN posts p ON p.id = posts_fts.rowid
+    LEFT JOIN (
+      SELECT postId, COUNT(*) AS count FROM likes GROUP BY postId
+    ) lc ON lc.postId = p.id
+    LEFT JOIN users u ON u.discordId = p.uploaderDiscordId
+    WHERE posts_fts MATCH @match
+      AND p.status = 'published'
+      AND (@format IS NULL OR p.format = @format)
+      AND (@type IS NULL OR p.type = @type)
+      AND (@uploader IS NULL OR p.uploaderDiscordId = @uploader)
+      AND (@from IS NULL OR p.createdAt >= @from)
+      AND (@to IS NULL OR p.createdAt <= @to)
+    ORDER BY rank ASC, p.id DESC
+    LIMIT @limit
+  `);
+  const suggestPostsStmt = db.prepare(`
+    SELECT p.id, p.title
+    FROM posts_fts
+    JOIN posts p ON p.id = posts_fts.rowid
+    WHERE posts_fts MATCH @match AND p.status = 'published' AND COALESCE(p.title, '') <> ''
+    ORDER BY p.views DESC, p.id DESC
+    LIMIT @limit
+  `);
+  const suggestUsersStmt = db.prepare(`
+    SELECT discordId, username, avatar
+    FROM users
+    WHERE COALESCE(isBanned, 0) = 0 AND LOWER(username) LIKE ? ESCAPE '\\'
+    ORDER BY username
+    LIMIT 3
+  `);
+  const reportSelect = `
+    SELECT r.id, r.id AS cursorId, r.type, r.reason, r.details, r.status, r.resolutionNotes,
+           r.createdAt, r.updatedAt, r.resolvedAt, r.targetPostId, r.targetCommentId,
+           reporter.discordId AS reporterDiscordId, reporter.username AS reporterName,
+           target.discordId AS targetUserDiscordId, target.username AS targetUserName,
+           assignee.discordId AS assigneeDiscordId, assignee.username AS assigneeName,
+           p.title AS targetPostTitle, c.text AS targetCommentText
+    FROM reports r
+    LEFT JOIN users reporter ON reporter.id = r.reporterId
+    LEFT JOIN users target ON target.id = r.targetUserId
+    LEFT JOIN users assignee ON assignee.id = r.assigneeId
+    LEFT JOIN posts p ON p.id = r.targetPostId
+    LEFT JOIN comments c ON c.id = r.targetCommentId
+  `;
+  const insertReportStmt = db.prepare(`
+    INSERT INTO reports (type, reporterId, targetUserId, targetPostId, targetCommentId, reason, details)
+    VALUES (@type, @reporterId, @targetUserId, @targetPostId, @targetCommentId, @reason, @details)
+  `);
+  const getReportStmt = db.prepare(`${reportSelect} WHERE r.id = ?`);
+  const listReportsStmt = db.prepare(`
+    ${reportSelect}
+    WHERE (@status IS NULL OR r.status = @status)
+      AND (@type IS NULL OR r.type = @type)
+      AND (@cursorId IS NULL OR r.id < @cursorId)
+    ORDER BY r.id DESC
+    LIMIT @limit
+  `);
+  const updateReportStmt = db.prepare(`
+    UPDATE reports
+    SET status = COALESCE(@status, status),
+        assigneeId = CASE WHEN @setAssignee THEN @assigneeId ELSE assigneeId END,
+        resolutionNotes = COALESCE(@resolutionNotes, resolutionNotes),
+        updatedAt = datetime('now'),
+        resolvedAt = CASE
+          WHEN COALESCE(@status, status) IN ('resolved', 'dismissed') THEN COALESCE(resolvedAt, datetime('now'))
+          ELSE NULL
+        END
+    WHERE id = @id
+  `);
+  const banColumns = 'id, userId, mode, reason, expiresAt, createdAt, liftedAt';
+  const liftBansStmt = db.prepare('UPDATE bans SET liftedAt = ? WHERE userId = ? AND liftedAt IS NULL');
+  const setBanFlagsStmt = db.prepare('UPDATE users SET isBanned = ?, isSuspended = ? WHERE id = ?');
+  const insertBanStmt = db.prepare(`
+    INSERT INTO bans (userId, mode, reason, expiresAt, createdBy, createdAt)
+    VALUES (@userId, @mode, @reason, @expiresAt, @createdBy, @createdAt)
+  `);
+  const getBanStmt = db.prepare(`SELECT ${banColumns} FROM bans WHERE id = ?`);
+  const activeBanStmt = db.prepare(`SELECT ${banColumns} FROM bans WHERE userId = ? AND liftedAt IS NULL ORDER BY id DESC LIMIT 1`);
+  const createBan = db.transaction((ban) => {
+    liftBansStmt.run(ban.createdAt, ban.userId);
+    const info = insertBanStmt.run(ban);
+    setBanFlagsStmt.run(ban.mode === 'ban' ? 1 : 0, ban.mode === 'suspend' ? 1 : 0, ban.userId);
+    return getBanStmt.get(info.lastInsertRowid);
+  });
+  const liftBan = db.transaction((userId) => {
+    const info = liftBansStmt.run(new Date().toISOString(), userId);
+    setBanFlagsStmt.run(0, 0, userId);
+    return info.changes > 0;
+  });
+  const liftExpiredBans = db.transaction((now) => {
+    const expired = db.prepare(`
+      SELECT DISTINCT userId FROM bans WHERE liftedAt IS NULL AND expiresAt IS NOT NULL AND expiresAt <= ?
+    `).all(now);
+    expired.forEach(({ userId }) => {
+      liftBansStmt.run(now, userId);
+      setBanFlagsStmt.run(0, 0, userId);
+    });
+    return expired.length;
+  });
+  const purgePost = db.transaction((postId) => {
+    const post = db.prepare("SELECT id FROM posts WHERE id = ? AND status = 'removed'").get(postId);
+    if (!post) return false;
+    db.prepare('DELETE FROM comment_likes WHERE commentId IN (SELECT id FROM comments WHERE postId = ?)').run(postId);
+    ['comments', 'likes', 'history', 'watchlist', 'post_views'].forEach((table) => {
+      db.prepare(`DELETE FROM ${table} WHERE postId = ?`).run(postId);
+    });
+    db.prepare('UPDATE reports SET targetPostId = NULL WHERE targetPostId = ?').run(postId);
+    db.prepare('DELETE FROM posts WHERE id = ?').run(postId);
+    return true;
+  });
+  const strikeSelect = `
+    SELECT s.id, s.severity, s.reason, s.source, s.targetId, s.expiresAt, s.createdAt, s.revokedAt,
+           u.discordId AS userDiscordId, creator.username AS createdByName
+    FROM strikes s
+    JOIN users u ON u.id = s.userId
+    LEFT JOIN users creator ON creator.id = s.createdBy
+  `;
+  const getStrikeStmt = db.prepare(`${strikeSelect} WHERE s.id = ?`);
+  const activeStrikesFilter = 'revokedAt IS NULL AND (expiresAt IS NULL OR expiresAt > @now)';
+  const roleSelect = `
+    SELECT r.id, r.name, r.description, r.permissions, r.builtIn, r.createdAt, COUNT(ur.userId) AS memberCount
+    FROM roles r
+    LEFT JOIN user_roles ur ON ur.roleId = r.id
+  `;
+  const getSessionStmt = db.prepare('SELECT * FROM sessions WHERE id = ?');
+  const toRole = (row) => row && { ...row, permissions: JSON.parse(row.permissions || '[]'), builtIn: Boolean(row.builtIn) };
+  const syncRoleFlagsStmt = db.prepare(`UPDATE users SET ${roleFlagsSql} WHERE id = ?`);
+  const setUserRoles = db.transaction((userId, roleIds, assignedBy) => {
+    const keep = new Set(roleIds);
+    db.prepare('SELECT roleId FROM user_roles WHERE userId = ?').all(userId).forEach(({ roleId }) => {
+      if (!keep.has(roleId)) db.prepare('DELETE FROM user_roles WHERE userId = ? AND roleId = ?').run(userId, roleId);
+    });
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO user_roles (userId, roleId, assignedBy, createdAt)
+      SELECT ?, id, ?, ? FROM roles WHERE id = ?
+    `);
+    const now = new Date().toISOString();
+    roleIds.forEach((roleId) => insert.run(userId, assignedBy, now, roleId));
+    syncRoleFlagsStmt.run(userId);
+  });
+  const apiTokenColumns = 'id, userId, name, kind, scopes, prefix, createdAt, lastUsedAt, expiresAt, revokedAt';
+  const toApiToken = (row) => row && { ...row, scopes: JSON.parse(row.scopes || '[]') };
+  const getIdentityStmt = db.prepare('SELECT * FROM identities WHERE provider = ? AND subject = ?');
+  // See the Postgres mergeUsers; foreign keys aren't enforced here, so sessions are deleted by hand
+  const mergeUsers = db.transaction((keepId, mergeId) => {
+    const getUser = db.prepare('SELECT id, discordId, username, isVerified FROM users WHERE id = ?');
+    const keep = getUser.get(keepId);
+    const merge = getUser.get(mergeId);
+    if (!keep || !merge || keep.id === merge.id) return false;
+    const ids = { keep: keep.id, merge: merge.id };
+
+    db.prepare('UPDATE posts SET uploaderDiscordId = ?, uploaderName = ? WHERE uploaderDiscordId = ?')
+      .run(keep.discordId, keep.username, merge.discordId);
+    // Posts both accounts watched keep the later view time
+    db.prepare(`
+      UPDATE history
+      SET viewedAt = MAX(viewedAt, COALESCE((SELECT m.viewedAt FROM history m WHERE m.userId = @merge AND m.postId = history.postId), viewedAt))
+      WHERE userId = @keep
+    `).run(ids);
+    UNIQUE_USER_REFERENCES.forEach(([table, column, key]) => {
+      db.prepare(`
+        UPDATE ${table} SET ${column} = @keep
+        WHERE ${column} = @merge AND ${key} NOT IN (SELECT ${key} FROM ${table} WHERE ${column} = @keep)
+      `).run(ids);
+      db.prepare(`DELETE FROM ${table} WHERE ${column} = ?`).run(merge.id);
+    });
+    // Followers of the merged account now follow the kept one; nobody follows themselves
+    db.prepare(`
+      UPDATE follows SET followingDiscordId = @keepKey
+      WHERE followingDiscordId = @mergeKey AND followerId NOT IN (SELECT followerId FROM follows WHERE followingDiscordId = @keepKey)
+    `).run({ keepKey: keep.discordId, mergeKey: merge.discordId });
+    db.prepare('DELETE FROM follows WHERE followingDiscordId = ? OR (followerId = ? AND followingDiscordId = ?)')
+      .run(merge.discordId, keep.id, keep.discordId);
+    USER_REFERENCES.forEach(([table, column]) => {
+      db.prepare(`UPDATE ${table} SET ${column} = @keep WHERE ${column} = @merge`).run(ids);
+    });
+    db.prepare('DELETE FROM sessions WHERE userId = ?').run(merge.id);
+    db.prepare('UPDATE users SET isVerified = ? WHERE id = ?').run(keep.isVerified || merge.isVerified ? 1 : 0, keep.id);
+    syncRoleFlagsStmt.run(keep.id);
+    db.prepare('DELETE FROM users WHERE id = ?').run(merge.id);
+    return true;
+  });
+  const appealSelect = `
+    SELECT a.id, a.id AS cursorId, a.banId, a.message, a.status, a.response, a.createdAt, a.reviewedAt,
+           u.discordId AS userDiscordId, u.username AS userName,
+           b.mode AS banMode, b.reason AS banReason, b.expiresAt AS banExpiresAt, b.liftedAt AS banLiftedAt,
+           reviewer.username AS reviewerName
+    FROM appeals a
+    JOIN users u ON u.id = a.userId
+    JOIN bans b ON b.id = a.banId
+    LEFT JOIN users reviewer ON reviewer.id = a.reviewedBy
+  `;
+  const getAppealStmt = db.prepare(`${appealSelect} WHERE a.id = ?`);
+  const getAppealForBanStmt = db.prepare(`${appealSelect} WHERE a.banId = ?`);
+  const listAppealsStmt = db.prepare(`
+    ${appealSelect}
+    WHERE (@status IS NULL OR a.status = @status)
+      AND (@cursorId IS NULL OR a.id < @cursorId)
+    ORDER BY a.id DESC
+    LIMIT @limit
+  `);
+  const insertModerationActionStmt = db.prepare(`
+    INSERT INTO moderation_actions (actorId, actorDiscordId, actorName, action, targetType, targetId, targetLabel, reason, beforeState, afterState, createdAt)
+    VALUES (@actorId, @actorDiscordId, @actorName, @action, @targetType, @targetId, @targetLabel, @reason, @beforeState, @afterState, @createdAt)
+  `);
+  const listModerationActionsStmt = db.prepare(`
+    SELECT id, id AS cursorId, actorDiscordId, actorName, action, targetType, targetId, targetLabel, reason,
+           beforeState, afterState, createdAt
+    FROM moderation_actions
+    WHERE (@actor IS NULL OR actorDiscordId = @actor)
+      AND (@action IS NULL OR action = @action)
+      AND (@targetType IS NULL OR targetType = @targetType)
+      AND (@targetId IS NULL OR targetId = @targetId)
+      AND (@from IS NULL OR createdAt >= @from)
+      AND (@to IS NULL OR createdAt <= @to)
+      AND (@cursorId IS NULL OR id < @cursorId)
+    ORDER BY id DESC
+    LIMIT @limit
   `);
+  const lookupUsersStmt = db.prepare(`
+    SELECT discordId, username, avatar, isVerified
+    FROM users
+    WHERE COALESCE(isBanned, 0) = 0 AND LOWER(username) LIKE ? ESCAPE '\\'
+    ORDER BY LENGTH(username), username
+    LIMIT ?
+  `);
+  const vocabPrefixStmt = db.prepare('SELECT 1 FROM posts_fts_vocab WHERE term >= ? AND term < ? LIMIT 1');
+  // Typos in the first letter are rare, and limiting candidates to it keeps the scan small
+  const vocabByInitialStmt = db.prepare('SELECT term FROM posts_fts_vocab WHERE term >= ? AND term < ?');
+
+  // Each term matches as a prefix; unknown terms also accept their closest indexed words
+  function buildFtsMatch(terms) {
+    return terms.map((term) => {
+      const options = [`"${term}"*`];
+      if (!vocabPrefixStmt.get(term, `${term}\uffff`)) {
+        const initial = term[0];
+        const vocabulary = vocabByInitialStmt.all(initial, `${initial}\uffff`).map((r) => r.term);
+        closestTerms(term, vocabulary).forEach((word) => options.push(`"${word}"`));
+      }
+      return options.length > 1 ? `(${options.join(' OR ')})` : options[0];
+    }).join(' AND ');
+  }
+
   const hasFollowStmt = db.prepare('SELECT 1 FROM follows WHERE followerId = ? AND followingDiscordId = ?');
   const followInsertStmt = db.prepare('INSERT OR IGNORE INTO follows (followerId, followingDiscordId) VALUES (?, ?)');
   const followDeleteStmt = db.prepare('DELETE FROM follows WHERE followerId = ? AND followingDiscordId = ?');
@@ -776,38 +2812,187 @@ export function createDatabase(config) {
     },
 
     async getUserById(id) {
-      return db.prepare('SELECT id, discordId, username, avatar FROM users WHERE id = ? LIMIT 1').get(id);
+      const user = db.prepare('SELECT id, discordId, username, avatar, isAdmin, isBanned, isOwner, isSuspended FROM users WHERE id = ? LIMIT 1').get(id);
+      if (!user) return user;
+      return {
+        ...user,
+        isAdmin: Boolean(user.isAdmin),
+        isBanned: Boolean(user.isBanned),
+        isOwner: Boolean(user.isOwner),
+        isSuspended: Boolean(user.isSuspended)
+      };
     },
 
     async getUserByDiscordId(discordId) {
       return db.prepare('SELECT id, discordId, username, avatar, isAdmin, isBanned, isVerified FROM users WHERE discordId = ? LIMIT 1').get(discordId);
     },
 
-    insertPost: (data) => Promise.resolve(insertPostStmt.run(data)),
+    insertPost: (data) => Promise.resolve(insertPostStmt.run({
+      ...data,
+      fileSha256: data.fileSha256 || null,
+      filePhash: data.filePhash || null,
+      screeningReasons: data.screeningReasons ? JSON.stringify(data.screeningReasons) : null
+    })),
 
     getPost: (id) => Promise.resolve(getPostStmt.get(id)),
 
-    listPublished: () => Promise.resolve(listPublishedStmt.all()),
+    listPublished: ({ format = null, cursor = null, limit = 50 } = {}) => Promise.resolve(
+      listPublishedStmt.all({ format, cursorId: cursor?.id ?? null, limit })
+    ),
 
-    searchPosts: (query) => {
-      const searchTerm = `%${query}%`;
-      const stmt = db.prepare(`
-        SELECT p.*, COALESCE(lc.count, 0) AS likes, u.avatar AS uploaderAvatar, COALESCE(u.isVerified, 0) AS uploaderVerified
+    async searchPosts(query, { format = null, type = null, uploader = null, from = null, to = null, limit = 50 } = {}) {
+      const terms = parseSearchTerms(query);
+      if (!terms.length) return [];
+      return searchPostsStmt.all({ match: buildFtsMatch(terms), format, type, uploader, from, to, limit });
+    },
+
+    // Autocomplete: post titles matching every typed prefix, plus matching usernames
+    async suggestSearch(query, limit = 8) {
+      const terms = parseSearchTerms(query);
+      if (!terms.length) return { posts: [], users: [] };
+      const match = `title : (${terms.map((term) => `"${term}"*`).join(' AND ')})`;
+      return {
+        posts: suggestPostsStmt.all({ match, limit }),
+        users: suggestUsersStmt.all(likePrefix(query))
+      };
+    },
+
+    // Mention targets by lowercased username, oldest account first
+    async findUsersByUsernames(names) {
+      if (!names.length) return [];
+      return db.prepare(`
+        SELECT id, discordId, username
+        FROM users
+        WHERE COALESCE(isBanned, 0) = 0 AND LOWER(username) IN (${names.map(() => '?').join(', ')})
+        ORDER BY id
+      `).all(...names);
+    },
+
+    // @username autocomplete
+    lookupUsers: (query, limit = 8) => Promise.resolve(lookupUsersStmt.all(likePrefix(query), limit)),
+
+    // Candidates for trending (newest first); scoring happens in trending.js
+    listTrending: ({ since = null, limit = 1000 } = {}) => Promise.resolve(listTrendingStmt.all({ since, limit })),
+
+    // Held and removed posts stay as they are; returns whether the post was published
+    publishPost: (data) => Promise.resolve(publishPostStmt.run(data).changes > 0),
+
+    // Edits a draft without publishing it
+    async updatePostText({ id, title, description }) {
+      db.prepare('UPDATE posts SET title = ?, description = ? WHERE id = ?').run(title, description, id);
+    },
+
+    // Takes a published post back to draft; returns whether it was published
+    async unpublishPost(id) {
+      const info = db.prepare(`UPDATE posts SET status = 'draft' WHERE id = ? AND status = 'published'`).run(id);
+      return info.changes > 0;
+    },
+
+    // Everything an uploader has that isn't removed, drafts and held posts included
+    async listUploaderPosts(discordId, { limit = 25 } = {}) {
+      return db.prepare(`
+        SELECT p.id, p.title, p.type, p.format, p.status, p.views, p.createdAt,
+               (SELECT COUNT(*) FROM likes l WHERE l.postId = p.id) AS likes
         FROM posts p
-        LEFT JOIN (
-          SELECT postId, COUNT(*) AS count FROM likes GROUP BY postId
-        ) lc ON lc.postId = p.id
-        LEFT JOIN users u ON u.discordId = p.uploaderDiscordId
-        WHERE p.status = 'published' AND (LOWER(p.title) LIKE LOWER(?) OR LOWER(p.description) LIKE LOWER(?) OR LOWER(p.uploaderName) LIKE LOWER(?))
+        WHERE p.uploaderDiscordId = ? AND p.status <> 'removed'
         ORDER BY p.id DESC
-        LIMIT 50
-      `);
-      return Promise.resolve(stmt.all(searchTerm, searchTerm, searchTerm));
+        LIMIT ?
+      `).all(discordId, limit);
+    },
+
+    async getPostStats(postId) {
+      return db.prepare(`
+        SELECT (SELECT COUNT(*) FROM likes WHERE postId = @postId) AS likes,
+               (SELECT COUNT(*) FROM comments WHERE postId = @postId AND deletedAt IS NULL) AS comments,
+               (SELECT COUNT(*) FROM watchlist WHERE postId = @postId) AS watchLater
+      `).get({ postId });
+    },
+
+    // Saves the edit but keeps the post out of every feed until an admin reviews it
+    async holdPost({ id, title, description, reasons }) {
+      db.prepare(`
+        UPDATE posts SET title = ?, description = ?, status = 'pending_review', screeningReasons = ?, heldAt = ?
+        WHERE id = ?
+      `).run(title, description, JSON.stringify(reasons), new Date().toISOString(), id);
     },
 
-    listTrending: () => Promise.resolve(listTrendingStmt.all()),
+    async listHeldPosts({ cursor = null, limit = 50 } = {}) {
+      return db.prepare(`
+        SELECT p.id, p.id AS cursorId, p.title, p.description, p.type, p.filename, p.thumbnail, p.uploaderDiscordId, p.uploaderName,
+               p.heldAt, p.screeningReasons, p.fileSha256, p.filePhash
+        FROM posts p
+        WHERE p.status = 'pending_review' AND (@cursorId IS NULL OR p.id < @cursorId)
+        ORDER BY p.id DESC
+        LIMIT @limit
+      `).all({ cursorId: cursor?.id ?? null, limit }).map((row) => ({
+        ...row,
+        screeningReasons: row.screeningReasons ? JSON.parse(row.screeningReasons) : []
+      }));
+    },
+
+    countHeldPosts: () => Promise.resolve(db.prepare("SELECT COUNT(*) AS count FROM posts WHERE status = 'pending_review'").get().count),
+
+    // Publishes a held post; later edits skip the file checks its approval covered
+    async approvePost(postId) {
+      const info = db.prepare(`
+        UPDATE posts SET status = 'published', screeningApprovedAt = ? WHERE id = ? AND status = 'pending_review'
+      `).run(new Date().toISOString(), postId);
+      return info.changes > 0;
+    },
+
+    listBlockedHashes: () => Promise.resolve(db.prepare(`
+      SELECT h.id, h.kind, h.hash, h.note, h.createdAt, u.username AS createdByName
+      FROM screening_hashes h
+      LEFT JOIN users u ON u.id = h.createdBy
+      ORDER BY h.id DESC
+    `).all()),
+
+    // Returns null if the hash was already blocked
+    async addBlockedHash({ kind, hash, note = '', createdBy = null }) {
+      const info = db.prepare(`
+        INSERT INTO screening_hashes (kind, hash, note, createdBy, createdAt) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(kind, hash) DO NOTHING
+      `).run(kind, hash, note, createdBy, new Date().toISOString());
+      return info.changes
+        ? db.prepare('SELECT id, kind, hash, note, createdAt FROM screening_hashes WHERE id = ?').get(info.lastInsertRowid)
+        : null;
+    },
+
+    async removeBlockedHash(id) {
+      return db.prepare('DELETE FROM screening_hashes WHERE id = ?').run(id).changes > 0;
+    },
+
+    // Transcoding state: none | queued | processing | ready | failed
+    async setProcessingState(postId, { status, hlsUrl = null, error = null }) {
+      db.prepare(`
+        UPDATE posts
+        SET processingStatus = ?,
+            hlsUrl = COALESCE(?, hlsUrl),
+            processingError = COALESCE(?, processingError)
+        WHERE id = ?
+      `).run(status, hlsUrl, error, postId);
+    },
+
+    // Generated poster only fills in when the uploader didn't attach a thumbnail
+    async setPreviewAssets(postId, { poster, previewSprite, previewVtt }) {
+      db.prepare(`
+        UPDATE posts
+        SET thumbnail = CASE WHEN COALESCE(thumbnail, '') = '' THEN ? ELSE thumbnail END,
+            previewSprite = ?,
+            previewVtt = ?
+        WHERE id = ?
+      `).run(poster, previewSprite, previewVtt, postId);
+    },
 
-    publishPost: (data) => Promise.resolve(publishPostStmt.run(data)),
+    async listPostsByProcessingStatus(statuses) {
+      const placeholders = statuses.map(() => '?').join(', ');
+      return db.prepare(`
+        SELECT id, filename, type, processingStatus
+        FROM posts
+        WHERE processingStatus IN (${placeholders})
+        ORDER BY id ASC
+      `).all(...statuses);
+    },
 
     async setLike(postId, userId, like) {
       if (like) {
@@ -828,17 +3013,66 @@ export function createDatabase(config) {
       return userLikesStmt.all(userId).map((r) => r.postId);
     },
 
-    insertComment: (postId, userId, text, createdAt) => Promise.resolve(insertCommentStmt.run(postId, userId, text, createdAt).lastInsertRowid),
+    insertComment: (postId, userId, text, createdAt, parentId = null) => Promise.resolve(insertCommentStmt.run(postId, userId, text, createdAt, parentId).lastInsertRowid),
 
-    listComments: (postId) => Promise.resolve(listCommentsStmt.all(postId))
-    ,
+    // Flat list including tombstones; callers build the reply tree from parentId
+    listComments: (postId, { sort = 'newest' } = {}) => Promise.resolve(
+      (sort === 'top' ? listTopCommentsStmt : listCommentsStmt).all(postId)
+    ),
+
+    async setCommentLike(commentId, userId, like) {
+      if (like) {
+        insertCommentLikeStmt.run(commentId, userId);
+      } else {
+        deleteCommentLikeStmt.run(commentId, userId);
+      }
+      return countCommentLikesStmt.get(commentId).count;
+    },
+
+    async hasUserLikedComment(commentId, userId) {
+      return Boolean(hasCommentLikeStmt.get(commentId, userId));
+    },
+
+    async getUserCommentLikes(userId, postId) {
+      return userCommentLikesStmt.all(userId, postId).map((r) => r.commentId);
+    },
+
+    // A post has at most one pinned comment; pinning another replaces it
+    async setCommentPinned(postId, commentId, pinned) {
+      setCommentPinned(postId, commentId, pinned);
+    },
+
+    getComment: (commentId) => Promise.resolve(getCommentStmt.get(commentId)),
+
+    async updateComment(commentId, text) {
+      updateCommentStmt.run(text, new Date().toISOString(), commentId);
+    },
+
+    // Soft delete: the row stays as a tombstone so replies keep their place in the thread
+    async deleteComment(commentId) {
+      deleteCommentStmt.run(new Date().toISOString(), commentId);
+    },
 
     async recordView(postId, userId) {
       recordViewUpsertStmt.run(postId, userId);
     },
 
-    async listHistory(userId) {
-      return listHistoryStmt.all(userId);
+    // A viewer counts once per post per window; returns whether this play was counted
+    async countView(postId, viewerKey, windowSeconds) {
+      return countView(postId, viewerKey, windowSeconds);
+    },
+
+    // Entries past the window no longer affect deduplication
+    async pruneViewLog(windowSeconds) {
+      db.prepare("DELETE FROM post_views WHERE viewedAt < datetime('now', '-' || ? || ' seconds')").run(windowSeconds);
+    },
+
+    async listLiked(userId, { cursor = null, limit = 50 } = {}) {
+      return listLikedStmt.all({ userId, cursorAt: cursor?.at ?? null, cursorId: cursor?.id ?? null, limit });
+    },
+
+    async listHistory(userId, { cursor = null, limit = 50 } = {}) {
+      return listHistoryStmt.all({ userId, cursorAt: cursor?.at ?? null, cursorId: cursor?.id ?? null, limit });
     },
 
     async setWatchLater(postId, userId, add) {
@@ -855,8 +3089,8 @@ export function createDatabase(config) {
       return Boolean(row);
     },
 
-    async listWatchlist(userId) {
-      return listWatchlistStmt.all(userId);
+    async listWatchlist(userId, { cursor = null, limit = 50 } = {}) {
+      return listWatchlistStmt.all({ userId, cursorAt: cursor?.at ?? null, cursorId: cursor?.id ?? null, limit });
     },
 
     async setFollow(followerId, followingDiscordId, follow) {
@@ -878,13 +3112,77 @@ export function createDatabase(config) {
       return row?.count || 0;
     },
 
-    async deletePost(postId) {
-      db.prepare('DELETE FROM posts WHERE id = ?').run(postId);
-      return true;
+    async getFollow(followerId, followingDiscordId) {
+      const row = db.prepare('SELECT discordDms FROM follows WHERE followerId = ? AND followingDiscordId = ?').get(followerId, followingDiscordId);
+      return row ? { discordDms: Boolean(row.discordDms) } : null;
+    },
+
+    // Opts a follower in or out of Discord DMs for the creator's new posts; false when not following
+    async setFollowDiscordDms(followerId, followingDiscordId, enabled) {
+      const info = db.prepare('UPDATE follows SET discordDms = ? WHERE followerId = ? AND followingDiscordId = ?')
+        .run(enabled ? 1 : 0, followerId, followingDiscordId);
+      return info.changes > 0;
+    },
+
+    // Discord user ids of the creator's followers who asked for DMs and have Discord linked
+    async listDiscordDmFollowers(followingDiscordId) {
+      return db.prepare(`
+        SELECT DISTINCT i.subject
+        FROM follows f
+        JOIN identities i ON i.userId = f.followerId AND i.provider = 'discord'
+        WHERE f.followingDiscordId = ? AND f.discordDms = 1
+      `).all(followingDiscordId).map((row) => row.subject);
+    },
+
+    // Soft delete: hides the post and remembers who removed it and why; false if it was already removed
+    async removePost(postId, { removedBy = null, reason = '' } = {}) {
+      const info = db.prepare(`
+        UPDATE posts
+        SET removedFromStatus = status, status = 'removed', removedAt = ?, removedBy = ?, removalReason = ?
+        WHERE id = ? AND status <> 'removed'
+      `).run(new Date().toISOString(), removedBy, reason, postId);
+      return info.changes > 0;
+    },
+
+    async restorePost(postId) {
+      const info = db.prepare(`
+        UPDATE posts
+        SET status = COALESCE(removedFromStatus, 'published'), removedAt = NULL, removedBy = NULL, removalReason = '', removedFromStatus = NULL
+        WHERE id = ? AND status = 'removed'
+      `).run(postId);
+      return info.changes > 0;
+    },
+
+    async listRemovedPosts({ cursor = null, limit = 50 } = {}) {
+      return db.prepare(`
+        SELECT p.id, p.id AS cursorId, p.title, p.type, p.filename, p.thumbnail, p.uploaderDiscordId, p.uploaderName,
+               p.removedAt, p.removalReason, remover.username AS removedByName
+        FROM posts p
+        LEFT JOIN users remover ON remover.id = p.removedBy
+        WHERE p.status = 'removed' AND (@cursorId IS NULL OR p.id < @cursorId)
+        ORDER BY p.id DESC
+        LIMIT @limit
+      `).all({ cursorId: cursor?.id ?? null, limit });
+    },
+
+    // Removed posts past the retention window, with everything the storage cleanup needs
+    async listPurgeablePosts(removedBefore) {
+      return db.prepare(`
+        SELECT id, filename, thumbnail
+        FROM posts WHERE status = 'removed' AND removedAt <= ?
+        ORDER BY id
+      `).all(removedBefore);
     },
 
+    // Hard delete with everything hanging off the post; SQLite doesn't enforce the foreign keys for us
+    purgePost: (postId) => Promise.resolve(purgePost(postId)),
+
+    // Permanent full ban or lift; kept for callers that only know the boolean
     async setBanned(discordId, banned) {
-      db.prepare('UPDATE users SET isBanned = ? WHERE discordId = ?').run(banned ? 1 : 0, discordId);
+      const user = await this.getUserByDiscordId(discordId);
+      if (!user) return false;
+      if (banned) await this.createBan({ userId: user.id, mode: 'ban' });
+      else await this.liftBan(user.id);
       return true;
     },
 
@@ -893,28 +3191,243 @@ export function createDatabase(config) {
       return true;
     },
 
+    // The admin, staff and owner flags are granted through their built-in roles
     async setAdmin(discordId, admin) {
-      db.prepare('UPDATE users SET isAdmin = ? WHERE discordId = ?').run(admin ? 1 : 0, discordId);
-      return true;
+      return this.setBuiltInRole(discordId, 'admin', admin);
     },
 
     async setStaff(discordId, staff) {
-      db.prepare('UPDATE users SET isStaff = ? WHERE discordId = ?').run(staff ? 1 : 0, discordId);
-      return true;
+      return this.setBuiltInRole(discordId, 'staff', staff);
     },
 
     async setOwner(discordId, owner) {
-      db.prepare('UPDATE users SET isOwner = ? WHERE discordId = ?').run(owner ? 1 : 0, discordId);
+      return this.setBuiltInRole(discordId, 'owner', owner);
+    },
+
+    async setBuiltInRole(discordId, name, assigned) {
+      const user = db.prepare('SELECT id FROM users WHERE discordId = ?').get(discordId);
+      if (!user) return true;
+      if (assigned) {
+        db.prepare('INSERT OR IGNORE INTO user_roles (userId, roleId, createdAt) SELECT ?, id, ? FROM roles WHERE name = ?')
+          .run(user.id, new Date().toISOString(), name);
+      } else {
+        db.prepare('DELETE FROM user_roles WHERE userId = ? AND roleId IN (SELECT id FROM roles WHERE name = ?)').run(user.id, name);
+      }
+      syncRoleFlagsStmt.run(user.id);
       return true;
     },
 
+    // Roles and permissions
+    listRoles: () => Promise.resolve(db.prepare(`${roleSelect} GROUP BY r.id ORDER BY r.builtIn DESC, r.id`).all().map(toRole)),
+
+    getRole: (id) => Promise.resolve(toRole(db.prepare(`${roleSelect} WHERE r.id = ? GROUP BY r.id`).get(id)) || null),
+
+    // Returns null if the name is taken
+    async createRole({ name, description = '', permissions = [] }) {
+      const info = db.prepare(`
+        INSERT INTO roles (name, description, permissions, createdAt) VALUES (?, ?, ?, ?)
+        ON CONFLICT(name) DO NOTHING
+      `).run(name, description, JSON.stringify(permissions), new Date().toISOString());
+      return info.changes ? this.getRole(info.lastInsertRowid) : null;
+    },
+
+    // Built-in roles keep the permissions defined in code; returns null for them
+    async updateRole(id, { description, permissions }) {
+      const info = db.prepare(`
+        UPDATE roles SET description = COALESCE(?, description), permissions = COALESCE(?, permissions)
+        WHERE id = ? AND builtIn = 0
+      `).run(description ?? null, permissions ? JSON.stringify(permissions) : null, id);
+      return info.changes ? this.getRole(id) : null;
+    },
+
+    async deleteRole(id) {
+      const info = db.prepare('DELETE FROM roles WHERE id = ? AND builtIn = 0').run(id);
+      if (info.changes) db.prepare('DELETE FROM user_roles WHERE roleId = ?').run(id);
+      return info.changes > 0;
+    },
+
+    async getUserRoles(userId) {
+      return db.prepare(`
+        SELECT r.id, r.name, r.description, r.permissions, r.builtIn
+        FROM user_roles ur JOIN roles r ON r.id = ur.roleId
+        WHERE ur.userId = ? ORDER BY r.builtIn DESC, r.id
+      `).all(userId).map(toRole);
+    },
+
+    async getUserPermissions(userId) {
+      const rows = db.prepare(`
+        SELECT DISTINCT p.value AS permission
+        FROM user_roles ur JOIN roles r ON r.id = ur.roleId, json_each(r.permissions) p
+        WHERE ur.userId = ?
+      `).all(userId);
+      return rows.map((r) => r.permission);
+    },
+
+    // Replaces the user's roles and re-syncs the built-in role flags
+    async setUserRoles(userId, roleIds, assignedBy = null) {
+      setUserRoles(userId, roleIds, assignedBy);
+      return this.getUserRoles(userId);
+    },
+
+    // Sign-in sessions
+    async createSession({ id, userId, refreshHash, userAgent = '', ip = '', expiresAt }) {
+      const now = new Date().toISOString();
+      db.prepare(`
+        INSERT INTO sessions (id, userId, refreshHash, userAgent, ip, createdAt, lastSeenAt, expiresAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(id, userId, refreshHash, userAgent, ip, now, now, expiresAt);
+      return getSessionStmt.get(id);
+    },
+
+    getSession: (id) => Promise.resolve(getSessionStmt.get(id) || null),
+
+    // Swaps the refresh token, only if it is still the one the caller presented; returns whether it did
+    async rotateSession(id, { from, to, expiresAt }) {
+      const now = new Date().toISOString();
+      const info = db.prepare(`
+        UPDATE sessions
+        SET previousRefreshHash = refreshHash, refreshHash = ?, rotatedAt = ?, lastSeenAt = ?, expiresAt = ?
+        WHERE id = ? AND refreshHash = ? AND revokedAt IS NULL
+      `).run(to, now, now, expiresAt, id, from);
+      return info.changes > 0;
+    },
+
+    async touchSession(id) {
+      db.prepare('UPDATE sessions SET lastSeenAt = ? WHERE id = ?').run(new Date().toISOString(), id);
+    },
+
+    // Sessions still signed in, most recently used first
+    async listSessions(userId) {
+      return db.prepare(`
+        SELECT * FROM sessions
+        WHERE userId = ? AND revokedAt IS NULL AND expiresAt > ?
+        ORDER BY lastSeenAt DESC
+      `).all(userId, new Date().toISOString());
+    },
+
+    async revokeSession(id, reason) {
+      const info = db.prepare('UPDATE sessions SET revokedAt = ?, revokedReason = ? WHERE id = ? AND revokedAt IS NULL')
+        .run(new Date().toISOString(), reason, id);
+      return info.changes > 0;
+    },
+
+    async revokeUserSessions(userId, { reason, exceptId = null } = {}) {
+      const info = db.prepare(`
+        UPDATE sessions SET revokedAt = @now, revokedReason = @reason
+        WHERE userId = @userId AND revokedAt IS NULL AND (@exceptId IS NULL OR id <> @exceptId)
+      `).run({ now: new Date().toISOString(), reason, userId, exceptId });
+      return info.changes;
+    },
+
+    // Drops sessions that ended before the cutoff
+    async pruneSessions(before) {
+      db.prepare('DELETE FROM sessions WHERE expiresAt < ? OR revokedAt < ?').run(before, before);
+    },
+
+    // Bot event outbox
+    async recordPostEvent(type, postId) {
+      db.prepare('INSERT OR IGNORE INTO post_events (type, postId, createdAt) VALUES (?, ?, ?)').run(type, postId, new Date().toISOString());
+    },
+
+    // Events after the given id whose post is still published, oldest first
+    async listPostEvents({ after = 0, limit = 50 } = {}) {
+      return db.prepare(`
+        SELECT e.id, e.type, e.postId, e.createdAt,
+               p.title, p.description, p.type AS postType, p.format, p.filename, p.thumbnail,
+               p.uploaderDiscordId, p.uploaderName, u.avatar AS uploaderAvatar
+        FROM post_events e
+        JOIN posts p ON p.id = e.postId
+        LEFT JOIN users u ON u.discordId = p.uploaderDiscordId
+        WHERE e.id > ? AND p.status = 'published'
+        ORDER BY e.id
+        LIMIT ?
+      `).all(after, limit);
+    },
+
+    async latestPostEventId() {
+      return db.prepare('SELECT COALESCE(MAX(id), 0) AS id FROM post_events').get().id;
+    },
+
+    async prunePostEvents(before) {
+      db.prepare('DELETE FROM post_events WHERE createdAt < ?').run(before);
+    },
+
+    // Sign-in identities
+    getIdentity: (provider, subject) => Promise.resolve(getIdentityStmt.get(provider, subject) || null),
+
+    async listIdentities(userId) {
+      return db.prepare('SELECT * FROM identities WHERE userId = ? ORDER BY createdAt').all(userId);
+    },
+
+    // Leaves an identity that already exists untouched; returns whichever row is stored
+    async addIdentity({ provider, subject, userId, displayName = '' }) {
+      const now = new Date().toISOString();
+      db.prepare(`
+        INSERT OR IGNORE INTO identities (provider, subject, userId, displayName, createdAt, lastUsedAt)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(provider, subject, userId, displayName, now, now);
+      return getIdentityStmt.get(provider, subject);
+    },
+
+    async touchIdentity(provider, subject, displayName) {
+      db.prepare('UPDATE identities SET displayName = ?, lastUsedAt = ? WHERE provider = ? AND subject = ?')
+        .run(displayName, new Date().toISOString(), provider, subject);
+    },
+
+    async removeIdentity(userId, provider, subject) {
+      const info = db.prepare('DELETE FROM identities WHERE userId = ? AND provider = ? AND subject = ?').run(userId, provider, subject);
+      return info.changes > 0;
+    },
+
+    mergeUsers: (keepId, mergeId) => Promise.resolve(mergeUsers(keepId, mergeId)),
+
+    // API tokens
+    async createApiToken({ userId, name, kind, scopes, tokenHash, prefix, expiresAt = null }) {
+      const info = db.prepare(`
+        INSERT INTO api_tokens (userId, name, kind, scopes, tokenHash, prefix, createdAt, expiresAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(userId, name, kind, JSON.stringify(scopes), tokenHash, prefix, new Date().toISOString(), expiresAt);
+      return toApiToken(db.prepare(`SELECT ${apiTokenColumns} FROM api_tokens WHERE id = ?`).get(info.lastInsertRowid));
+    },
+
+    async getApiTokenByHash(tokenHash) {
+      return toApiToken(db.prepare(`SELECT ${apiTokenColumns} FROM api_tokens WHERE tokenHash = ?`).get(tokenHash)) || null;
+    },
+
+    // Tokens that still work, newest first
+    async listApiTokens(userId) {
+      return db.prepare(`
+        SELECT ${apiTokenColumns} FROM api_tokens
+        WHERE userId = ? AND revokedAt IS NULL AND (expiresAt IS NULL OR expiresAt > ?)
+        ORDER BY id DESC
+      `).all(userId, new Date().toISOString()).map(toApiToken);
+    },
+
+    async touchApiToken(id) {
+      db.prepare('UPDATE api_tokens SET lastUsedAt = ? WHERE id = ?').run(new Date().toISOString(), id);
+    },
+
+    async revokeApiToken(id, userId) {
+      const info = db.prepare('UPDATE api_tokens SET revokedAt = ? WHERE id = ? AND userId = ? AND revokedAt IS NULL')
+        .run(new Date().toISOString(), id, userId);
+      return info.changes > 0;
+    },
+
+    // Revokes all of a user's live tokens, or only those of one kind; returns how many
+    async revokeUserApiTokens(userId, kind = null) {
+      const info = db.prepare('UPDATE api_tokens SET revokedAt = ? WHERE userId = ? AND (? IS NULL OR kind = ?) AND revokedAt IS NULL')
+        .run(new Date().toISOString(), userId, kind, kind);
+      return info.changes;
+    },
+
     async getUserByDiscordId(discordId) {
-      const user = db.prepare('SELECT id, discordId, username, avatar, isAdmin, isBanned, isVerified, isStaff, isOwner, bio, banner, profileColor FROM users WHERE discordId = ? LIMIT 1').get(discordId) || null;
+      const user = db.prepare('SELECT id, discordId, username, avatar, isAdmin, isBanned, isVerified, isStaff, isOwner, isSuspended, bio, banner, profileColor FROM users WHERE discordId = ? LIMIT 1').get(discordId) || null;
       if (!user) return null;
       return {
         ...user,
         isAdmin: Boolean(user.isAdmin),
         isBanned: Boolean(user.isBanned),
+        isSuspended: Boolean(user.isSuspended),
         isVerified: Boolean(user.isVerified),
         isStaff: Boolean(user.isStaff),
         isOwner: Boolean(user.isOwner)
@@ -942,7 +3455,7 @@ export function createDatabase(config) {
 
       const videos = db.prepare(
         `SELECT p.id, p.filename, p.type, p.title, p.description, p.format, p.createdAt,
-         COALESCE(lc.count, 0) AS likes
+         p.views, COALESCE(lc.count, 0) AS likes
          FROM posts p
          LEFT JOIN (SELECT postId, COUNT(*) AS count FROM likes GROUP BY postId) lc ON lc.postId = p.id
          WHERE p.uploaderDiscordId = ? AND p.status = 'published'
@@ -956,6 +3469,12 @@ export function createDatabase(config) {
          WHERE p.uploaderDiscordId = ? AND p.status = 'published'`
       ).get(discordId);
 
+      const totalViews = db.prepare(
+        `SELECT COALESCE(SUM(views), 0) AS total
+         FROM posts
+         WHERE uploaderDiscordId = ? AND status = 'published'`
+      ).get(discordId);
+
       const followerCount = db.prepare(
         'SELECT COUNT(*) AS count FROM follows WHERE followingDiscordId = ?'
       ).get(discordId);
@@ -965,19 +3484,37 @@ export function createDatabase(config) {
         videos,
         totalVideos: videos.length,
         totalLikes: totalLikes?.total || 0,
+        totalViews: totalViews?.total || 0,
         followerCount: followerCount?.count || 0
       };
     },
 
     async getAllUsers() {
-      const users = db.prepare('SELECT id, discordId, username, avatar, isAdmin, isBanned, isVerified, isStaff, isOwner, createdAt FROM users ORDER BY createdAt DESC').all();
+      const users = db.prepare(`
+        SELECT u.id, u.discordId, u.username, u.avatar, u.isAdmin, u.isBanned, u.isVerified, u.isStaff, u.isOwner, u.isSuspended,
+               u.createdAt, COALESCE(st.count, 0) AS activeStrikes, COALESCE(st.points, 0) AS strikePoints, rl.roles
+        FROM users u
+        LEFT JOIN (
+          SELECT userId, COUNT(*) AS count, SUM(severity) AS points FROM strikes
+          WHERE ${activeStrikesFilter}
+          GROUP BY userId
+        ) st ON st.userId = u.id
+        LEFT JOIN (
+          SELECT ur.userId, json_group_array(r.name) AS roles
+          FROM user_roles ur JOIN roles r ON r.id = ur.roleId
+          GROUP BY ur.userId
+        ) rl ON rl.userId = u.id
+        ORDER BY u.createdAt DESC
+      `).all({ now: new Date().toISOString() });
       return users.map(u => ({
         ...u,
         isAdmin: Boolean(u.isAdmin),
         isBanned: Boolean(u.isBanned),
+        isSuspended: Boolean(u.isSuspended),
         isVerified: Boolean(u.isVerified),
         isStaff: Boolean(u.isStaff),
-        isOwner: Boolean(u.isOwner)
+        isOwner: Boolean(u.isOwner),
+        roles: JSON.parse(u.roles || '[]')
       }));
     },
 
@@ -988,6 +3525,12 @@ export function createDatabase(config) {
       return { id: result.lastInsertRowid, userId, type, title, message, read: false };
     },
 
+    // Whether the user still has this exact notification unread, so repeats can be skipped
+    async hasUnreadNotification(userId, type, message) {
+      return Boolean(db.prepare('SELECT 1 FROM notifications WHERE userId = ? AND type = ? AND message = ? AND read = 0 LIMIT 1')
+        .get(userId, type, message));
+    },
+
     async getNotifications(userId) {
       return db.prepare(`SELECT * FROM notifications WHERE userId = ? ORDER BY createdAt DESC LIMIT 50`).all(userId);
     },
@@ -1003,6 +3546,135 @@ export function createDatabase(config) {
 
     async markAllNotificationsRead(userId) {
       db.prepare(`UPDATE notifications SET read = 1 WHERE userId = ?`).run(userId);
+    },
+
+    // Report queue
+    async createReport({ type, reporterId, targetUserId = null, targetPostId = null, targetCommentId = null, reason, details = '' }) {
+      const info = insertReportStmt.run({ type, reporterId, targetUserId, targetPostId, targetCommentId, reason, details });
+      return getReportStmt.get(info.lastInsertRowid);
+    },
+
+    getReport: (id) => Promise.resolve(getReportStmt.get(id)),
+
+    listReports: ({ status = null, type = null, cursor = null, limit = 50 } = {}) => Promise.resolve(
+      listReportsStmt.all({ status, type, cursorId: cursor?.id ?? null, limit })
+    ),
+
+    async countReportsByStatus() {
+      const rows = db.prepare('SELECT status, COUNT(*) AS count FROM reports GROUP BY status').all();
+      return Object.fromEntries(rows.map((r) => [r.status, r.count]));
+    },
+
+    // Omitted fields are left alone; assigneeId: null unassigns
+    async updateReport(id, { status, assigneeId, resolutionNotes }) {
+      updateReportStmt.run({
+        id,
+        status: status ?? null,
+        setAssignee: assigneeId !== undefined ? 1 : 0,
+        assigneeId: assigneeId ?? null,
+        resolutionNotes: resolutionNotes ?? null
+      });
+      return getReportStmt.get(id);
+    },
+
+    // Moderation audit log (append-only)
+    async recordModerationAction({ actorId, actorDiscordId, actorName = '', action, targetType, targetId, targetLabel = '', reason = '', before = null, after = null }) {
+      insertModerationActionStmt.run({
+        actorId,
+        actorDiscordId,
+        actorName,
+        action,
+        targetType,
+        targetId: String(targetId),
+        targetLabel,
+        reason,
+        beforeState: before === null ? null : JSON.stringify(before),
+        afterState: after === null ? null : JSON.stringify(after),
+        createdAt: new Date().toISOString()
+      });
+    },
+
+    // Bans: at most one active row per user; users.isBanned/isSuspended mirror it for cheap checks
+    async createBan({ userId, mode, reason = '', expiresAt = null, createdBy = null }) {
+      return createBan({ userId, mode, reason, expiresAt, createdBy, createdAt: new Date().toISOString() });
+    },
+
+    // The user's current ban, lifting it on the spot if it has expired
+    async getActiveBan(userId) {
+      const ban = activeBanStmt.get(userId);
+      if (!ban) return null;
+      if (ban.expiresAt && new Date(ban.expiresAt).getTime() <= Date.now()) {
+        liftBan(userId);
+        return null;
+      }
+      return ban;
+    },
+
+    liftBan: (userId) => Promise.resolve(liftBan(userId)),
+
+    liftExpiredBans: () => Promise.resolve(liftExpiredBans(new Date().toISOString())),
+
+    async addStrike({ userId, severity = 1, reason = '', source = 'warning', targetId = null, expiresAt = null, createdBy = null }) {
+      const info = db.prepare(`
+        INSERT INTO strikes (userId, severity, reason, source, targetId, expiresAt, createdBy, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(userId, severity, reason, source, targetId === null ? null : String(targetId), expiresAt, createdBy, new Date().toISOString());
+      return getStrikeStmt.get(info.lastInsertRowid);
+    },
+
+    getStrike: (id) => Promise.resolve(getStrikeStmt.get(id) || null),
+
+    // Every strike including expired and revoked ones, newest first
+    listStrikes: (userId) => Promise.resolve(db.prepare(`${strikeSelect} WHERE s.userId = ? ORDER BY s.id DESC`).all(userId)),
+
+    // Count and total severity of strikes that still count towards escalation
+    async getStrikeSummary(userId) {
+      return db.prepare(`
+        SELECT COUNT(*) AS count, COALESCE(SUM(severity), 0) AS points FROM strikes
+        WHERE userId = @userId AND ${activeStrikesFilter}
+      `).get({ userId, now: new Date().toISOString() });
+    },
+
+    // Returns null if the strike doesn't exist or was already revoked
+    async revokeStrike(id) {
+      const info = db.prepare('UPDATE strikes SET revokedAt = ? WHERE id = ? AND revokedAt IS NULL').run(new Date().toISOString(), id);
+      return info.changes ? getStrikeStmt.get(id) : null;
+    },
+
+    // Appeals: one per ban
+    async createAppeal({ banId, userId, message }) {
+      const info = db.prepare(`
+        INSERT INTO appeals (banId, userId, message, createdAt) VALUES (?, ?, ?, ?)
+        ON CONFLICT(banId) DO NOTHING
+      `).run(banId, userId, message, new Date().toISOString());
+      return info.changes ? getAppealStmt.get(info.lastInsertRowid) : null;
+    },
+
+    getAppeal: (id) => Promise.resolve(getAppealStmt.get(id)),
+
+    getAppealForBan: (banId) => Promise.resolve(getAppealForBanStmt.get(banId) || null),
+
+    listAppeals: ({ status = null, cursor = null, limit = 50 } = {}) => Promise.resolve(
+      listAppealsStmt.all({ status, cursorId: cursor?.id ?? null, limit })
+    ),
+
+    // Only pending appeals can be decided; returns null if someone else already did
+    async reviewAppeal(id, { status, response = '', reviewedBy }) {
+      const info = db.prepare(`
+        UPDATE appeals SET status = ?, response = ?, reviewedBy = ?, reviewedAt = ?
+        WHERE id = ? AND status = 'pending'
+      `).run(status, response, reviewedBy, new Date().toISOString(), id);
+      return info.changes ? getAppealStmt.get(id) : null;
+    },
+
+    async listModerationActions({ actor = null, action = null, targetType = null, targetId = null, from = null, to = null, cursor = null, limit = 50 } = {}) {
+      return listModerationActionsStmt
+        .all({ actor, action, targetType, targetId, from, to, cursorId: cursor?.id ?? null, limit })
+        .map(({ beforeState, afterState, ...row }) => ({
+          ...row,
+          before: beforeState === null ? null : JSON.parse(beforeState),
+          after: afterState === null ? null : JSON.parse(afterState)
+        }));
     }
   };
 }
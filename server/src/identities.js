@@ -0,0 +1,19 @@
+// Sign-in providers linked to accounts. Each account signs in through one or more identities
+// (provider + the provider's user id). The users.discordId column predates identities and is
+// still the account's public handle: it is the key of the identity the account was created
+// with, a Discord user id as-is or a Google subject prefixed with 'g-'.
+
+export const PROVIDERS = {
+  discord: 'Discord',
+  google: 'Google'
+};
+
+export function accountKey(provider, subject) {
+  return provider === 'google' ? `g-${subject}` : String(subject);
+}
+
+// The identity an account was created with can't be unlinked: signing in with it again
+// would land on the same account anyway
+export function isPrimaryIdentity(user, identity) {
+  return accountKey(identity.provider, identity.subject) === user.discordId;
+}
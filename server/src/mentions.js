@@ -0,0 +1,50 @@
+// @username mentions in comments, post descriptions and bios.
+// public/mentions.js tokenizes with the same pattern so links line up with what was resolved here.
+
+// The @ must not follow a word character, so e-mail addresses are not mentions
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_.@])@([\p{L}\p{N}_.]{2,32})/gu;
+const MAX_MENTIONS = 10;
+
+// Names a mention can reach; usernames with spaces or symbols can't be typed after @
+export function isMentionable(username) {
+  return /^[\p{L}\p{N}_.]{2,32}$/u.test(String(username || ''));
+}
+
+// Unique lowercased names in order of first appearance; a trailing dot ends the sentence, not the name
+export function extractMentions(text) {
+  const names = [];
+  for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+    const name = match[2].replace(/\.+$/, '').toLowerCase();
+    if (name.length >= 2 && !names.includes(name)) names.push(name);
+    if (names.length >= MAX_MENTIONS) break;
+  }
+  return names;
+}
+
+// Names mentioned in text that weren't already mentioned in previousText
+export function addedMentions(text, previousText = '') {
+  const before = new Set(extractMentions(previousText));
+  return extractMentions(text).filter((name) => !before.has(name));
+}
+
+// Resolves every mention across texts with one lookup; returns a Map of lowercased name -> user
+export async function resolveMentions(db, texts) {
+  const names = [...new Set(texts.flatMap((text) => extractMentions(text)))];
+  if (!names.length) return new Map();
+  const users = await db.findUsersByUsernames(names);
+  const byName = new Map();
+  users.forEach((user) => {
+    const key = user.username.toLowerCase();
+    // Usernames aren't unique; the oldest account wins
+    if (!byName.has(key)) byName.set(key, user);
+  });
+  return byName;
+}
+
+// Client-facing list of the users a text links to
+export function mentionsFor(text, resolved) {
+  return extractMentions(text)
+    .map((name) => resolved.get(name))
+    .filter(Boolean)
+    .map((user) => ({ username: user.username, discordId: user.discordId }));
+}
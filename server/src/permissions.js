@@ -0,0 +1,46 @@
+// Admin permissions and the roles that bundle them. A user's permissions are the union of
+// their roles' permissions. The built-in roles mirror the old isOwner/isAdmin/isStaff flags,
+// which are kept in sync so badges and existing sessions keep working.
+
+export const PERMISSIONS = {
+  'users.view': 'Open the admin dashboard and list users',
+  'users.warn': 'Warn users and manage their strikes',
+  'users.ban': 'Ban, suspend and unban users',
+  'users.verify': 'Grant and remove the verified badge',
+  'users.staff': 'Grant and remove the staff badge',
+  'posts.delete_any': 'Remove any post or comment',
+  'posts.restore': 'View and restore removed posts',
+  'posts.review': 'Approve or reject posts held by screening',
+  'screening.manage': 'Edit the blocked file list',
+  'reports.triage': 'View, assign and resolve reports',
+  'appeals.review': 'Accept or reject ban appeals',
+  'audit.view': 'Read the moderation audit log',
+  'roles.manage': 'Create roles and assign them to users',
+  'tokens.service': 'Create service tokens that upload for other users'
+};
+
+// Only the owner role can hold these, so custom roles can never hand out role management
+export const OWNER_ONLY_PERMISSIONS = ['roles.manage'];
+
+const ALL = Object.keys(PERMISSIONS);
+
+export const BUILT_IN_ROLES = [
+  { name: 'owner', flag: 'isOwner', description: 'Full access, including roles and the audit log', permissions: ALL },
+  {
+    name: 'admin',
+    flag: 'isAdmin',
+    description: 'Day-to-day moderation',
+    permissions: ALL.filter((perm) => !['audit.view', 'roles.manage', 'tokens.service'].includes(perm))
+  },
+  { name: 'staff', flag: 'isStaff', description: 'Staff badge, no admin access', permissions: [] }
+];
+
+// Checks a permission list for a custom role; returns an error message or null
+export function validateRolePermissions(permissions) {
+  if (!Array.isArray(permissions)) return 'permissions must be an array';
+  const unknown = permissions.filter((perm) => !PERMISSIONS[perm]);
+  if (unknown.length) return `Unknown permission: ${unknown.join(', ')}`;
+  const reserved = permissions.filter((perm) => OWNER_ONLY_PERMISSIONS.includes(perm));
+  if (reserved.length) return `Only the owner role can hold ${reserved.join(', ')}`;
+  return null;
+}
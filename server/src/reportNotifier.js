@@ -0,0 +1,75 @@
+// Optional Discord webhook ping for new reports. Reports are stored before this runs,
+// so a failed or unconfigured webhook never loses one.
+
+const TYPE_LABELS = { user: 'User', video: 'Video', comment: 'Comment' };
+
+function reportLink(report, frontendBase) {
+  if (report.type === 'user' && report.targetUserDiscordId) {
+    return `${frontendBase}/profile.html?id=${report.targetUserDiscordId}`;
+  }
+  if (report.targetPostId) return `${frontendBase}/post/${report.targetPostId}`;
+  return null;
+}
+
+function buildEmbed(report, frontendBase) {
+  const target =
+    report.type === 'user' ? `${report.targetUserName || 'Unknown'} (${report.targetUserDiscordId || '?'})`
+      : report.type === 'video' ? `${report.targetPostTitle || 'Untitled'} (#${report.targetPostId})`
+        : `#${report.targetCommentId} by ${report.targetUserName || 'Unknown'}`;
+  const embed = {
+    title: `🚨 New ${TYPE_LABELS[report.type] || 'Content'} Report #${report.id}`,
+    color: 0xff0000,
+    fields: [
+      { name: 'Report Type', value: report.type, inline: true },
+      { name: 'Target', value: target.slice(0, 1024), inline: true },
+      { name: 'Reason', value: report.reason.slice(0, 1024), inline: false }
+    ],
+    timestamp: new Date().toISOString(),
+    footer: { text: 'BeardedVibes Report System' }
+  };
+
+  if (report.details) {
+    embed.fields.push({ name: 'Additional Details', value: report.details.slice(0, 1000), inline: false });
+  }
+  if (report.targetCommentText) {
+    embed.fields.push({ name: 'Comment', value: report.targetCommentText.slice(0, 1000), inline: false });
+  }
+  embed.fields.push({
+    name: 'Reported By',
+    value: `${report.reporterName || 'Unknown'} (${report.reporterDiscordId || '?'})`,
+    inline: false
+  });
+
+  const link = reportLink(report, frontendBase);
+  if (link) embed.fields.push({ name: 'Link', value: link, inline: false });
+  embed.fields.push({ name: 'Triage', value: `${frontendBase}/admin.html#reports`, inline: false });
+  return embed;
+}
+
+export function createReportNotifier(config) {
+  const { webhookUrl, frontendBase } = config;
+
+  return {
+    enabled: Boolean(webhookUrl),
+
+    // Resolves to whether the webhook accepted the report; never throws
+    async notify(report) {
+      if (!webhookUrl) return false;
+      try {
+        const res = await fetch(webhookUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ embeds: [buildEmbed(report, frontendBase)] })
+        });
+        if (!res.ok) {
+          console.error(`Report webhook returned ${res.status}:`, await res.text());
+          return false;
+        }
+        return true;
+      } catch (err) {
+        console.error('Report webhook failed:', err.message);
+        return false;
+      }
+    }
+  };
+}
@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { runProcess } from './transcoder.js';
+
+// Pre-publish screening. Each check returns the reasons it wants a post held; any reason
+// holds the post in 'pending_review' until an admin approves or rejects it.
+// Checks: blocklisted file hashes (exact SHA-256, perceptual dHash for images), keywords in
+// the title/description, and optional classifier hooks.
+
+export const HASH_KINDS = ['sha256', 'phash'];
+
+const DEFAULT_PHASH_DISTANCE = 6;
+
+export function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// 64-bit difference hash: shrink to 9x8 grayscale and compare neighbouring pixels.
+// ffmpeg does the decoding so every image format the site accepts works without extra dependencies.
+async function dHashImage(ffmpegPath, filePath) {
+  const rawPath = path.join(os.tmpdir(), `dhash-${crypto.randomUUID()}.gray`);
+  try {
+    await runProcess(ffmpegPath, [
+      '-v', 'error', '-y',
+      '-i', filePath,
+      '-frames:v', '1',
+      '-vf', 'scale=9:8:flags=area,format=gray',
+      '-f', 'rawvideo',
+      rawPath
+    ]);
+    const pixels = fs.readFileSync(rawPath);
+    if (pixels.length < 72) throw new Error('Unexpected thumbnail size');
+    let bits = 0n;
+    for (let row = 0; row < 8; row += 1) {
+      for (let col = 0; col < 8; col += 1) {
+        bits = (bits << 1n) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n);
+      }
+    }
+    return bits.toString(16).padStart(16, '0');
+  } finally {
+    fs.rmSync(rawPath, { force: true });
+  }
+}
+
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+// Keywords match whole words or phrases, ignoring case
+function compileKeywords(list) {
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return String(list || '')
+    .split(',')
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean)
+    .map((word) => ({ word, pattern: new RegExp(`(^|[^\\p{L}\\p{N}])${escape(word)}($|[^\\p{L}\\p{N}])`, 'iu') }));
+}
+
+// Loads a classifier hook: an ES module whose default (or `classify`) export is
+// async ({ input, type, title, description }) => ({ hold, reason })
+export async function loadClassifier(modulePath) {
+  const mod = await import(pathToFileURL(path.resolve(modulePath)).href);
+  const classify = typeof mod.default === 'function' ? mod.default : mod.classify;
+  if (typeof classify !== 'function') {
+    throw new Error(`${modulePath} must export a classify function`);
+  }
+  classify.label = path.basename(modulePath);
+  return classify;
+}
+
+export function createScreening(config) {
+  const { db, ffmpegPath = 'ffmpeg', keywords = '', phashDistance = DEFAULT_PHASH_DISTANCE, classifiers = [] } = config;
+  const keywordRules = compileKeywords(keywords);
+
+  return {
+    // Hashes recorded at upload time, while the file is still on local disk
+    async fingerprint(filePath, type) {
+      const sha256 = await sha256File(filePath);
+      let phash = null;
+      if (type === 'image') {
+        try {
+          phash = await dHashImage(ffmpegPath, filePath);
+        } catch (err) {
+          console.warn('Perceptual hash unavailable:', err.message);
+        }
+      }
+      return { sha256, phash };
+    },
+
+    // Reasons to hold the post, empty when it may publish. skipFile leaves out the file
+    // checks for posts whose file an admin already approved.
+    async screen(post, { skipFile = false } = {}) {
+      const reasons = [];
+      const text = `${post.title || ''}\n${post.description || ''}`;
+      keywordRules.forEach(({ word, pattern }) => {
+        if (pattern.test(text)) reasons.push({ check: 'keyword', detail: `Contains "${word}"` });
+      });
+      if (skipFile) return reasons;
+
+      if (post.fileSha256 || post.filePhash) {
+        const blocked = await db.listBlockedHashes();
+        for (const entry of blocked) {
+          if (entry.kind === 'sha256' && entry.hash === post.fileSha256) {
+            reasons.push({ check: 'hash', detail: `Matches blocked file #${entry.id}${entry.note ? ` (${entry.note})` : ''}` });
+          } else if (entry.kind === 'phash' && post.filePhash) {
+            const distance = hammingDistance(entry.hash, post.filePhash);
+            if (distance <= phashDistance) {
+              reasons.push({ check: 'phash', detail: `Looks like blocked image #${entry.id}${entry.note ? ` (${entry.note})` : ''}, distance ${distance}` });
+            }
+          }
+        }
+      }
+
+      // A classifier that fails holds the post rather than letting it through unchecked
+      for (const classify of classifiers) {
+        try {
+          const result = await classify({ input: post.input, type: post.type, title: post.title || '', description: post.description || '' });
+          if (result?.hold) reasons.push({ check: 'classifier', detail: String(result.reason || classify.label || 'Flagged by classifier').slice(0, 300) });
+        } catch (err) {
+          console.error('Screening classifier failed:', err);
+          reasons.push({ check: 'classifier', detail: `${classify.label || 'Classifier'} failed: ${err.message}`.slice(0, 300) });
+        }
+      }
+      return reasons;
+    }
+  };
+}
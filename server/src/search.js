@@ -0,0 +1,57 @@
+// Helpers shared by the Postgres and SQLite search backends
+
+const MAX_TERMS = 8;
+
+// Lowercased word tokens; punctuation and query syntax characters never reach the engine
+export function parseSearchTerms(query) {
+  return String(query || '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu)
+    ?.slice(0, MAX_TERMS) || [];
+}
+
+// Prefix pattern for LIKE ... ESCAPE '\\'
+export function likePrefix(value) {
+  return `${String(value || '').trim().toLowerCase().replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// Edit distance counting swapped neighbours as one edit, giving up once it exceeds max
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let prev = Array.from({ length: b.length + 1 }, (_v, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], before[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    before = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Short words tolerate one typo, longer ones two
+export function typoBudget(term) {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+// Closest vocabulary words for a misspelled term, best first
+export function closestTerms(term, vocabulary, limit = 3) {
+  const budget = typoBudget(term);
+  if (!budget) return [];
+  return vocabulary
+    .map((word) => ({ word, distance: editDistance(term, word, budget) }))
+    .filter((m) => m.distance > 0 && m.distance <= budget)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map((m) => m.word);
+}
@@ -2,14 +2,25 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import os from 'os';
 import crypto from 'crypto';
 import dotenv from 'dotenv';
 import cookieParser from 'cookie-parser';
-import jwt from 'jsonwebtoken';
 import { fileURLToPath } from 'url';
 import mime from 'mime-types';
 import { createDatabase } from './database.js';
 import { createStorage } from './storage.js';
+import { createTranscoder } from './transcoder.js';
+import { createUploadSessions } from './uploadSessions.js';
+import { createTrendingCache, TRENDING_WINDOWS } from './trending.js';
+import { addedMentions, isMentionable, mentionsFor, resolveMentions } from './mentions.js';
+import { createReportNotifier } from './reportNotifier.js';
+import { createStrikePolicy, MAX_SEVERITY } from './strikes.js';
+import { createScreening, HASH_KINDS, loadClassifier } from './screening.js';
+import { OWNER_ONLY_PERMISSIONS, PERMISSIONS, validateRolePermissions } from './permissions.js';
+import { createSessionManager } from './sessions.js';
+import { createApiTokens, SERVICE_ONLY_SCOPES, TOKEN_SCOPES, validateTokenRequest } from './apiTokens.js';
+import { PROVIDERS, accountKey, isPrimaryIdentity } from './identities.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,6 +33,14 @@ const app = express();
 const port = Number(process.env.SERVER_PORT || 3000);
 const maxUploadMb = Number(process.env.MAX_UPLOAD_MB || 1000); // 1 GB limit for long-form videos
 const uploadsDir = path.resolve(__dirname, '..', 'uploads');
+// Kept outside uploadsDir so partial uploads are never served statically
+const uploadSessionsDir = process.env.UPLOAD_SESSIONS_DIR || path.resolve(__dirname, '..', 'upload-sessions');
+const uploadChunkBytes = 8 * 1024 * 1024;
+// Repeat plays by the same viewer inside this window count as one view
+const viewDedupSeconds = Number(process.env.VIEW_DEDUP_HOURS || 6) * 60 * 60;
+const trendingCacheSeconds = Number(process.env.TRENDING_CACHE_SECONDS || 300);
+// Removed posts can be restored for this long before their rows and files are purged
+const postRetentionDays = Number(process.env.POST_RETENTION_DAYS || 30);
 const publicDir = path.resolve(__dirname, '..', '..', 'public');
 const frontendBase = (process.env.FRONTEND_BASE_URL || `http://localhost:${port}`).replace(/\/$/, '');
 const jwtSecret = process.env.JWT_SECRET || 'dev-secret-change-me';
@@ -40,6 +59,9 @@ const sessionCookieOptions = {
 	maxAge: 1000 * 60 * 60 * 24 * 30,
 	path: '/'
 };
+// Holds the state of an account-linking round trip to Discord or Google
+const { maxAge: _sessionMaxAge, ...linkCookieClearOptions } = sessionCookieOptions;
+const linkCookieOptions = { ...linkCookieClearOptions, maxAge: 1000 * 60 * 10 };
 
 fs.mkdirSync(uploadsDir, { recursive: true });
 
@@ -56,6 +78,38 @@ const storageConfig = process.env.CLOUDINARY_CLOUD_NAME
 	: { type: 'local', uploadsDir };
 const storage = createStorage(storageConfig);
 
+// Background HLS transcoding (needs ffmpeg/ffprobe on the host; videos play as uploaded otherwise)
+const transcoder = createTranscoder({
+	db,
+	storage,
+	enabled: process.env.TRANSCODE_ENABLED !== 'false',
+	workDir: process.env.TRANSCODE_WORK_DIR || path.join(os.tmpdir(), 'beardedvibes-transcode'),
+	ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+	ffprobePath: process.env.FFPROBE_PATH || 'ffprobe'
+});
+transcoder.resume().catch((err) => console.error('Failed to resume transcode jobs:', err));
+
+const trending = createTrendingCache({ db, ttlMs: trendingCacheSeconds * 1000 });
+const reportNotifier = createReportNotifier({ webhookUrl: process.env.REPORT_WEBHOOK_URL, frontendBase });
+// Pre-publish screening; SCREENING_CLASSIFIER points at a local ES module exporting classify()
+const screening = createScreening({
+	db,
+	ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+	keywords: process.env.SCREENING_KEYWORDS,
+	phashDistance: process.env.SCREENING_PHASH_DISTANCE ? Number(process.env.SCREENING_PHASH_DISTANCE) : undefined,
+	classifiers: process.env.SCREENING_CLASSIFIER ? [await loadClassifier(process.env.SCREENING_CLASSIFIER)] : []
+});
+const strikePolicy = createStrikePolicy({ expiryDays: process.env.STRIKE_EXPIRY_DAYS || 90, escalation: process.env.STRIKE_ESCALATION });
+// Access tokens last minutes; a session stays signed in while it is used at least every SESSION_TTL_DAYS
+const sessions = createSessionManager({
+	db,
+	jwtSecret,
+	cookieOptions: sessionCookieOptions,
+	accessTtlMinutes: Number(process.env.SESSION_ACCESS_MINUTES || 15),
+	ttlDays: Number(process.env.SESSION_TTL_DAYS || 30)
+});
+const apiTokens = createApiTokens({ db });
+
 const ALLOWED_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp', '.mp4', '.webm']);
 const ALLOWED_MIME = new Set([
 	'image/jpeg',
@@ -88,6 +142,53 @@ const upload = multer({
 	}
 });
 
+const uploadSessions = createUploadSessions({
+	dir: uploadSessionsDir,
+	chunkSize: uploadChunkBytes,
+	maxBytes: maxUploadMb * 1024 * 1024,
+	ttlMs: 1000 * 60 * 60 * 24
+});
+setInterval(() => uploadSessions.cleanupExpired(), 1000 * 60 * 60).unref();
+setInterval(() => {
+	db.pruneViewLog(viewDedupSeconds).catch((err) => console.error('View log prune failed:', err));
+}, 1000 * 60 * 60).unref();
+// Expired bans are also lifted lazily on the user's next request; this catches accounts that never come back
+setInterval(() => {
+	db.liftExpiredBans().catch((err) => console.error('Ban expiry sweep failed:', err));
+}, 1000 * 60 * 5).unref();
+setInterval(() => {
+	purgeRemovedPosts().catch((err) => console.error('Removed post purge failed:', err));
+}, 1000 * 60 * 60).unref();
+// Ended sessions are kept a week so the device list and audit trail can explain a sign-out
+setInterval(() => {
+	const cutoff = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+	db.pruneSessions(cutoff).catch((err) => console.error('Session prune failed:', err));
+}, 1000 * 60 * 60).unref();
+// A bot that is offline for longer than this misses the announcements queued meanwhile
+setInterval(() => {
+	const cutoff = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+	db.prunePostEvents(cutoff).catch((err) => console.error('Post event prune failed:', err));
+}, 1000 * 60 * 60).unref();
+
+// Permanently deletes posts removed longer than the retention window, files first so a
+// failed storage call leaves the row around to retry on the next run
+async function purgeRemovedPosts() {
+	const cutoff = new Date(Date.now() - postRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+	const posts = await db.listPurgeablePosts(cutoff);
+	for (const post of posts) {
+		try {
+			await storage.remove(post.filename);
+			if (post.thumbnail) await storage.remove(post.thumbnail);
+			await storage.removePrefix(`hls/post-${post.id}`);
+			await storage.removePrefix(`previews/post-${post.id}`);
+			await db.purgePost(post.id);
+		} catch (err) {
+			console.error(`Failed to purge removed post ${post.id}:`, err);
+		}
+	}
+	return posts.length;
+}
+
 const avatarUpload = multer({
 	storage: multerStorage,
 	limits: { fileSize: 5 * 1024 * 1024 },
@@ -102,21 +203,11 @@ const avatarUpload = multer({
 // Core middleware and static hosting
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(cookieParser());
+// The secret signs the anonymous viewer cookie so clients can't mint their own ids
+app.use(cookieParser(jwtSecret));
 app.use('/uploads', express.static(uploadsDir));
 app.use(express.static(publicDir));
 
-function signSession(user) {
-	const discordId = user.discordId ?? user.discordid ?? user.discord_id;
-	const username = user.username ?? user.name ?? 'Unknown';
-	const avatarRaw = user.avatar ?? user.avatarUrl ?? user.picture ?? null;
-	const avatar = resolveAssetUrl(avatarRaw);
-	const isAdmin = user.isAdmin ?? user.isadmin ?? false;
-	const isBanned = user.isBanned ?? user.isbanned ?? false;
-	const isOwner = user.isOwner ?? user.isowner ?? false;
-	return jwt.sign({ id: user.id, discordId, username, avatar, isAdmin, isBanned, isOwner }, jwtSecret, { expiresIn: '30d' });
-}
-
 function normalizeUser(user) {
 	if (!user) return undefined;
 	const discordId = user.discordId ?? user.discordid ?? user.discord_id;
@@ -127,39 +218,106 @@ function normalizeUser(user) {
 	const isAdmin = user.isAdmin ?? user.isadmin ?? false;
 	const isBanned = user.isBanned ?? user.isbanned ?? false;
 	const isOwner = user.isOwner ?? user.isowner ?? false;
-	return { id: user.id, discordId, username, avatar, isAdmin, isBanned, isOwner };
+	const isSuspended = user.isSuspended ?? user.issuspended ?? false;
+	return { id: user.id, discordId, username, avatar, isAdmin, isBanned, isOwner, isSuspended };
+}
+
+// What a banned or suspended user is told about their ban
+function toBanInfo(ban, appeal = null) {
+	return {
+		mode: ban.mode,
+		reason: ban.reason || '',
+		createdAt: ban.createdAt,
+		expiresAt: ban.expiresAt || null,
+		permanent: !ban.expiresAt,
+		appeal: appeal ? { status: appeal.status, response: appeal.response || '', createdAt: appeal.createdAt } : null
+	};
 }
 
+// Fully banned accounts can still sign in to read their ban and appeal it, but nothing else
+const BANNED_ALLOWED_PATHS = ['/api/auth/me', '/api/auth/logout', '/api/appeals'];
+
+// The user row only flags ban state; the bans table decides, and lifts expired bans as it goes
+async function withActiveBan(user) {
+	if (!user.isBanned && !user.isSuspended) return { user, ban: null };
+	const ban = await db.getActiveBan(user.id);
+	if (!ban) return { user: { ...user, isBanned: false, isSuspended: false }, ban: null };
+	return { user, ban };
+}
+
+// Loads the signed-in user from their session row on every request, so sign-outs, bans and
+// role changes apply right away instead of when a token expires
 async function authOptional(req, res, next) {
-	const token = req.cookies?.session;
-	if (!token) return next();
 	try {
-		const decoded = jwt.verify(token, jwtSecret);
-		let user = normalizeUser(decoded);
-
-		if (!user && decoded?.id && typeof db.getUserById === 'function') {
-			const dbUser = await db.getUserById(decoded.id);
-			user = normalizeUser(dbUser);
-			if (user) {
-				const refreshed = signSession(user);
-				res.cookie('session', refreshed, sessionCookieOptions);
-			}
+		// API tokens replace the session cookie; see allowToken for the routes that accept them
+		const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+		if (bearer) {
+			req.apiToken = await apiTokens.authenticate(bearer[1]);
+			if (!req.apiToken) return res.status(401).json({ error: 'Invalid or expired API token' });
+			return next();
 		}
 
-		// Check if user is banned; if so, clear session and deny access
-		if (user && user.isBanned) {
-			res.clearCookie('session', sessionCookieOptions);
-			req.user = undefined;
-			return res.status(403).json({ error: 'Your account has been banned', banned: true });
+		const session = await sessions.authenticate(req, res);
+		if (!session) return next();
+		const found = normalizeUser(await db.getUserById(session.userId));
+		if (!found) {
+			sessions.clear(res);
+			return next();
+		}
+		req.session = session;
+
+		const { user, ban } = await withActiveBan(found);
+		if (ban) {
+			req.ban = ban;
+			const allowed = !req.path.startsWith('/api/') || BANNED_ALLOWED_PATHS.includes(req.path);
+			if (ban.mode === 'ban' && !allowed) {
+				return res.status(403).json({ error: 'Your account has been banned', banned: true, ban: toBanInfo(ban) });
+			}
 		}
 
 		req.user = user;
-	} catch (_err) {
+	} catch (err) {
+		console.error('Session check failed:', err);
 		req.user = undefined;
 	}
 	return next();
 }
 
+// Lets requests with an API token holding one of the scopes act as the token's owner. On routes
+// without it a token request stays anonymous, so tokens never reach account settings or admin routes.
+function allowToken(...scopes) {
+	return async (req, res, next) => {
+		if (!req.apiToken) return next();
+		if (!scopes.some((scope) => req.apiToken.scopes.includes(scope))) {
+			return res.status(403).json({ error: `This token needs the ${scopes.join(' or ')} scope`, scopes });
+		}
+		try {
+			const owner = normalizeUser(await db.getUserById(req.apiToken.userId));
+			if (!owner) return res.status(401).json({ error: 'Invalid or expired API token' });
+			const { user, ban } = await withActiveBan(owner);
+			if (ban?.mode === 'ban') {
+				return res.status(403).json({ error: 'Your account has been banned', banned: true, ban: toBanInfo(ban) });
+			}
+			// Service tokens stop working as soon as their creator loses tokens.service
+			if (req.apiToken.kind === 'service' && !(await db.getUserPermissions(owner.id)).includes('tokens.service')) {
+				return res.status(403).json({ error: 'The owner of this service token no longer has the tokens.service permission', permission: 'tokens.service' });
+			}
+			req.ban = ban;
+			req.user = user;
+		} catch (err) {
+			return next(err);
+		}
+		return next();
+	};
+}
+
+// Revokes a user's service tokens once they no longer hold tokens.service, e.g. after losing a role
+async function revokeUnpermittedServiceTokens(userId) {
+	if (!(await db.getUserPermissions(userId)).includes('tokens.service')) {
+		await db.revokeUserApiTokens(userId, 'service');
+	}
+}
+
 function requireAuth(req, res, next) {
 	if (!req.user) {
 		return res.status(401).json({ error: 'Login required' });
@@ -167,18 +325,40 @@ function requireAuth(req, res, next) {
 	return next();
 }
 
-function requireAdmin(req, res, next) {
-	if (!req.user || !req.user.isAdmin) {
-		return res.status(403).json({ error: 'Admin access required' });
+// Suspended accounts can still watch, like and follow, but not upload, comment or edit posts
+function requireCanPost(req, res, next) {
+	if (req.ban?.mode === 'suspend') {
+		return res.status(403).json({ error: 'Your account is suspended from posting', suspended: true, ban: toBanInfo(req.ban) });
 	}
 	return next();
 }
 
-function requireOwner(req, res, next) {
-	if (!req.user || !req.user.isOwner) {
-		return res.status(403).json({ error: 'Owner access required' });
-	}
-	return next();
+// Admin permissions come from the user's roles (see permissions.js), loaded once per request
+// from the database so role changes apply without signing in again
+async function loadPermissions(req) {
+	if (!req.user) return [];
+	if (!req.permissions) req.permissions = await db.getUserPermissions(req.user.id);
+	return req.permissions;
+}
+
+async function hasPermission(req, permission) {
+	return (await loadPermissions(req)).includes(permission);
+}
+
+function requirePermission(permission) {
+	return async (req, res, next) => {
+		if (!req.user) {
+			return res.status(401).json({ error: 'Login required' });
+		}
+		try {
+			if (!(await hasPermission(req, permission))) {
+				return res.status(403).json({ error: 'You do not have permission to do that', permission });
+			}
+		} catch (err) {
+			return next(err);
+		}
+		return next();
+	};
 }
 
 app.use(authOptional);
@@ -199,8 +379,164 @@ function resolveAssetUrl(value) {
 	}
 }
 
+// Sends a 'mention' notification to each user text mentions that previousText didn't; never to the author
+async function notifyMentions(author, text, previousText, message) {
+	const added = new Set(addedMentions(text, previousText));
+	if (!added.size) return;
+	try {
+		const resolved = await resolveMentions(db, [text]);
+		for (const [name, user] of resolved) {
+			if (!added.has(name) || Number(user.id) === Number(author.id)) continue;
+			await db.createNotification(user.id, 'mention', 'You were mentioned', message);
+		}
+	} catch (err) {
+		console.error('Failed to create mention notifications:', err);
+	}
+}
+
+// Tells the Discord bot about a newly visible post; the outbox ignores posts announced before
+function queuePublishedEvent(postId) {
+	return db.recordPostEvent('post_published', postId).catch((err) => console.error('Failed to queue publish event:', err));
+}
+
+// Shared by the multipart upload and the resumable upload completion: validates the
+// received file, stores it and creates the post
+async function createPostFromUpload(req, res, mainFile, thumbnailFile) {
+	const uploaderDiscordId = req.user?.discordId;
+	const uploaderName = (req.user?.username || 'Unknown').trim().slice(0, 80) || 'Unknown';
+	if (!uploaderDiscordId) {
+		sessions.clear(res);
+		return res.status(401).json({ error: 'Login expired. Please sign in again.' });
+	}
+	
+	const type = detectType(mainFile.mimetype);
+	if (type === 'unknown') {
+		fs.unlink(mainFile.path, () => {});
+		if (thumbnailFile) fs.unlink(thumbnailFile.path, () => {});
+		return res.status(400).json({ error: 'Unsupported file type' });
+	}
+
+	// Validate thumbnail is an image if provided
+	if (thumbnailFile) {
+		const thumbType = detectType(thumbnailFile.mimetype);
+		if (thumbType !== 'image') {
+			fs.unlink(mainFile.path, () => {});
+			fs.unlink(thumbnailFile.path, () => {});
+			return res.status(400).json({ error: 'Thumbnail must be an image' });
+		}
+	}
+	
+	// Auto-detect format: images are always 'photo', videos use user selection
+	const formatVal = req.body?.format;
+	let format;
+	if (type === 'image') {
+		format = 'photo'; // Images are always photos
+	} else {
+		format = ['short', 'long'].includes(formatVal) ? formatVal : 'long';
+	}
+	
+	const publishNow = req.body?.publish === 'true' || req.body?.publish === 'on';
+	const title = String(req.body?.title || '').trim().slice(0, 200);
+	const description = String(req.body?.description || '').trim().slice(0, 2000);
+
+	try {
+		await db.upsertUser({ discordId: uploaderDiscordId, username: uploaderName, avatar: req.user?.avatar || null });
+	} catch (userErr) {
+		console.warn('Could not upsert uploader user', userErr?.message);
+	}
+
+	try {
+		// Fingerprint before storage.upload, which may move the file off this machine
+		const { sha256, phash } = await screening.fingerprint(mainFile.path, type);
+		const reasons = publishNow
+			? await screening.screen({ type, title, description, fileSha256: sha256, filePhash: phash, input: mainFile.path })
+			: [];
+		const held = reasons.length > 0;
+
+		const fileUrl = await storage.upload(mainFile.path, mainFile.filename);
+		
+		// Upload thumbnail if provided
+		let thumbnailUrl = '';
+		if (thumbnailFile) {
+			thumbnailUrl = await storage.upload(thumbnailFile.path, thumbnailFile.filename);
+		}
+		
+		const editToken = crypto.randomBytes(24).toString('hex');
+		const createdAt = new Date().toISOString();
+
+		const data = {
+			filename: fileUrl,
+			type,
+			title,
+			description,
+			uploaderDiscordId,
+			uploaderName,
+			status: held ? 'pending_review' : publishNow ? 'published' : 'draft',
+			editToken,
+			createdAt,
+			format,
+			thumbnail: thumbnailUrl,
+			fileSha256: sha256,
+			filePhash: phash,
+			screeningReasons: held ? reasons : null
+		};
+
+		console.log('Attempting to insert post with data:', { ...data, filename: '[url]', thumbnail: thumbnailUrl ? '[url]' : '' });
+		const info = await db.insertPost(data);
+		console.log('Post inserted successfully with ID:', info.lastInsertRowid);
+		if (type === 'video') {
+			transcoder.enqueue(Number(info.lastInsertRowid)).catch((err) => console.error('Failed to queue transcode:', err));
+		}
+		if (data.status === 'published') {
+			await notifyMentions(req.user, description, '', `${uploaderName} mentioned you in the description of "${title || 'Untitled'}"`);
+			await queuePublishedEvent(Number(info.lastInsertRowid));
+		}
+		return res.status(201).json({
+			id: info.lastInsertRowid,
+			editToken,
+			fileUrl: storage.getUrl(fileUrl),
+			thumbnailUrl: thumbnailUrl ? storage.getUrl(thumbnailUrl) : null,
+			type,
+			format,
+			status: data.status
+		});
+	} catch (uploadErr) {
+		console.error('Storage/DB upload error:', uploadErr);
+		console.error('Error stack:', uploadErr.stack);
+		return res.status(500).json({ error: 'Failed to save file', details: uploadErr.message });
+	}
+}
+
 // Upload endpoint: accepts one validated file and optional thumbnail (auth required)
-app.post('/api/upload', requireAuth, (req, res) => {
+// Service tokens holding upload:on_behalf_of post for the Discord user named by the uploaderDiscordId
+// field, which is how the bot credits the author. Sends an error and returns null when it can't.
+async function resolveUploader(req, res) {
+	if (!req.apiToken) return req.user;
+	const discordId = String(req.body?.uploaderDiscordId || '').trim();
+	if (!discordId) {
+		if (req.apiToken.scopes.includes('upload')) return req.user;
+		res.status(400).json({ error: 'uploaderDiscordId is required: this token only uploads for other users' });
+		return null;
+	}
+	if (!req.apiToken.scopes.includes('upload:on_behalf_of')) {
+		res.status(403).json({ error: 'This token needs the upload:on_behalf_of scope to upload for someone else', scopes: ['upload:on_behalf_of'] });
+		return null;
+	}
+	if (!/^\d{5,25}$/.test(discordId)) {
+		res.status(400).json({ error: 'uploaderDiscordId must be a Discord user id' });
+		return null;
+	}
+	const name = String(req.body?.uploaderDiscordName || '').trim().slice(0, 80) || 'Unknown';
+	const uploader = await userForIdentity({ provider: 'discord', subject: discordId, username: name });
+	const { ban } = await withActiveBan(uploader);
+	if (ban) {
+		res.status(403).json({ error: 'That user is not allowed to post right now' });
+		return null;
+	}
+	return uploader;
+}
+
+app.post('/api/upload', allowToken('upload', 'upload:on_behalf_of'), requireAuth, requireCanPost, (req, res) => {
 	upload.fields([
 		{ name: 'file', maxCount: 1 },
 		{ name: 'thumbnail', maxCount: 1 }
@@ -217,249 +553,283 @@ app.post('/api/upload', requireAuth, (req, res) => {
 			return res.status(400).json({ error: 'File is required' });
 		}
 
-		const uploaderDiscordId = req.user?.discordId;
-		const uploaderName = (req.user?.username || 'Unknown').trim().slice(0, 80) || 'Unknown';
-		if (!uploaderDiscordId) {
-			res.clearCookie('session', sessionCookieOptions);
-			return res.status(401).json({ error: 'Login expired. Please sign in again.' });
+		let uploader;
+		try {
+			uploader = await resolveUploader(req, res);
+		} catch (uploaderErr) {
+			console.error('Failed to resolve uploader:', uploaderErr);
+			res.status(500).json({ error: 'Failed to resolve uploader' });
 		}
-		
-		const type = detectType(mainFile.mimetype);
-		if (type === 'unknown') {
+		if (!uploader) {
 			fs.unlink(mainFile.path, () => {});
 			if (thumbnailFile) fs.unlink(thumbnailFile.path, () => {});
-			return res.status(400).json({ error: 'Unsupported file type' });
+			return undefined;
 		}
+		// The post, its mentions and its author all belong to the uploader from here on
+		req.user = uploader;
+		return createPostFromUpload(req, res, mainFile, thumbnailFile);
+	});
+});
 
-		// Validate thumbnail is an image if provided
-		if (thumbnailFile) {
-			const thumbType = detectType(thumbnailFile.mimetype);
-			if (thumbType !== 'image') {
-				fs.unlink(mainFile.path, () => {});
-				fs.unlink(thumbnailFile.path, () => {});
-				return res.status(400).json({ error: 'Thumbnail must be an image' });
-			}
-		}
-		
-		// Auto-detect format: images are always 'photo', videos use user selection
-		const formatVal = req.body?.format;
-		let format;
-		if (type === 'image') {
-			format = 'photo'; // Images are always photos
-		} else {
-			format = ['short', 'long'].includes(formatVal) ? formatVal : 'long';
+// Resumable uploads: open a session, PUT chunks (retrying any that fail), then complete
+app.post('/api/upload/sessions', requireAuth, requireCanPost, (req, res) => {
+	const { filename, size, mimeType } = req.body || {};
+	const ext = path.extname(String(filename || '')).toLowerCase();
+	if (!ALLOWED_EXTENSIONS.has(ext) || !ALLOWED_MIME.has(mimeType)) {
+		return res.status(400).json({ error: 'Unsupported file type' });
+	}
+	try {
+		const session = uploadSessions.create({ ownerDiscordId: req.user.discordId, filename, size, mimeType });
+		return res.status(201).json(session);
+	} catch (err) {
+		return res.status(err.status || 500).json({ error: err.message });
+	}
+});
+
+app.get('/api/upload/sessions/:uploadId', requireAuth, (req, res) => {
+	try {
+		const { status } = uploadSessions.get(req.params.uploadId, req.user.discordId);
+		return res.json(status);
+	} catch (err) {
+		return res.status(err.status || 500).json({ error: err.message });
+	}
+});
+
+// Chunk body is the raw bytes; X-Chunk-Sha256 (hex) lets the server reject corrupted parts early
+app.put('/api/upload/sessions/:uploadId/chunks/:index', requireAuth, requireCanPost, async (req, res) => {
+	try {
+		// Other content types are consumed by the global body parsers before we can stream them
+		if (!req.is('application/octet-stream')) {
+			return res.status(415).json({ error: 'Chunks must be sent as application/octet-stream' });
 		}
-		
-		const publishNow = req.body?.publish === 'true' || req.body?.publish === 'on';
-		const title = String(req.body?.title || '').trim().slice(0, 200);
-		const description = String(req.body?.description || '').trim().slice(0, 2000);
+		const { meta } = uploadSessions.get(req.params.uploadId, req.user.discordId);
+		const index = Number(req.params.index);
+		const sha256 = await uploadSessions.writeChunk(meta, index, req, req.get('X-Chunk-Sha256'));
+		return res.json({ index, sha256 });
+	} catch (err) {
+		if (!err.status) console.error('Chunk upload error:', err);
+		return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to store chunk' });
+	}
+});
 
-		try {
-			await db.upsertUser({ discordId: uploaderDiscordId, username: uploaderName, avatar: req.user?.avatar || null });
-		} catch (userErr) {
-			console.warn('Could not upsert uploader user', userErr?.message);
+// Completion carries the post fields (and optional thumbnail) like the one-shot upload
+app.post('/api/upload/sessions/:uploadId/complete', requireAuth, requireCanPost, (req, res) => {
+	upload.fields([{ name: 'thumbnail', maxCount: 1 }])(req, res, async (err) => {
+		if (err) {
+			return res.status(400).json({ error: err.message });
 		}
+		const thumbnailFile = req.files?.thumbnail?.[0];
 
+		let meta;
+		let mainFile;
 		try {
-			const fileUrl = await storage.upload(mainFile.path, mainFile.filename);
-			
-			// Upload thumbnail if provided
-			let thumbnailUrl = '';
-			if (thumbnailFile) {
-				thumbnailUrl = await storage.upload(thumbnailFile.path, thumbnailFile.filename);
-			}
-			
-			const editToken = crypto.randomBytes(24).toString('hex');
-			const createdAt = new Date().toISOString();
-
-			const data = {
-				filename: fileUrl,
-				type,
-				title,
-				description,
-				uploaderDiscordId,
-				uploaderName,
-				status: publishNow ? 'published' : 'draft',
-				editToken,
-				createdAt,
-				format,
-				thumbnail: thumbnailUrl
-			};
-
-			console.log('Attempting to insert post with data:', { ...data, filename: '[url]', thumbnail: thumbnailUrl ? '[url]' : '' });
-			const info = await db.insertPost(data);
-			console.log('Post inserted successfully with ID:', info.lastInsertRowid);
-			return res.status(201).json({
-				id: info.lastInsertRowid,
-				editToken,
-				fileUrl: storage.getUrl(fileUrl),
-				thumbnailUrl: thumbnailUrl ? storage.getUrl(thumbnailUrl) : null,
-				type,
-				format,
-				status: data.status
-			});
-		} catch (uploadErr) {
-			console.error('Storage/DB upload error:', uploadErr);
-			console.error('Error stack:', uploadErr.stack);
-			return res.status(500).json({ error: 'Failed to save file', details: uploadErr.message });
+			({ meta } = uploadSessions.get(req.params.uploadId, req.user.discordId));
+			const ext = path.extname(meta.filename).toLowerCase();
+			const filename = `${Date.now()}-${crypto.randomUUID()}${ALLOWED_EXTENSIONS.has(ext) ? ext : ''}`;
+			mainFile = { path: path.join(uploadsDir, filename), filename, mimetype: meta.mimeType };
+			await uploadSessions.assemble(meta, mainFile.path, req.body?.checksum);
+		} catch (assembleErr) {
+			if (thumbnailFile) fs.unlink(thumbnailFile.path, () => {});
+			if (!assembleErr.status) console.error('Upload assembly error:', assembleErr);
+			return res.status(assembleErr.status || 500).json({ error: assembleErr.status ? assembleErr.message : 'Failed to assemble upload' });
 		}
+
+		uploadSessions.remove(meta.id);
+		return createPostFromUpload(req, res, mainFile, thumbnailFile);
 	});
 });
 
-// List published posts for homepage/gallery
-app.get('/api/posts', async (req, res) => {
-	const rows = await db.listPublished();
-	const likedSet = req.user ? new Set(await db.getUserLikes(req.user.id)) : null;
-	return res.json({ posts: rows.map((row) => ({
+app.delete('/api/upload/sessions/:uploadId', requireAuth, (req, res) => {
+	try {
+		const { meta } = uploadSessions.get(req.params.uploadId, req.user.discordId);
+		uploadSessions.remove(meta.id);
+		return res.json({ success: true });
+	} catch (err) {
+		return res.status(err.status || 500).json({ error: err.message });
+	}
+});
+
+// Feed pagination: opaque keyset cursors so clients can infinite-scroll
+const FEED_PAGE_DEFAULT = 24;
+const FEED_PAGE_MAX = 100;
+
+function encodeCursor(row) {
+	const payload = { id: Number(row.cursorId) };
+	if (row.cursorAt) payload.at = String(row.cursorAt);
+	return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(value) {
+	if (!value) return null;
+	try {
+		const payload = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+		if (!Number.isInteger(payload?.id)) return undefined;
+		if (payload.at !== undefined && typeof payload.at !== 'string') return undefined;
+		return { id: payload.id, at: payload.at ?? null };
+	} catch (_err) {
+		return undefined;
+	}
+}
+
+// Returns { cursor, limit } or null when the cursor is malformed
+function readPageParams(req) {
+	const cursor = decodeCursor(req.query.cursor);
+	if (cursor === undefined) return null;
+	const requested = Number.parseInt(req.query.limit, 10);
+	const limit = Number.isNaN(requested) ? FEED_PAGE_DEFAULT : Math.min(Math.max(requested, 1), FEED_PAGE_MAX);
+	return { cursor, limit };
+}
+
+// Lists fetch one extra row so we know whether another page exists
+function toPage(rows, limit) {
+	const hasMore = rows.length > limit;
+	const pageRows = hasMore ? rows.slice(0, limit) : rows;
+	const nextCursor = hasMore ? encodeCursor(pageRows[pageRows.length - 1]) : null;
+	return { rows: pageRows, nextCursor };
+}
+
+function toFeedPost(row, likedSet) {
+	return {
 		id: row.id,
 		title: row.title,
 		description: row.description,
 		fileUrl: storage.getUrl(row.filename),
 		thumbnail: row.thumbnail ? storage.getUrl(row.thumbnail) : null,
+		previewVtt: row.previewVtt ? storage.getUrl(row.previewVtt) : null,
 		type: row.type,
 		format: row.format || 'long',
 		likes: row.likes,
+		views: Number(row.views) || 0,
 		createdAt: row.createdAt,
 		uploaderName: row.uploaderName,
 		uploaderAvatar: row.uploaderAvatar || null,
 		uploaderDiscordId: row.uploaderDiscordId || null,
 		uploaderVerified: Boolean(row.uploaderVerified),
 		liked: likedSet ? likedSet.has(Number(row.id)) : false
-	})) });
+	};
+}
+
+// List published posts for homepage/gallery
+app.get('/api/posts', async (req, res) => {
+	const page = readPageParams(req);
+	if (!page) return res.status(400).json({ error: 'Invalid cursor' });
+	const format = ['short', 'long', 'photo'].includes(req.query.format) ? req.query.format : null;
+	const rows = await db.listPublished({ format, cursor: page.cursor, limit: page.limit + 1 });
+	const { rows: pageRows, nextCursor } = toPage(rows, page.limit);
+	const likedSet = req.user ? new Set(await db.getUserLikes(req.user.id)) : null;
+	return res.json({ posts: pageRows.map((row) => toFeedPost(row, likedSet)), nextCursor });
 });
 
-// Search posts
+// Optional search filters; unknown values are ignored rather than rejected
+function toIsoDate(value) {
+	const date = value ? new Date(value) : null;
+	return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+function readSearchFilters(req) {
+	const requested = Number.parseInt(req.query.limit, 10);
+	return {
+		format: ['short', 'long', 'photo'].includes(req.query.format) ? req.query.format : null,
+		type: ['video', 'image'].includes(req.query.type) ? req.query.type : null,
+		uploader: typeof req.query.uploader === 'string' && req.query.uploader ? req.query.uploader : null,
+		from: toIsoDate(req.query.from),
+		to: toIsoDate(req.query.to),
+		limit: Number.isNaN(requested) ? 50 : Math.min(Math.max(requested, 1), FEED_PAGE_MAX)
+	};
+}
+
+// Search posts by relevance; ?format, ?type, ?uploader (Discord id), ?from and ?to narrow results
 app.get('/api/posts/search', async (req, res) => {
 	const query = req.query.q;
-	if (!query || query.trim().length < 2) {
+	if (typeof query !== 'string' || query.trim().length < 2) {
 		return res.json({ posts: [] });
 	}
-	const rows = await db.searchPosts(query.trim());
+	const rows = await db.searchPosts(query.trim(), readSearchFilters(req));
 	const likedSet = req.user ? new Set(await db.getUserLikes(req.user.id)) : null;
-	return res.json({ posts: rows.map((row) => ({
-		id: row.id,
-		title: row.title,
-		description: row.description,
-		fileUrl: storage.getUrl(row.filename),
-		thumbnail: row.thumbnail ? storage.getUrl(row.thumbnail) : null,
-		type: row.type,
-		format: row.format || 'long',
-		likes: row.likes,
-		createdAt: row.createdAt,
-		uploaderName: row.uploaderName,
-		uploaderAvatar: row.uploaderAvatar || null,
-		uploaderDiscordId: row.uploaderDiscordId || null,
-		uploaderVerified: Boolean(row.uploaderVerified),
-		liked: likedSet ? likedSet.has(Number(row.id)) : false
-	})) });
+	return res.json({ posts: rows.map((row) => toFeedPost(row, likedSet)) });
+});
+
+// Autocomplete for the search box
+app.get('/api/search/suggest', async (req, res) => {
+	const query = req.query.q;
+	if (typeof query !== 'string' || !query.trim()) {
+		return res.json({ posts: [], users: [] });
+	}
+	const { posts, users } = await db.suggestSearch(query.trim());
+	return res.json({
+		posts: posts.map((p) => ({ id: p.id, title: p.title })),
+		users: users.map((u) => ({ discordId: u.discordId, username: u.username, avatar: resolveAssetUrl(u.avatar) }))
+	});
+});
+
+// Autocomplete for @mentions; only usernames that can be typed after @ are offered
+app.get('/api/users/lookup', async (req, res) => {
+	const query = typeof req.query.q === 'string' ? req.query.q.trim().replace(/^@/, '') : '';
+	if (!query) return res.json({ users: [] });
+	const users = await db.lookupUsers(query, 16);
+	return res.json({
+		users: users
+			.filter((u) => isMentionable(u.username))
+			.slice(0, 8)
+			.map((u) => ({
+				discordId: u.discordId,
+				username: u.username,
+				avatar: resolveAssetUrl(u.avatar),
+				isVerified: Boolean(u.isVerified)
+			}))
+	});
 });
 
-// Trending feed: most liked, then newest
+// Trending feed: engagement decayed by age, ranked per window (day|week|month|all)
 app.get('/api/posts/trending', async (req, res) => {
-	const rows = await db.listTrending();
+	const window = req.query.window || 'week';
+	if (!Object.hasOwn(TRENDING_WINDOWS, window)) return res.status(400).json({ error: 'Invalid window' });
+	const rows = await trending.get(window);
 	const likedSet = req.user ? new Set(await db.getUserLikes(req.user.id)) : null;
-	return res.json({ posts: rows.map((row) => ({
-		id: row.id,
-		title: row.title,
-		description: row.description,
-		fileUrl: storage.getUrl(row.filename),
-		thumbnail: row.thumbnail ? storage.getUrl(row.thumbnail) : null,
-		type: row.type,
-		format: row.format || 'long',
-		likes: row.likes,
-		createdAt: row.createdAt,
-		uploaderName: row.uploaderName,
-		uploaderAvatar: row.uploaderAvatar || null,
-		uploaderDiscordId: row.uploaderDiscordId || null,
-		uploaderVerified: Boolean(row.uploaderVerified),
-		liked: likedSet ? likedSet.has(Number(row.id)) : false
-	})) });
+	return res.json({ window, posts: rows.map((row) => toFeedPost(row, likedSet)) });
 });
 
 // Photos feed: only photos
 app.get('/api/posts/photos', async (req, res) => {
-	const rows = await db.listPublished();
-	const photos = rows.filter(row => row.format === 'photo');
+	const page = readPageParams(req);
+	if (!page) return res.status(400).json({ error: 'Invalid cursor' });
+	const rows = await db.listPublished({ format: 'photo', cursor: page.cursor, limit: page.limit + 1 });
+	const { rows: pageRows, nextCursor } = toPage(rows, page.limit);
 	const likedSet = req.user ? new Set(await db.getUserLikes(req.user.id)) : null;
-	return res.json({ posts: photos.map((row) => ({
-		id: row.id,
-		title: row.title,
-		description: row.description,
-		fileUrl: storage.getUrl(row.filename),
-		type: row.type,
-		format: row.format || 'long',
-		likes: row.likes,
-		createdAt: row.createdAt,
-		uploaderName: row.uploaderName,
-		uploaderAvatar: row.uploaderAvatar || null,
-		uploaderDiscordId: row.uploaderDiscordId || null,
-		uploaderVerified: Boolean(row.uploaderVerified),
-		liked: likedSet ? likedSet.has(Number(row.id)) : false
-	})) });
+	return res.json({ posts: pageRows.map((row) => toFeedPost(row, likedSet)), nextCursor });
 });
 
 // Liked feed: user’s liked posts
 app.get('/api/posts/liked', async (req, res) => {
 	if (!req.user) return res.status(401).json({ error: 'Login required' });
-	const rows = await db.listLiked(req.user.id);
+	const page = readPageParams(req);
+	if (!page) return res.status(400).json({ error: 'Invalid cursor' });
+	const rows = await db.listLiked(req.user.id, { cursor: page.cursor, limit: page.limit + 1 });
+	const { rows: pageRows, nextCursor } = toPage(rows, page.limit);
 	const likedSet = new Set(await db.getUserLikes(req.user.id));
-	return res.json({ posts: rows.map((row) => ({
-		id: row.id,
-		title: row.title,
-		description: row.description,
-		fileUrl: storage.getUrl(row.filename),
-		type: row.type,
-		format: row.format || 'long',
-		likes: row.likes,
-		createdAt: row.createdAt,
-		uploaderName: row.uploaderName,
-		uploaderAvatar: row.uploaderAvatar || null,
-		uploaderDiscordId: row.uploaderDiscordId || null,
-		uploaderVerified: Boolean(row.uploaderVerified),
-		liked: likedSet.has(Number(row.id))
-	})) });
+	return res.json({ posts: pageRows.map((row) => toFeedPost(row, likedSet)), nextCursor });
 });
 
 // History feed: posts the user viewed most recently
 app.get('/api/posts/history', async (req, res) => {
 	if (!req.user) return res.status(401).json({ error: 'Login required' });
-	const rows = await db.listHistory(req.user.id);
+	const page = readPageParams(req);
+	if (!page) return res.status(400).json({ error: 'Invalid cursor' });
+	const rows = await db.listHistory(req.user.id, { cursor: page.cursor, limit: page.limit + 1 });
+	const { rows: pageRows, nextCursor } = toPage(rows, page.limit);
 	const likedSet = new Set(await db.getUserLikes(req.user.id));
-	return res.json({ posts: rows.map((row) => ({
-		id: row.id,
-		title: row.title,
-		description: row.description,
-		fileUrl: storage.getUrl(row.filename),
-		type: row.type,
-		format: row.format || 'long',
-		likes: row.likes,
-		createdAt: row.createdAt,
-		uploaderName: row.uploaderName,
-		uploaderAvatar: row.uploaderAvatar || null,
-		uploaderDiscordId: row.uploaderDiscordId || null,
-		uploaderVerified: Boolean(row.uploaderVerified),
-		liked: likedSet.has(Number(row.id))
-	})) });
+	return res.json({ posts: pageRows.map((row) => toFeedPost(row, likedSet)), nextCursor });
 });
 
 // Watch Later feed: user’s saved posts
 app.get('/api/posts/watchlater', async (req, res) => {
 	if (!req.user) return res.status(401).json({ error: 'Login required' });
-	const rows = await db.listWatchlist(req.user.id);
+	const page = readPageParams(req);
+	if (!page) return res.status(400).json({ error: 'Invalid cursor' });
+	const rows = await db.listWatchlist(req.user.id, { cursor: page.cursor, limit: page.limit + 1 });
+	const { rows: pageRows, nextCursor } = toPage(rows, page.limit);
 	const likedSet = new Set(await db.getUserLikes(req.user.id));
-	return res.json({ posts: rows.map((row) => ({
-		id: row.id,
-		title: row.title,
-		description: row.description,
-		fileUrl: storage.getUrl(row.filename),
-		type: row.type,
-		format: row.format || 'long',
-		likes: row.likes,
-		createdAt: row.createdAt,
-		uploaderName: row.uploaderName,
-		uploaderAvatar: row.uploaderAvatar || null,		uploaderDiscordId: row.uploaderDiscordId || null,
-		uploaderVerified: Boolean(row.uploaderVerified),		liked: likedSet.has(Number(row.id))
-	})) });
+	return res.json({ posts: pageRows.map((row) => toFeedPost(row, likedSet)), nextCursor });
 });
 
 // Public post lookup; drafts are only visible with a correct edit token
@@ -469,7 +839,7 @@ app.get('/api/post/:id', async (req, res) => {
 
 	const token = req.query.token;
 	const row = await db.getPost(id);
-	if (!row) return res.status(404).json({ error: 'Not found' });
+	if (!row || row.status === 'removed') return res.status(404).json({ error: 'Not found' });
 
 	const tokenMatches = token && token === row.editToken;
 	const isPublished = row.status === 'published';
@@ -480,6 +850,8 @@ app.get('/api/post/:id', async (req, res) => {
 	}
 
 	const liked = req.user ? await db.hasUserLiked(id, req.user.id) : false;
+	const resolvedMentions = await resolveMentions(db, [row.description]);
+	ensureViewerCookie(req, res);
 
 	return res.json({
 		id: row.id,
@@ -487,6 +859,7 @@ app.get('/api/post/:id', async (req, res) => {
 		type: row.type,
 		title: row.title,
 		description: row.description,
+		descriptionMentions: mentionsFor(row.description, resolvedMentions),
 		status: row.status,
 		uploaderDiscordId: row.uploaderDiscordId,
 		uploaderName: row.uploaderName,
@@ -494,21 +867,47 @@ app.get('/api/post/:id', async (req, res) => {
 		uploaderVerified: Boolean(row.uploaderVerified),
 		createdAt: row.createdAt,
 		fileUrl: storage.getUrl(row.filename),
+		thumbnail: row.thumbnail ? storage.getUrl(row.thumbnail) : null,
+		previewSprite: row.previewSprite ? storage.getUrl(row.previewSprite) : null,
+		previewVtt: row.previewVtt ? storage.getUrl(row.previewVtt) : null,
 		format: row.format || 'long',
+		processingStatus: row.processingStatus || 'none',
+		hlsUrl: row.processingStatus === 'ready' && row.hlsUrl ? storage.getUrl(row.hlsUrl) : null,
 		likes: row.likes,
+		views: Number(row.views) || 0,
 		liked,
 		canEdit: Boolean(tokenMatches)
 	});
 });
 
-// Record view in history (auth required)
-app.post('/api/post/:id/view', requireAuth, async (req, res) => {
+const viewerCookieOptions = { ...sessionCookieOptions, signed: true, maxAge: 1000 * 60 * 60 * 24 * 365 };
+
+// Anonymous viewers get a random id when they open a post, so their later plays dedupe
+function ensureViewerCookie(req, res) {
+	if (req.user || req.signedCookies?.viewer) return;
+	res.cookie('viewer', crypto.randomUUID(), viewerCookieOptions);
+}
+
+// Accounts dedupe by user id, anonymous viewers by cookie, and clients
+// that drop cookies by a hash of IP and user agent
+function viewerKey(req) {
+	if (req.user) return `user:${req.user.id}`;
+	const viewerId = req.signedCookies?.viewer;
+	if (typeof viewerId === 'string' && /^[0-9a-f-]{36}$/.test(viewerId)) return `anon:${viewerId}`;
+	const fingerprint = crypto.createHash('sha256').update(`${req.ip}|${req.get('user-agent') || ''}`).digest('hex');
+	return `ip:${fingerprint.slice(0, 32)}`;
+}
+
+// Count a play; logged-in viewers also get the post in their history
+app.post('/api/post/:id/view', async (req, res) => {
 	const id = Number(req.params.id);
 	if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid id' });
 	const row = await db.getPost(id);
 	if (!row || row.status !== 'published') return res.status(404).json({ error: 'Not found' });
-	await db.recordView(id, req.user.id);
-	return res.json({ ok: true });
+	if (req.user) await db.recordView(id, req.user.id);
+	const counted = await db.countView(id, viewerKey(req), viewDedupSeconds);
+	const views = (Number(row.views) || 0) + (counted ? 1 : 0);
+	return res.json({ ok: true, counted, views });
 });
 
 // Authenticated like toggle endpoint
@@ -550,7 +949,7 @@ app.post('/api/post/:id/watchlater', requireAuth, async (req, res) => {
 	return res.json({ watchLater: nowHas });
 });
 
-function buildProfileResponse(profile) {
+async function buildProfileResponse(profile) {
 	if (!profile) return null;
 	const avatar = resolveAssetUrl(profile.avatar);
 	const videos = Array.isArray(profile.videos)
@@ -563,7 +962,8 @@ function buildProfileResponse(profile) {
 	return {
 		...profile,
 		avatar,
-		videos
+		videos,
+		bioMentions: mentionsFor(profile.bio, await resolveMentions(db, [profile.bio]))
 	};
 }
 
@@ -571,7 +971,7 @@ app.get('/api/me/profile', requireAuth, async (req, res) => {
 	try {
 		const profile = await db.getUserProfile(req.user.discordId);
 		if (!profile) return res.status(404).json({ error: 'User not found' });
-		return res.json(buildProfileResponse(profile));
+		return res.json(await buildProfileResponse(profile));
 	} catch (err) {
 		console.error('Self profile fetch error:', err);
 		return res.status(500).json({ error: 'Failed to load profile' });
@@ -616,8 +1016,6 @@ app.patch('/api/me/profile', requireAuth, (req, res) => {
 
 			if (!updated) return res.status(404).json({ error: 'User not found' });
 
-			const session = signSession(updated);
-			res.cookie('session', session, sessionCookieOptions);
 			return res.json({ user: normalizeUser(updated), avatar: resolveAssetUrl(updated.avatar) });
 		} catch (updateErr) {
 			console.error('Profile update error:', updateErr);
@@ -633,7 +1031,7 @@ app.get('/api/user/:discordId/profile', async (req, res) => {
 	try {
 		const profile = await db.getUserProfile(discordId);
 		if (!profile) return res.status(404).json({ error: 'User not found' });
-		return res.json(buildProfileResponse(profile));
+		return res.json(await buildProfileResponse(profile));
 	} catch (err) {
 		console.error('Profile fetch error:', err);
 		return res.status(500).json({ error: 'Failed to load profile' });
@@ -644,8 +1042,8 @@ app.get('/api/user/:discordId/follow', async (req, res) => {
 	const targetDiscordId = req.params.discordId;
 	if (!targetDiscordId) return res.status(400).json({ error: 'Invalid user' });
 	const followerCount = await db.followerCount(targetDiscordId);
-	const following = req.user ? await db.hasFollow(req.user.id, targetDiscordId) : false;
-	return res.json({ following, followerCount });
+	const follow = req.user ? await db.getFollow(req.user.id, targetDiscordId) : null;
+	return res.json({ following: Boolean(follow), followerCount, discordDms: Boolean(follow?.discordDms) });
 });
 
 app.post('/api/user/:discordId/follow', requireAuth, async (req, res) => {
@@ -686,7 +1084,24 @@ app.post('/api/user/:discordId/follow', requireAuth, async (req, res) => {
 		}
 	}
 
-	return res.json({ following, followerCount });
+	const follow = following ? await db.getFollow(req.user.id, targetDiscordId) : null;
+	return res.json({ following, followerCount, discordDms: Boolean(follow?.discordDms) });
+});
+
+// Followers can ask the Discord bot to DM them when this creator publishes; needs a linked Discord account
+app.post('/api/user/:discordId/follow/discord-dms', requireAuth, async (req, res) => {
+	const { enabled } = req.body || {};
+	if (typeof enabled !== 'boolean') return res.status(400).json({ error: 'enabled must be true or false' });
+	if (enabled) {
+		const identities = await db.listIdentities(req.user.id);
+		if (!identities.some((identity) => identity.provider === 'discord')) {
+			return res.status(400).json({ error: 'Link a Discord account on your profile to get DMs' });
+		}
+	}
+	if (!(await db.setFollowDiscordDms(req.user.id, req.params.discordId, enabled))) {
+		return res.status(409).json({ error: 'Follow this creator first' });
+	}
+	return res.json({ discordDms: enabled });
 });
 
 // Subscribe aliases (reuse follow logic)
@@ -700,7 +1115,45 @@ app.post('/api/user/:discordId/subscribe', (req, res, next) => {
 	return app._router.handle(req, res, next);
 });
 
-// Comments: list
+// Deleted comments keep their id and parentId so replies stay threaded, but nothing else
+function toCommentJson(c, likedSet, resolvedMentions) {
+	const deleted = Boolean(c.deletedAt);
+	return {
+		id: c.id,
+		parentId: c.parentId || null,
+		author: deleted ? null : c.author,
+		authorDiscordId: deleted ? null : c.authorDiscordId,
+		authorVerified: deleted ? false : Boolean(c.authorVerified),
+		text: deleted ? '' : c.text,
+		mentions: deleted ? [] : mentionsFor(c.text, resolvedMentions),
+		createdAt: c.createdAt,
+		editedAt: c.editedAt || null,
+		likes: Number(c.likes) || 0,
+		liked: likedSet ? likedSet.has(Number(c.id)) : false,
+		pinned: Boolean(c.pinnedAt),
+		deleted
+	};
+}
+
+// Loads a comment and checks it belongs to the published post in the URL
+async function loadPostComment(req, res) {
+	const id = Number(req.params.id);
+	const commentId = Number(req.params.commentId);
+	if (Number.isNaN(id) || Number.isNaN(commentId)) {
+		res.status(400).json({ error: 'Invalid id' });
+		return null;
+	}
+	const row = await db.getPost(id);
+	const comment = row && row.status === 'published' ? await db.getComment(commentId) : null;
+	if (!comment || Number(comment.postId) !== id || comment.deletedAt) {
+		res.status(404).json({ error: 'Comment not found' });
+		return null;
+	}
+	return { row, comment };
+}
+
+// Comments: list (flat; replies reference their parent via parentId). ?sort=top|newest,
+// with the pinned comment first either way
 app.get('/api/post/:id/comments', async (req, res) => {
 	const id = Number(req.params.id);
 	if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid id' });
@@ -708,49 +1161,208 @@ app.get('/api/post/:id/comments', async (req, res) => {
 	const row = await db.getPost(id);
 	if (!row || row.status !== 'published') return res.status(404).json({ error: 'Not found' });
 
-	const comments = await db.listComments(id);
-	return res.json({ comments });
+	const sort = req.query.sort === 'top' ? 'top' : 'newest';
+	const comments = await db.listComments(id, { sort });
+	const likedSet = req.user ? new Set(await db.getUserCommentLikes(req.user.id, id)) : null;
+	const resolvedMentions = await resolveMentions(db, comments.filter((c) => !c.deletedAt).map((c) => c.text));
+	return res.json({ sort, comments: comments.map((c) => toCommentJson(c, likedSet, resolvedMentions)) });
 });
 
-// Comments: create
-app.post('/api/post/:id/comment', requireAuth, async (req, res) => {
+// Comments: create; pass parentId to reply to another comment on the same post
+app.post('/api/post/:id/comment', requireAuth, requireCanPost, async (req, res) => {
 	const id = Number(req.params.id);
 	if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid id' });
 
-	const { text = '' } = req.body;
+	const { text = '', parentId = null } = req.body;
 	const trimmedText = String(text).trim().slice(0, 800);
 	if (!trimmedText) return res.status(400).json({ error: 'Comment text is required' });
 
 	const row = await db.getPost(id);
 	if (!row || row.status !== 'published') return res.status(404).json({ error: 'Not found' });
 
+	if (parentId !== null) {
+		const parent = await db.getComment(Number(parentId));
+		if (!parent || Number(parent.postId) !== id || parent.deletedAt) {
+			return res.status(400).json({ error: 'Invalid parent comment' });
+		}
+	}
+
 	const createdAt = new Date().toISOString();
-	const commentId = await db.insertComment(id, req.user.id, trimmedText, createdAt);
+	const commentId = await db.insertComment(id, req.user.id, trimmedText, createdAt, parentId === null ? null : Number(parentId));
+	await notifyMentions(req.user, trimmedText, '', `${req.user.username || 'Someone'} mentioned you in a comment on "${row.title || 'Untitled'}"`);
 
 	return res.status(201).json({
-		comment: { id: commentId, author: req.user.username, text: trimmedText, createdAt }
+		comment: {
+			id: commentId,
+			parentId: parentId === null ? null : Number(parentId),
+			author: req.user.username,
+			authorDiscordId: req.user.discordId,
+			text: trimmedText,
+			mentions: mentionsFor(trimmedText, await resolveMentions(db, [trimmedText])),
+			createdAt,
+			editedAt: null,
+			likes: 0,
+			liked: false,
+			pinned: false,
+			deleted: false
+		}
+	});
+});
+
+// Comments: like toggle
+app.post('/api/post/:id/comment/:commentId/like', requireAuth, async (req, res) => {
+	const found = await loadPostComment(req, res);
+	if (!found) return undefined;
+	const { row, comment } = found;
+
+	const alreadyLiked = await db.hasUserLikedComment(comment.id, req.user.id);
+	const likes = await db.setCommentLike(comment.id, req.user.id, !alreadyLiked);
+
+	if (!alreadyLiked && Number(comment.userId) !== Number(req.user.id)) {
+		const message = `${req.user.username || 'Someone'} liked your comment on "${row.title || 'Untitled'}"`;
+		try {
+			// Unliking and liking again doesn't notify twice while the first one is unread
+			if (!(await db.hasUnreadNotification(comment.userId, 'comment_like', message))) {
+				await db.createNotification(comment.userId, 'comment_like', 'Your comment was liked', message);
+			}
+		} catch (err) {
+			console.error('Failed to create comment like notification:', err);
+		}
+	}
+
+	return res.json({ likes, liked: !alreadyLiked });
+});
+
+// Comments: pin/unpin a top-level comment (post uploader only)
+app.post('/api/post/:id/comment/:commentId/pin', requireAuth, async (req, res) => {
+	const found = await loadPostComment(req, res);
+	if (!found) return undefined;
+	const { row, comment } = found;
+	if (!row.uploaderDiscordId || row.uploaderDiscordId !== req.user.discordId) {
+		return res.status(403).json({ error: 'Only the uploader can pin comments' });
+	}
+	if (comment.parentId) return res.status(400).json({ error: 'Only top-level comments can be pinned' });
+
+	const pinned = typeof req.body?.pinned === 'boolean' ? req.body.pinned : !comment.pinnedAt;
+	await db.setCommentPinned(row.id, comment.id, pinned);
+
+	if (pinned && !comment.pinnedAt && Number(comment.userId) !== Number(req.user.id)) {
+		try {
+			await db.createNotification(
+				comment.userId,
+				'comment_pin',
+				'Your comment was pinned',
+				`${req.user.username || 'The uploader'} pinned your comment on "${row.title || 'Untitled'}"`
+			);
+		} catch (err) {
+			console.error('Failed to create comment pin notification:', err);
+		}
+	}
+
+	return res.json({ pinned });
+});
+
+// Comments: edit (author only)
+app.patch('/api/post/:id/comment/:commentId', requireAuth, requireCanPost, async (req, res) => {
+	const found = await loadPostComment(req, res);
+	if (!found) return undefined;
+	const { row, comment } = found;
+	if (Number(comment.userId) !== Number(req.user.id)) {
+		return res.status(403).json({ error: 'Only the author can edit this comment' });
+	}
+
+	const trimmedText = String(req.body.text ?? '').trim().slice(0, 800);
+	if (!trimmedText) return res.status(400).json({ error: 'Comment text is required' });
+
+	await db.updateComment(comment.id, trimmedText);
+	// Only names added by this edit are notified
+	await notifyMentions(req.user, trimmedText, comment.text, `${req.user.username || 'Someone'} mentioned you in a comment on "${row.title || 'Untitled'}"`);
+	return res.json({
+		success: true,
+		text: trimmedText,
+		mentions: mentionsFor(trimmedText, await resolveMentions(db, [trimmedText])),
+		editedAt: new Date().toISOString()
+	});
+});
+
+// Comments: delete (author, post owner or anyone with posts.delete_any)
+app.delete('/api/post/:id/comment/:commentId', requireAuth, async (req, res) => {
+	const found = await loadPostComment(req, res);
+	if (!found) return undefined;
+	const { row, comment } = found;
+	const isAuthor = Number(comment.userId) === Number(req.user.id);
+	const isPostOwner = row.uploaderDiscordId && row.uploaderDiscordId === req.user.discordId;
+	if (!isAuthor && !isPostOwner && !(await hasPermission(req, 'posts.delete_any'))) {
+		return res.status(403).json({ error: 'Not allowed to delete this comment' });
+	}
+	const moderated = !isAuthor && !isPostOwner;
+	const severity = readSeverity(req.body?.severity);
+	if (moderated && !severity) return res.status(400).json({ error: `severity must be between 1 and ${MAX_SEVERITY}` });
+
+	await db.deleteComment(comment.id);
+	if (!moderated) return res.json({ success: true });
+
+	// A moderator removed someone else's comment: log it and give the author a strike
+	const author = await db.getUserByDiscordId(comment.authorDiscordId);
+	const reason = req.body?.reason || 'Comment violated community guidelines';
+	await recordModeration(req.user, {
+		action: 'comment_delete',
+		targetType: 'comment',
+		targetId: comment.id,
+		targetLabel: author?.username || '',
+		reason,
+		before: { text: comment.text, postId: row.id },
+		after: null
+	});
+	let strike = null;
+	if (author && req.body?.strike !== false) {
+		strike = await addStrike(req.user, author, { severity, reason, source: 'comment_removal', targetId: comment.id });
+	}
+	return res.json({
+		success: true,
+		strikePoints: strike?.points ?? null,
+		ban: strike?.ban ? toBanInfo(strike.ban) : null
 	});
 });
 
+// Publishes a post with new text and returns it. Every publish and edit is screened; an
+// admin-approved file isn't re-checked, only the text. Posts that trip a check are held instead.
+async function publishWithScreening(row, { title, description }) {
+	const reasons = await screening.screen(
+		{ ...row, title, description, input: storage.resolveInput(row.filename) },
+		{ skipFile: Boolean(row.screeningApprovedAt) }
+	);
+	if (reasons.length) {
+		await db.holdPost({ id: row.id, title, description, reasons });
+		trending.clear();
+	} else if (await db.publishPost({ id: row.id, title, description })) {
+		// Drafts were never visible, so publishing one notifies every mention in it
+		const previousDescription = row.status === 'published' ? row.description : '';
+		const uploader = row.uploaderDiscordId ? await db.getUserByDiscordId(row.uploaderDiscordId) : null;
+		await notifyMentions(uploader || { id: null }, description, previousDescription, `${row.uploaderName || 'Someone'} mentioned you in the description of "${title || 'Untitled'}"`);
+		if (row.status !== 'published') await queuePublishedEvent(row.id);
+	}
+	return db.getPost(row.id);
+}
+
 // Edit endpoint: requires the edit token and publishes the post
-app.post('/api/post/:id/edit', async (req, res) => {
+app.post('/api/post/:id/edit', requireCanPost, async (req, res) => {
 	const id = Number(req.params.id);
 	if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid id' });
 
 	const { token, title = '', description = '' } = req.body;
 	const row = await db.getPost(id);
-	if (!row) return res.status(404).json({ error: 'Not found' });
+	if (!row || row.status === 'removed') return res.status(404).json({ error: 'Not found' });
 
 	const isOwner = req.user?.discordId && row.uploaderDiscordId && req.user.discordId === row.uploaderDiscordId;
 	const tokenMatches = token && token === row.editToken;
 	if (!tokenMatches && !isOwner) return res.status(403).json({ error: 'Invalid token' });
+	if (row.status === 'pending_review') return res.status(409).json({ error: 'This post is waiting for review' });
 
-	const trimmedTitle = String(title).trim().slice(0, 200);
-	const trimmedDescription = String(description).trim().slice(0, 2000);
-
-	await db.publishPost({ id, title: trimmedTitle, description: trimmedDescription });
-
-	const updated = await db.getPost(id);
+	const updated = await publishWithScreening(row, {
+		title: String(title).trim().slice(0, 200),
+		description: String(description).trim().slice(0, 2000)
+	});
 	return res.json({
 		id: updated.id,
 		title: updated.title,
@@ -762,7 +1374,287 @@ app.post('/api/post/:id/edit', async (req, res) => {
 	});
 });
 
+// The signed-in user's own posts, for the Discord bot's slash commands and other API clients.
+// Service tokens holding posts:on_behalf_of name the Discord user they act for in X-On-Behalf-Of;
+// unlike uploads, that Discord account must already be linked to an account here.
+async function actOnBehalf(req, res, next) {
+	if (!req.apiToken) return next();
+	const discordId = String(req.get('x-on-behalf-of') || '').trim();
+	if (!discordId) {
+		if (req.apiToken.scopes.includes('posts')) return next();
+		return res.status(400).json({ error: 'X-On-Behalf-Of is required: this token only acts for other users' });
+	}
+	if (!req.apiToken.scopes.includes('posts:on_behalf_of')) {
+		return res.status(403).json({ error: 'This token needs the posts:on_behalf_of scope to act for someone else', scopes: ['posts:on_behalf_of'] });
+	}
+	try {
+		const identity = await db.getIdentity('discord', discordId);
+		const found = identity ? normalizeUser(await db.getUserById(identity.userId)) : null;
+		if (!found) {
+			return res.status(404).json({ error: 'That Discord account is not linked to an account here', unlinked: true });
+		}
+		const { user, ban } = await withActiveBan(found);
+		if (ban?.mode === 'ban') {
+			return res.status(403).json({ error: 'That account is banned', banned: true, ban: toBanInfo(ban) });
+		}
+		req.user = user;
+		req.ban = ban;
+	} catch (err) {
+		return next(err);
+	}
+	return next();
+}
+
+const ownPostsAuth = [allowToken('posts', 'posts:on_behalf_of'), actOnBehalf, requireAuth];
+
+// Loads one of the signed-in user's posts; sends 400/403/404 and returns null otherwise
+async function loadOwnPost(req, res) {
+	const id = Number(req.params.id);
+	if (!Number.isInteger(id)) {
+		res.status(400).json({ error: 'Invalid post id' });
+		return null;
+	}
+	const row = await db.getPost(id);
+	if (!row || row.status === 'removed') {
+		res.status(404).json({ error: 'Post not found' });
+		return null;
+	}
+	if (row.uploaderDiscordId !== req.user.discordId) {
+		res.status(403).json({ error: 'You can only manage your own posts' });
+		return null;
+	}
+	return row;
+}
+
+function toOwnPostJson(row) {
+	return {
+		id: row.id,
+		title: row.title || '',
+		status: row.status,
+		type: row.type,
+		format: row.format,
+		views: Number(row.views || 0),
+		likes: Number(row.likes || 0),
+		createdAt: row.createdAt,
+		url: `${frontendBase}/post/${row.id}`
+	};
+}
+
+app.get('/api/me/posts', ownPostsAuth, async (req, res) => {
+	const limit = Math.min(Math.max(Number(req.query.limit) || 25, 1), 100);
+	const rows = await db.listUploaderPosts(req.user.discordId, { limit });
+	return res.json({ posts: rows.map(toOwnPostJson) });
+});
+
+app.get('/api/me/posts/:id/stats', ownPostsAuth, async (req, res) => {
+	const row = await loadOwnPost(req, res);
+	if (!row) return undefined;
+	const stats = await db.getPostStats(row.id);
+	return res.json({
+		post: toOwnPostJson(row),
+		stats: {
+			views: Number(row.views || 0),
+			likes: Number(stats.likes),
+			comments: Number(stats.comments),
+			watchLater: Number(stats.watchLater)
+		}
+	});
+});
+
+app.post('/api/me/posts/:id/publish', ownPostsAuth, requireCanPost, async (req, res) => {
+	const row = await loadOwnPost(req, res);
+	if (!row) return undefined;
+	if (row.status === 'pending_review') return res.status(409).json({ error: 'This post is waiting for review' });
+	if (row.status === 'published') return res.json({ post: toOwnPostJson(row), held: false });
+	const updated = await publishWithScreening(row, { title: row.title || '', description: row.description || '' });
+	return res.json({ post: toOwnPostJson(updated), held: updated.status === 'pending_review' });
+});
+
+app.post('/api/me/posts/:id/unpublish', ownPostsAuth, async (req, res) => {
+	const row = await loadOwnPost(req, res);
+	if (!row) return undefined;
+	if (!(await db.unpublishPost(row.id))) {
+		return res.status(409).json({ error: 'Only published posts can be unpublished' });
+	}
+	trending.clear();
+	return res.json({ post: toOwnPostJson(await db.getPost(row.id)) });
+});
+
+app.patch('/api/me/posts/:id', ownPostsAuth, requireCanPost, async (req, res) => {
+	const row = await loadOwnPost(req, res);
+	if (!row) return undefined;
+	if (row.status === 'pending_review') return res.status(409).json({ error: 'This post is waiting for review' });
+	const title = req.body?.title !== undefined ? String(req.body.title).trim().slice(0, 200) : row.title || '';
+	const description = req.body?.description !== undefined ? String(req.body.description).trim().slice(0, 2000) : row.description || '';
+
+	// Published posts go back through screening with their new text; drafts just save it
+	let updated;
+	if (row.status === 'published') {
+		updated = await publishWithScreening(row, { title, description });
+	} else {
+		await db.updatePostText({ id: row.id, title, description });
+		updated = await db.getPost(row.id);
+	}
+	return res.json({ post: toOwnPostJson(updated), held: updated.status === 'pending_review' });
+});
+
+app.delete('/api/me/posts/:id', ownPostsAuth, async (req, res) => {
+	const row = await loadOwnPost(req, res);
+	if (!row) return undefined;
+	await db.removePost(row.id, { removedBy: req.user.id, reason: 'Deleted by uploader' });
+	trending.clear();
+	return res.json({ success: true });
+});
+
+// Event feed for the Discord bot's announcements, read with a service token holding events:read.
+// Without ?after it only returns the current cursor, so a bot starting fresh skips the backlog.
+const EVENT_PAGE_MAX = 50;
+
+// Discord needs absolute URLs; local storage and uploaded avatars are served from this site
+const absoluteUrl = (url) => (url && url.startsWith('/') ? `${frontendBase}${url}` : url || null);
+
+function toPostEventJson(row, dmRecipients) {
+	const thumbnail = row.thumbnail || (row.postType === 'image' ? row.filename : '');
+	return {
+		id: row.id,
+		type: row.type,
+		createdAt: row.createdAt,
+		post: {
+			id: row.postId,
+			title: row.title || '',
+			description: String(row.description || '').slice(0, 300),
+			type: row.postType,
+			format: row.format,
+			url: `${frontendBase}/post/${row.postId}`,
+			thumbnailUrl: thumbnail ? absoluteUrl(storage.getUrl(thumbnail)) : null
+		},
+		uploader: {
+			discordId: row.uploaderDiscordId,
+			name: row.uploaderName || 'Unknown',
+			avatar: absoluteUrl(row.uploaderAvatar),
+			profileUrl: `${frontendBase}/profile.html?id=${encodeURIComponent(row.uploaderDiscordId || '')}`
+		},
+		dmRecipients
+	};
+}
+
+app.get('/api/bot/events', allowToken('events:read'), requireAuth, async (req, res) => {
+	if (!req.apiToken) return res.status(403).json({ error: 'This feed is only available to API tokens' });
+	if (req.query.after === undefined) return res.json({ events: [], cursor: await db.latestPostEventId() });
+
+	const after = Math.max(Number(req.query.after) || 0, 0);
+	const limit = Math.min(Math.max(Number(req.query.limit) || EVENT_PAGE_MAX, 1), EVENT_PAGE_MAX);
+	try {
+		const rows = await db.listPostEvents({ after, limit });
+		const events = [];
+		for (const row of rows) {
+			const dmRecipients = row.uploaderDiscordId ? await db.listDiscordDmFollowers(row.uploaderDiscordId) : [];
+			events.push(toPostEventJson(row, dmRecipients));
+		}
+		return res.json({ events, cursor: events.length ? events[events.length - 1].id : after });
+	} catch (err) {
+		console.error('Event feed error:', err);
+		return res.status(500).json({ error: 'Failed to load events' });
+	}
+});
+
 // Auth routes
+function discordAuthorizeUrl(state = null) {
+	const params = new URLSearchParams({
+		client_id: discordClientId,
+		redirect_uri: discordRedirectUri,
+		response_type: 'code',
+		scope: 'identify'
+	});
+	if (state) params.set('state', state);
+	return `https://discord.com/oauth2/authorize?${params.toString()}`;
+}
+
+function googleAuthorizeUrl(state = null) {
+	const params = new URLSearchParams({
+		client_id: googleClientId,
+		redirect_uri: googleRedirectUri,
+		response_type: 'code',
+		scope: 'openid email profile',
+		access_type: 'offline',
+		prompt: 'consent'
+	});
+	if (state) params.set('state', state);
+	return `https://accounts.google.com/o/oauth2/v2/auth?${params.toString()}`;
+}
+
+const oauthProviders = {
+	discord: { authorizeUrl: discordAuthorizeUrl, configured: Boolean(discordClientId && discordClientSecret) },
+	google: { authorizeUrl: googleAuthorizeUrl, configured: Boolean(googleClientId && googleClientSecret) }
+};
+
+// The account an identity signs in to, created on first use
+async function userForIdentity({ provider, subject, username, avatar = null }) {
+	const identity = await db.getIdentity(provider, subject);
+	if (identity) return normalizeUser(await db.getUserById(identity.userId));
+	const user = await db.upsertUser({ discordId: accountKey(provider, subject), username, avatar });
+	await db.addIdentity({ provider, subject, userId: user.id, displayName: username });
+	return normalizeUser(await db.getUserById(user.id));
+}
+
+// Signs in through a provider identity, creating the account on first use. When the round trip
+// was started by /api/auth/link/:provider, the identity is linked to the signed-in account instead.
+async function completeOAuth(req, res, profile) {
+	const linking = Boolean(req.query.state) && req.cookies?.oauth_link === req.query.state;
+	if (req.cookies?.oauth_link) res.clearCookie('oauth_link', linkCookieClearOptions);
+	if (linking) return linkIdentity(req, res, profile);
+
+	const { provider, subject, username, avatar } = profile;
+	const key = accountKey(provider, subject);
+	const user = await userForIdentity(profile);
+	await db.touchIdentity(provider, subject, username);
+	// A linked second provider signs in without replacing the account's name and avatar
+	if (user.discordId === key) await db.upsertUser({ discordId: key, username, avatar });
+
+	if (adminIds.includes(key)) {
+		await db.setAdmin(user.discordId, true);
+	}
+
+	// Banned users still get a session; the home page shows their ban and the appeal form
+	await sessions.start(req, res, user.id);
+
+	return res.redirect(`${frontendBase}/`);
+}
+
+// Attaches an identity to the signed-in account. An identity that already signs in to another
+// account proves the same person owns both, so that account is merged into this one.
+async function linkIdentity(req, res, { provider, subject, username }) {
+	if (!req.user) return res.redirect(`${frontendBase}/`);
+	const back = (params) => res.redirect(`${frontendBase}/profile.html?${new URLSearchParams({ id: 'me', ...params })}`);
+
+	const identity = await db.getIdentity(provider, subject);
+	if (!identity) {
+		await db.addIdentity({ provider, subject, userId: req.user.id, displayName: username });
+		return back({ linked: provider });
+	}
+	if (Number(identity.userId) === Number(req.user.id)) {
+		await db.touchIdentity(provider, subject, username);
+		return back({ linked: provider });
+	}
+
+	// Merging would carry a ban or suspension over to, or away from, the other account
+	const other = await db.getUserById(identity.userId);
+	if (req.ban || await db.getActiveBan(other.id)) {
+		return back({ linkError: 'Accounts with an active ban or suspension can\'t be merged' });
+	}
+	await db.mergeUsers(req.user.id, other.id);
+	await db.touchIdentity(provider, subject, username);
+	await recordModeration(req.user, {
+		action: 'account_merge',
+		targetType: 'user',
+		targetId: other.discordId,
+		targetLabel: other.username,
+		before: { discordId: other.discordId, username: other.username },
+		after: { discordId: req.user.discordId, username: req.user.username }
+	});
+	return back({ linked: provider, merged: other.username });
+}
+
 app.get('/api/auth/login', (req, res) => {
 	if (!discordClientId || !discordClientSecret) {
 		if (req.headers.accept?.includes('application/json')) {
@@ -794,13 +1686,7 @@ DISCORD_CLIENT_SECRET=your_client_secret</pre>
 			</html>
 		`);
 	}
-	const params = new URLSearchParams({
-		client_id: discordClientId,
-		redirect_uri: discordRedirectUri,
-		response_type: 'code',
-		scope: 'identify'
-	});
-	return res.redirect(`https://discord.com/oauth2/authorize?${params.toString()}`);
+	return res.redirect(discordAuthorizeUrl());
 });
 
 app.get('/api/auth/google', (req, res) => {
@@ -834,16 +1720,7 @@ GOOGLE_REDIRECT_URI=${googleRedirectUri}</pre>
 		`);
 	}
 
-	const params = new URLSearchParams({
-		client_id: googleClientId,
-		redirect_uri: googleRedirectUri,
-		response_type: 'code',
-		scope: 'openid email profile',
-		access_type: 'offline',
-		prompt: 'consent'
-	});
-
-	return res.redirect(`https://accounts.google.com/o/oauth2/v2/auth?${params.toString()}`);
+	return res.redirect(googleAuthorizeUrl());
 });
 
 app.get('/api/auth/callback', async (req, res) => {
@@ -883,28 +1760,12 @@ app.get('/api/auth/callback', async (req, res) => {
 		}
 
 		const discordUser = await userResponse.json();
-		const user = await db.upsertUser({
-			discordId: discordUser.id,
+		return await completeOAuth(req, res, {
+			provider: 'discord',
+			subject: discordUser.id,
 			username: discordUser.username,
 			avatar: discordUser.avatar ? `https://cdn.discordapp.com/avatars/${discordUser.id}/${discordUser.avatar}.png` : null
 		});
-
-		if (adminIds.includes(discordUser.id)) {
-			await db.setAdmin(discordUser.id, true);
-		}
-
-		// Refresh user data after potential admin promotion
-		const updatedUser = await db.getUserByDiscordId(discordUser.id) || user;
-
-		// Check if user is banned
-		if (updatedUser.isBanned || updatedUser.isbanned) {
-			return res.status(403).send('Your account has been banned and cannot access this platform.');
-		}
-
-		const session = signSession(updatedUser);
-		res.cookie('session', session, sessionCookieOptions);
-
-		return res.redirect(`${frontendBase}/`);
 	} catch (authErr) {
 		console.error('Discord auth error', authErr);
 		return res.status(500).send('Authentication failed');
@@ -948,30 +1809,13 @@ app.get('/api/auth/google/callback', async (req, res) => {
 		}
 
 		const googleUser = await userResponse.json();
-		const externalId = `g-${googleUser.sub}`;
 		const displayName = (googleUser.name || googleUser.given_name || 'User').trim().slice(0, 80) || 'User';
-		const avatar = googleUser.picture || null;
-
-		const user = await db.upsertUser({
-			discordId: externalId,
+		return await completeOAuth(req, res, {
+			provider: 'google',
+			subject: googleUser.sub,
 			username: displayName,
-			avatar
+			avatar: googleUser.picture || null
 		});
-
-		if (adminIds.includes(externalId)) {
-			await db.setAdmin(externalId, true);
-		}
-
-		const updatedUser = (await db.getUserByDiscordId(externalId)) || user;
-
-		if (updatedUser.isBanned || updatedUser.isbanned) {
-			return res.status(403).send('Your account has been banned and cannot access this platform.');
-		}
-
-		const session = signSession(updatedUser);
-		res.cookie('session', session, sessionCookieOptions);
-
-		return res.redirect(`${frontendBase}/`);
 	} catch (authErr) {
 		console.error('Google auth error', authErr);
 		return res.status(500).send('Authentication failed');
@@ -980,23 +1824,174 @@ app.get('/api/auth/google/callback', async (req, res) => {
 
 app.get('/api/auth/me', async (req, res) => {
 	if (!req.user) return res.status(401).json({ user: null });
-	let user = req.user;
-	if (typeof db.getUserByDiscordId === 'function') {
-		const fresh = await db.getUserByDiscordId(req.user.discordId);
-		if (fresh) {
-			user = normalizeUser(fresh);
-			const session = signSession(fresh);
-			res.cookie('session', session, sessionCookieOptions);
-		}
+	const user = { ...req.user, permissions: await loadPermissions(req) };
+	if (req.ban) {
+		const info = toBanInfo(req.ban, await db.getAppealForBan(req.ban.id));
+		if (req.ban.mode === 'ban') return res.status(403).json({ error: 'Your account has been banned', banned: true, ban: info });
+		return res.json({ user, ban: info });
 	}
-	return res.json({ user });
+	return res.json({ user, ban: null });
 });
 
-app.post('/api/auth/logout', (req, res) => {
-	res.clearCookie('session', sessionCookieOptions);
+app.post('/api/auth/logout', async (req, res) => {
+	await sessions.end(req, res);
 	return res.json({ ok: true });
 });
 
+// Signed-in devices: list them, sign one out, or sign out everywhere but here
+function toSessionJson(session, currentId) {
+	return {
+		id: session.id,
+		userAgent: session.userAgent,
+		ip: session.ip,
+		createdAt: session.createdAt,
+		lastSeenAt: session.lastSeenAt,
+		current: session.id === currentId
+	};
+}
+
+app.get('/api/me/sessions', requireAuth, async (req, res) => {
+	const rows = await db.listSessions(req.user.id);
+	return res.json({ sessions: rows.map((session) => toSessionJson(session, req.session.id)) });
+});
+
+app.delete('/api/me/sessions/:id', requireAuth, async (req, res) => {
+	const session = await db.getSession(req.params.id);
+	if (!session || Number(session.userId) !== Number(req.user.id)) {
+		return res.status(404).json({ error: 'Session not found' });
+	}
+	await db.revokeSession(session.id, 'signed_out');
+	if (session.id === req.session.id) sessions.clear(res);
+	return res.json({ success: true });
+});
+
+app.delete('/api/me/sessions', requireAuth, async (req, res) => {
+	const revoked = await sessions.revokeUser(req.user.id, 'signed_out', req.session.id);
+	return res.json({ success: true, revoked });
+});
+
+// Linked sign-in providers. Linking goes through the provider's login; the state parameter
+// has to come back matching the cookie, so another site can't link its own account to yours.
+app.get('/api/auth/link/:provider', requireAuth, (req, res) => {
+	const provider = oauthProviders[req.params.provider];
+	if (!provider) return res.status(404).json({ error: 'Unknown sign-in provider' });
+	if (!provider.configured) return res.status(500).json({ error: `${PROVIDERS[req.params.provider]} sign-in is not configured` });
+	const state = crypto.randomBytes(16).toString('hex');
+	res.cookie('oauth_link', state, linkCookieOptions);
+	return res.redirect(provider.authorizeUrl(state));
+});
+
+app.get('/api/me/identities', requireAuth, async (req, res) => {
+	const rows = await db.listIdentities(req.user.id);
+	return res.json({
+		identities: rows.map((identity) => ({
+			provider: identity.provider,
+			providerName: PROVIDERS[identity.provider] || identity.provider,
+			subject: identity.subject,
+			displayName: identity.displayName,
+			createdAt: identity.createdAt,
+			lastUsedAt: identity.lastUsedAt,
+			primary: isPrimaryIdentity(req.user, identity)
+		})),
+		providers: Object.entries(oauthProviders)
+			.filter(([, provider]) => provider.configured)
+			.map(([key]) => ({ provider: key, name: PROVIDERS[key] }))
+	});
+});
+
+app.delete('/api/me/identities/:provider/:subject', requireAuth, async (req, res) => {
+	const identity = await db.getIdentity(req.params.provider, req.params.subject);
+	if (!identity || Number(identity.userId) !== Number(req.user.id)) {
+		return res.status(404).json({ error: 'Linked account not found' });
+	}
+	if (isPrimaryIdentity(req.user, identity)) {
+		return res.status(400).json({ error: 'The account you signed up with can\'t be unlinked' });
+	}
+	await db.removeIdentity(req.user.id, identity.provider, identity.subject);
+	return res.json({ success: true });
+});
+
+// API tokens. These routes only take the session cookie, so a token can't mint more tokens.
+const MAX_API_TOKENS = 20;
+
+function toApiTokenJson(record) {
+	return {
+		id: record.id,
+		name: record.name,
+		kind: record.kind,
+		scopes: record.scopes,
+		prefix: record.prefix,
+		createdAt: record.createdAt,
+		lastUsedAt: record.lastUsedAt,
+		expiresAt: record.expiresAt
+	};
+}
+
+app.get('/api/me/tokens', requireAuth, async (req, res) => {
+	const rows = await db.listApiTokens(req.user.id);
+	return res.json({
+		tokens: rows.map(toApiTokenJson),
+		scopes: TOKEN_SCOPES,
+		serviceOnlyScopes: SERVICE_ONLY_SCOPES,
+		canCreateService: await hasPermission(req, 'tokens.service')
+	});
+});
+
+app.post('/api/me/tokens', requireAuth, async (req, res) => {
+	const name = String(req.body?.name || '').trim().slice(0, 60);
+	const kind = req.body?.kind || 'personal';
+	const scopes = Array.isArray(req.body?.scopes) ? [...new Set(req.body.scopes)] : req.body?.scopes;
+	if (!name) return res.status(400).json({ error: 'Token name is required' });
+	const invalid = validateTokenRequest({ kind, scopes });
+	if (invalid) return res.status(400).json({ error: invalid });
+	if (kind === 'service' && !(await hasPermission(req, 'tokens.service'))) {
+		return res.status(403).json({ error: 'You do not have permission to do that', permission: 'tokens.service' });
+	}
+	const days = req.body?.expiresInDays == null || req.body.expiresInDays === '' ? null : Number(req.body.expiresInDays);
+	if (days !== null && (!Number.isInteger(days) || days < 1 || days > 365)) {
+		return res.status(400).json({ error: 'expiresInDays must be a whole number from 1 to 365' });
+	}
+	if ((await db.listApiTokens(req.user.id)).length >= MAX_API_TOKENS) {
+		return res.status(400).json({ error: `You can have at most ${MAX_API_TOKENS} tokens; revoke one first` });
+	}
+
+	const { token, record } = await apiTokens.create({
+		userId: req.user.id,
+		name,
+		kind,
+		scopes,
+		expiresAt: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null
+	});
+	// Service tokens can post as anyone, so they go in the audit log
+	if (kind === 'service') {
+		await recordModeration(req.user, {
+			action: 'service_token_create',
+			targetType: 'token',
+			targetId: String(record.id),
+			targetLabel: name,
+			after: { scopes: record.scopes, expiresAt: record.expiresAt }
+		});
+	}
+	return res.status(201).json({ token, record: toApiTokenJson(record) });
+});
+
+app.delete('/api/me/tokens/:id', requireAuth, async (req, res) => {
+	const record = (await db.listApiTokens(req.user.id)).find((row) => row.id === Number(req.params.id));
+	if (!record || !(await db.revokeApiToken(record.id, req.user.id))) {
+		return res.status(404).json({ error: 'Token not found' });
+	}
+	if (record.kind === 'service') {
+		await recordModeration(req.user, {
+			action: 'service_token_revoke',
+			targetType: 'token',
+			targetId: String(record.id),
+			targetLabel: record.name,
+			before: { scopes: record.scopes, expiresAt: record.expiresAt }
+		});
+	}
+	return res.json({ success: true });
+});
+
 // Frontend routes (served as static HTML)
 app.get('/edit/:id', (_req, res) => {
 	res.sendFile(path.resolve(publicDir, 'edit.html'));
@@ -1015,43 +2010,68 @@ app.get('/upload', (_req, res) => {
 });
 
 // Admin endpoints
-app.get('/api/admin/users', requireAdmin, async (req, res) => {
+app.get('/api/admin/users', requirePermission('users.view'), async (req, res) => {
 	const users = await db.getAllUsers();
 	return res.json({ users });
 });
 
-// Delete post - allowed for admins OR the owner of the post
+// Delete post - allowed for the owner of the post OR anyone with posts.delete_any
 app.delete('/api/post/:id', requireAuth, async (req, res) => {
 	const id = Number(req.params.id);
 	if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid post id' });
 
 	const post = await db.getPost(id);
-	if (!post) return res.status(404).json({ error: 'Post not found' });
+	if (!post || post.status === 'removed') return res.status(404).json({ error: 'Post not found' });
 
-	// Allow if admin OR if user is the owner of the post
+	// Allow if the user owns the post OR may remove any post
 	const isOwner = req.user.discordId === post.uploaderDiscordId;
-	const isAdmin = req.user.isAdmin;
-	
-	if (!isOwner && !isAdmin) {
+
+	if (!isOwner && !(await hasPermission(req, 'posts.delete_any'))) {
 		return res.status(403).json({ error: 'You can only delete your own posts' });
 	}
 
-	// If admin is deleting someone else's post, send a warning notification
-	const reason = req.body?.reason || 'Content violated community guidelines';
-	if (isAdmin && !isOwner) {
-		const uploader = await db.getUserByDiscordId(post.uploaderDiscordId);
-		if (uploader) {
-			await db.createNotification(
-				uploader.id,
-				'warning',
-				'Your content was removed',
-				`Your post "${post.title || 'Untitled'}" was removed by a moderator. Reason: ${reason}. Please review our community guidelines to avoid future removals.`
-			);
-		}
+	const moderated = !isOwner;
+	const reason = moderated ? req.body?.reason || 'Content violated community guidelines' : 'Deleted by uploader';
+	const severity = readSeverity(req.body?.severity);
+	if (!severity) return res.status(400).json({ error: `severity must be between 1 and ${MAX_SEVERITY}` });
+
+	// Soft delete: hidden right away, restorable by admins until the retention window passes
+	const removed = await db.removePost(id, { removedBy: req.user.id, reason });
+	if (!removed) return res.status(404).json({ error: 'Post not found' });
+	trending.clear();
+
+	// If admin is deleting someone else's post, tell the uploader why and give them a strike
+	const uploader = moderated ? await db.getUserByDiscordId(post.uploaderDiscordId) : null;
+	if (uploader) {
+		await db.createNotification(
+			uploader.id,
+			'warning',
+			'Your content was removed',
+			`Your post "${post.title || 'Untitled'}" was removed by a moderator. Reason: ${reason}. Please review our community guidelines to avoid future removals. If you think this was a mistake, contact the moderators within ${postRetentionDays} days so it can be restored.`
+		);
 	}
-
-	await db.deletePost(id);
-	return res.json({ success: true, message: 'Post deleted' });
+	if (moderated) {
+		await recordModeration(req.user, {
+			action: 'post_delete',
+			targetType: 'post',
+			targetId: post.id,
+			targetLabel: post.title || 'Untitled',
+			reason,
+			before: { title: post.title, status: post.status, uploaderDiscordId: post.uploaderDiscordId, uploaderName: post.uploaderName },
+			after: { status: 'removed' }
+		});
+	}
+	// strike: false removes the post without counting it against the uploader
+	let strike = null;
+	if (uploader && req.body?.strike !== false) {
+		strike = await addStrike(req.user, uploader, { severity, reason, source: 'post_removal', targetId: post.id });
+	}
+	return res.json({
+		success: true,
+		message: 'Post removed',
+		strikePoints: strike?.points ?? null,
+		ban: strike?.ban ? toBanInfo(strike.ban) : null
+	});
 });
 
 // Notification endpoints
@@ -1073,13 +2093,303 @@ app.post('/api/notifications/read-all', requireAuth, async (req, res) => {
 	return res.json({ success: true });
 });
 
+// Moderation audit log: every admin action is appended; a failed write is logged rather than undoing the action
+async function recordModeration(actor, entry) {
+	try {
+		await db.recordModerationAction({
+			actorId: actor?.id ?? null,
+			actorDiscordId: actor?.discordId ?? null,
+			actorName: actor?.username || '',
+			...entry,
+			reason: entry.reason ? String(entry.reason).slice(0, 1000) : ''
+		});
+	} catch (err) {
+		console.error('Failed to record moderation action:', entry.action, err);
+	}
+}
+
+// Sets one role/status flag on a user and records the change; sends 404 and returns null for unknown users
+async function setUserFlag(req, res, { flag, value, apply, actions }) {
+	const target = await db.getUserByDiscordId(req.params.discordId);
+	if (!target) {
+		res.status(404).json({ error: 'User not found' });
+		return null;
+	}
+	await apply(target.discordId, value);
+	await recordModeration(req.user, {
+		action: value ? actions[0] : actions[1],
+		targetType: 'user',
+		targetId: target.discordId,
+		targetLabel: target.username,
+		reason: req.body?.reason,
+		before: { [flag]: Boolean(target[flag]) },
+		after: { [flag]: value }
+	});
+	return target;
+}
+
+const BAN_MODES = ['ban', 'suspend'];
+const APPEAL_STATUSES = ['pending', 'accepted', 'rejected'];
+
+// Ban fields kept in audit log before/after snapshots
+function banState(ban) {
+	return ban ? { mode: ban.mode, expiresAt: ban.expiresAt || null } : null;
+}
+
+// Strike severity from a request body: 1 when omitted, null when out of range
+function readSeverity(value) {
+	if (value === undefined || value === null || value === '') return 1;
+	const severity = Number(value);
+	return Number.isInteger(severity) && severity >= 1 && severity <= MAX_SEVERITY ? severity : null;
+}
+
+function toStrikeJson(strike) {
+	const expired = strike.expiresAt && new Date(strike.expiresAt).getTime() <= Date.now();
+	return {
+		id: strike.id,
+		severity: strike.severity,
+		reason: strike.reason,
+		source: strike.source,
+		targetId: strike.targetId || null,
+		createdAt: strike.createdAt,
+		expiresAt: strike.expiresAt || null,
+		revokedAt: strike.revokedAt || null,
+		createdByName: strike.createdByName || null,
+		active: !strike.revokedAt && !expired
+	};
+}
+
+// Records a strike against target and applies the escalation rule it crosses, if any.
+// Resolves to { strike, points, ban } where ban is the automatic ban it caused, or null.
+async function addStrike(actor, target, { severity, reason, source, targetId = null }) {
+	const before = await db.getStrikeSummary(target.id);
+	const strike = await db.addStrike({
+		userId: target.id,
+		severity,
+		reason: String(reason || '').slice(0, 1000),
+		source,
+		targetId,
+		expiresAt: strikePolicy.expiresAt(),
+		createdBy: actor?.id ?? null
+	});
+	const points = Number(before.points) + severity;
+	await recordModeration(actor, {
+		action: 'strike',
+		targetType: 'user',
+		targetId: target.discordId,
+		targetLabel: target.username,
+		reason,
+		before: { strikePoints: Number(before.points) },
+		after: { strikePoints: points, severity, source }
+	});
+
+	const rule = strikePolicy.escalationFor(Number(before.points), points);
+	const current = rule ? await db.getActiveBan(target.id) : null;
+	const proposed = rule ? strikePolicy.banFor(rule, current) : null;
+	if (!proposed) return { strike, points, ban: null };
+
+	const ban = await db.createBan({
+		userId: target.id,
+		mode: proposed.mode,
+		reason: `Automatic: ${points} active strike points`,
+		expiresAt: proposed.expiresAt,
+		createdBy: actor?.id ?? null
+	});
+	if (ban.mode === 'ban') {
+		await sessions.revokeUser(target.id, 'banned');
+		await db.revokeUserApiTokens(target.id, 'service');
+	}
+	await recordModeration(actor, {
+		action: 'strike_escalation',
+		targetType: 'user',
+		targetId: target.discordId,
+		targetLabel: target.username,
+		reason: `Reached ${rule.points} strike points`,
+		before: { ban: banState(current) },
+		after: { ban: banState(ban) }
+	});
+	const until = ban.expiresAt ? ` until ${new Date(ban.expiresAt).toUTCString()}` : '';
+	await db.createNotification(
+		target.id,
+		'warning',
+		ban.mode === 'suspend' ? 'Your account was suspended' : 'Your account was banned',
+		`You reached ${points} strike points, so your account was ${ban.mode === 'suspend' ? 'suspended from uploading and commenting' : 'banned'}${until}.`
+	);
+	return { strike, points, ban };
+}
+
+// Removed posts waiting to be purged, newest first
+app.get('/api/admin/posts/removed', requirePermission('posts.restore'), async (req, res) => {
+	const page = readPageParams(req);
+	if (!page) return res.status(400).json({ error: 'Invalid cursor' });
+	const rows = await db.listRemovedPosts({ cursor: page.cursor, limit: page.limit + 1 });
+	const { rows: pageRows, nextCursor } = toPage(rows, page.limit);
+	const retentionMs = postRetentionDays * 24 * 60 * 60 * 1000;
+	return res.json({
+		posts: pageRows.map(({ cursorId, filename, thumbnail, ...post }) => ({
+			...post,
+			thumbnailUrl: thumbnail ? storage.getUrl(thumbnail) : null,
+			purgeAt: new Date(new Date(post.removedAt).getTime() + retentionMs).toISOString()
+		})),
+		nextCursor,
+		retentionDays: postRetentionDays
+	});
+});
+
+app.post('/api/admin/posts/:id/restore', requirePermission('posts.restore'), async (req, res) => {
+	const id = Number(req.params.id);
+	if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid post id' });
+	const restored = await db.restorePost(id);
+	if (!restored) return res.status(404).json({ error: 'No removed post with that id' });
+
+	const post = await db.getPost(id);
+	const uploader = post.uploaderDiscordId ? await db.getUserByDiscordId(post.uploaderDiscordId) : null;
+	if (uploader && uploader.id !== req.user.id) {
+		await db.createNotification(
+			uploader.id,
+			'info',
+			'Your content was restored',
+			`Your post "${post.title || 'Untitled'}" was reviewed and restored by a moderator.`
+		);
+	}
+	await recordModeration(req.user, {
+		action: 'post_restore',
+		targetType: 'post',
+		targetId: post.id,
+		targetLabel: post.title || 'Untitled',
+		reason: req.body?.reason,
+		before: { status: 'removed' },
+		after: { status: post.status }
+	});
+	return res.json({ success: true, status: post.status });
+});
+
+// Posts held by screening, newest first
+app.get('/api/admin/review', requirePermission('posts.review'), async (req, res) => {
+	const page = readPageParams(req);
+	if (!page) return res.status(400).json({ error: 'Invalid cursor' });
+	const rows = await db.listHeldPosts({ cursor: page.cursor, limit: page.limit + 1 });
+	const { rows: pageRows, nextCursor } = toPage(rows, page.limit);
+	return res.json({
+		posts: pageRows.map(({ cursorId, filename, thumbnail, ...post }) => ({
+			...post,
+			fileUrl: storage.getUrl(filename),
+			thumbnailUrl: thumbnail ? storage.getUrl(thumbnail) : null
+		})),
+		nextCursor,
+		count: await db.countHeldPosts()
+	});
+});
+
+// decision: 'approve' publishes the post, 'reject' removes it (restorable like any removal);
+// blockFile: true also adds the file's hashes to the screening blocklist
+app.post('/api/admin/review/:id', requirePermission('posts.review'), async (req, res) => {
+	const id = Number(req.params.id);
+	if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid post id' });
+	const { decision, reason = '', blockFile = false } = req.body || {};
+	if (!['approve', 'reject'].includes(decision)) return res.status(400).json({ error: 'decision must be approve or reject' });
+
+	const post = await db.getPost(id);
+	if (!post || post.status !== 'pending_review') return res.status(404).json({ error: 'No held post with that id' });
+	const trimmedReason = String(reason).trim().slice(0, 500);
+	const uploader = post.uploaderDiscordId ? await db.getUserByDiscordId(post.uploaderDiscordId) : null;
+
+	if (decision === 'approve') {
+		if (!(await db.approvePost(id))) return res.status(409).json({ error: 'Post was already reviewed' });
+		await queuePublishedEvent(id);
+		if (uploader) {
+			await db.createNotification(uploader.id, 'info', 'Your post was approved', `"${post.title || 'Untitled'}" passed review and is now published.`);
+			await notifyMentions(uploader, post.description, '', `${post.uploaderName || 'Someone'} mentioned you in the description of "${post.title || 'Untitled'}"`);
+		}
+	} else {
+		const removalReason = trimmedReason || 'Did not pass review';
+		if (!(await db.removePost(id, { removedBy: req.user.id, reason: removalReason }))) {
+			return res.status(409).json({ error: 'Post was already reviewed' });
+		}
+		trending.clear();
+		if (uploader) {
+			await db.createNotification(uploader.id, 'warning', 'Your post was not approved', `"${post.title || 'Untitled'}" was held for review and rejected. Reason: ${removalReason}`);
+		}
+		if (blockFile) {
+			if (post.fileSha256) await db.addBlockedHash({ kind: 'sha256', hash: post.fileSha256, note: `Post #${id}`, createdBy: req.user.id });
+			if (post.filePhash) await db.addBlockedHash({ kind: 'phash', hash: post.filePhash, note: `Post #${id}`, createdBy: req.user.id });
+		}
+	}
+	await recordModeration(req.user, {
+		action: decision === 'approve' ? 'review_approve' : 'review_reject',
+		targetType: 'post',
+		targetId: post.id,
+		targetLabel: post.title || 'Untitled',
+		reason: trimmedReason,
+		before: { status: 'pending_review' },
+		after: { status: decision === 'approve' ? 'published' : 'removed', blockedFile: decision === 'reject' && Boolean(blockFile) }
+	});
+	return res.json({ success: true, status: decision === 'approve' ? 'published' : 'removed' });
+});
+
+app.get('/api/admin/screening/hashes', requirePermission('screening.manage'), async (req, res) => {
+	return res.json({ hashes: await db.listBlockedHashes() });
+});
+
+// Body: { kind: 'sha256' | 'phash', hash, note } or { postId, note } to block an existing post's file
+app.post('/api/admin/screening/hashes', requirePermission('screening.manage'), async (req, res) => {
+	const { kind, hash, postId, note = '' } = req.body || {};
+	const trimmedNote = String(note).trim().slice(0, 200);
+	let entries;
+	if (postId !== undefined) {
+		const post = await db.getPost(Number(postId));
+		if (!post) return res.status(404).json({ error: 'Post not found' });
+		entries = [['sha256', post.fileSha256], ['phash', post.filePhash]].filter(([, value]) => value);
+		if (!entries.length) return res.status(400).json({ error: 'That post has no recorded fingerprint' });
+	} else {
+		const value = String(hash || '').trim().toLowerCase();
+		const valid = kind === 'sha256' ? /^[0-9a-f]{64}$/.test(value) : kind === 'phash' && /^[0-9a-f]{16}$/.test(value);
+		if (!HASH_KINDS.includes(kind) || !valid) {
+			return res.status(400).json({ error: 'kind must be sha256 (64 hex chars) or phash (16 hex chars)' });
+		}
+		entries = [[kind, value]];
+	}
+
+	const added = [];
+	for (const [entryKind, value] of entries) {
+		const entry = await db.addBlockedHash({ kind: entryKind, hash: value, note: trimmedNote || (postId !== undefined ? `Post #${postId}` : ''), createdBy: req.user.id });
+		if (entry) added.push(entry);
+	}
+	if (!added.length) return res.status(409).json({ error: 'Already blocked' });
+	await recordModeration(req.user, {
+		action: 'hash_block',
+		targetType: postId !== undefined ? 'post' : 'hash',
+		targetId: postId !== undefined ? Number(postId) : added[0].hash,
+		targetLabel: trimmedNote,
+		after: { hashes: added.map((entry) => ({ kind: entry.kind, hash: entry.hash })) }
+	});
+	return res.status(201).json({ hashes: added });
+});
+
+app.delete('/api/admin/screening/hashes/:id', requirePermission('screening.manage'), async (req, res) => {
+	const id = Number(req.params.id);
+	if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid id' });
+	const existing = (await db.listBlockedHashes()).find((entry) => entry.id === id);
+	if (!existing || !(await db.removeBlockedHash(id))) return res.status(404).json({ error: 'Hash not found' });
+	await recordModeration(req.user, {
+		action: 'hash_unblock',
+		targetType: 'hash',
+		targetId: existing.hash,
+		targetLabel: existing.note,
+		before: { kind: existing.kind, hash: existing.hash }
+	});
+	return res.json({ success: true });
+});
+
 // Admin send warning to user
-app.post('/api/admin/user/:discordId/warn', requireAdmin, async (req, res) => {
+app.post('/api/admin/user/:discordId/warn', requirePermission('users.warn'), async (req, res) => {
 	const discordId = req.params.discordId;
 	if (!discordId) return res.status(400).json({ error: 'Invalid user' });
 	
 	const { title, message } = req.body;
 	if (!message) return res.status(400).json({ error: 'Message is required' });
+	const severity = readSeverity(req.body.severity);
+	if (!severity) return res.status(400).json({ error: `severity must be between 1 and ${MAX_SEVERITY}` });
 	
 	const user = await db.getUserByDiscordId(discordId);
 	if (!user) return res.status(404).json({ error: 'User not found' });
@@ -1090,60 +2400,420 @@ app.post('/api/admin/user/:discordId/warn', requireAdmin, async (req, res) => {
 		title || 'Warning from moderators',
 		message
 	);
+	await recordModeration(req.user, {
+		action: 'warn',
+		targetType: 'user',
+		targetId: user.discordId,
+		targetLabel: user.username,
+		reason: message,
+		after: { title: title || 'Warning from moderators' }
+	});
+	const result = await addStrike(req.user, user, { severity, reason: message, source: 'warning' });
 	
-	return res.json({ success: true, message: 'Warning sent to user' });
+	return res.json({
+		success: true,
+		message: 'Warning sent to user',
+		strike: toStrikeJson(result.strike),
+		strikePoints: result.points,
+		ban: result.ban ? toBanInfo(result.ban) : null
+	});
+});
+
+// A user's strikes (including expired and revoked ones) and the points that currently count
+app.get('/api/admin/user/:discordId/strikes', requirePermission('users.warn'), async (req, res) => {
+	const user = await db.getUserByDiscordId(req.params.discordId);
+	if (!user) return res.status(404).json({ error: 'User not found' });
+	const [strikes, summary] = await Promise.all([db.listStrikes(user.id), db.getStrikeSummary(user.id)]);
+	return res.json({
+		strikes: strikes.map(toStrikeJson),
+		activeStrikes: Number(summary.count),
+		strikePoints: Number(summary.points),
+		rules: strikePolicy.rules
+	});
 });
 
-app.post('/api/admin/user/:discordId/ban', requireAdmin, async (req, res) => {
+// Revoking a strike stops it counting; bans it already caused stay until lifted
+app.delete('/api/admin/strikes/:id', requirePermission('users.warn'), async (req, res) => {
+	const id = Number(req.params.id);
+	if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid id' });
+	const strike = await db.revokeStrike(id);
+	if (!strike) return res.status(404).json({ error: 'Strike not found or already revoked' });
+
+	const user = await db.getUserByDiscordId(strike.userDiscordId);
+	await recordModeration(req.user, {
+		action: 'strike_revoke',
+		targetType: 'user',
+		targetId: strike.userDiscordId,
+		targetLabel: user?.username || '',
+		reason: req.body?.reason,
+		before: { strikeId: strike.id, severity: strike.severity, source: strike.source },
+		after: { revoked: true }
+	});
+	return res.json({ strike: toStrikeJson(strike) });
+});
+
+app.post('/api/admin/user/:discordId/ban', requirePermission('users.ban'), async (req, res) => {
 	const discordId = req.params.discordId;
 	if (!discordId) return res.status(400).json({ error: 'Invalid user' });
 
-	const { banned } = req.body;
-	await db.setBanned(discordId, Boolean(banned));
-	return res.json({ success: true, message: `User ${banned ? 'banned' : 'unbanned'}` });
+	// mode: 'ban' blocks the account, 'suspend' only blocks posting; durationHours omitted means permanent
+	const { banned, mode = 'ban', durationHours, reason = '' } = req.body;
+	if (!BAN_MODES.includes(mode)) return res.status(400).json({ error: 'Invalid ban mode' });
+	const hours = durationHours === undefined || durationHours === null || durationHours === '' ? null : Number(durationHours);
+	if (hours !== null && (!Number.isFinite(hours) || hours <= 0)) {
+		return res.status(400).json({ error: 'durationHours must be a positive number' });
+	}
+
+	const target = await db.getUserByDiscordId(discordId);
+	if (!target) return res.status(404).json({ error: 'User not found' });
+	const previous = await db.getActiveBan(target.id);
+
+	let ban = null;
+	if (banned) {
+		ban = await db.createBan({
+			userId: target.id,
+			mode,
+			reason: String(reason).trim().slice(0, 500),
+			expiresAt: hours ? new Date(Date.now() + hours * 60 * 60 * 1000).toISOString() : null,
+			createdBy: req.user.id
+		});
+		// A full ban signs the user out everywhere and revokes their service tokens; they can sign
+		// back in to read it and appeal
+		if (mode === 'ban') {
+			await sessions.revokeUser(target.id, 'banned');
+			await db.revokeUserApiTokens(target.id, 'service');
+		}
+	} else {
+		await db.liftBan(target.id);
+	}
+	await recordModeration(req.user, {
+		action: banned ? (mode === 'suspend' ? 'suspend' : 'ban') : 'unban',
+		targetType: 'user',
+		targetId: target.discordId,
+		targetLabel: target.username,
+		reason,
+		before: { ban: banState(previous) },
+		after: { ban: banState(ban) }
+	});
+
+	const verb = mode === 'suspend' ? 'suspended' : 'banned';
+	const until = ban?.expiresAt ? ` until ${new Date(ban.expiresAt).toUTCString()}` : '';
+	return res.json({ success: true, message: banned ? `User ${verb}${until}` : 'User unbanned', ban: ban ? toBanInfo(ban) : null });
 });
 
-app.post('/api/admin/user/:discordId/verify', requireAdmin, async (req, res) => {
+app.post('/api/admin/user/:discordId/verify', requirePermission('users.verify'), async (req, res) => {
 	const discordId = req.params.discordId;
 	if (!discordId) return res.status(400).json({ error: 'Invalid user' });
 
 	const { verified } = req.body;
-	await db.setVerified(discordId, Boolean(verified));
+	const target = await setUserFlag(req, res, {
+		flag: 'isVerified',
+		value: Boolean(verified),
+		apply: (id, value) => db.setVerified(id, value),
+		actions: ['verify', 'unverify']
+	});
+	if (!target) return undefined;
 	return res.json({ success: true, message: `User ${verified ? 'verified' : 'unverified'}` });
 });
 
-app.post('/api/admin/user/:discordId/admin', requireAdmin, async (req, res) => {
+app.post('/api/admin/user/:discordId/admin', requirePermission('roles.manage'), async (req, res) => {
 	const discordId = req.params.discordId;
 	if (!discordId) return res.status(400).json({ error: 'Invalid user' });
 
-	// Only owners can promote/demote admins
-	if (!req.user.isOwner) {
-		return res.status(403).json({ error: 'Only owners can manage admin permissions' });
-	}
-
 	const { admin } = req.body;
-	await db.setAdmin(discordId, Boolean(admin));
+	const target = await setUserFlag(req, res, {
+		flag: 'isAdmin',
+		value: Boolean(admin),
+		apply: (id, value) => db.setAdmin(id, value),
+		actions: ['admin_grant', 'admin_revoke']
+	});
+	if (!target) return undefined;
+	if (!admin) {
+		await sessions.revokeUser(target.id, 'role_removed');
+		await revokeUnpermittedServiceTokens(target.id);
+	}
 	return res.json({ success: true, message: `User ${admin ? 'promoted to' : 'removed from'} admin` });
 });
 
-app.post('/api/admin/user/:discordId/staff', requireAdmin, async (req, res) => {
+app.post('/api/admin/user/:discordId/staff', requirePermission('users.staff'), async (req, res) => {
 	const discordId = req.params.discordId;
 	if (!discordId) return res.status(400).json({ error: 'Invalid user' });
 
 	const { staff } = req.body;
-	await db.setStaff(discordId, Boolean(staff));
+	const target = await setUserFlag(req, res, {
+		flag: 'isStaff',
+		value: Boolean(staff),
+		apply: (id, value) => db.setStaff(id, value),
+		actions: ['staff_grant', 'staff_revoke']
+	});
+	if (!target) return undefined;
+	if (!staff) {
+		await sessions.revokeUser(target.id, 'role_removed');
+		await revokeUnpermittedServiceTokens(target.id);
+	}
 	return res.json({ success: true, message: `User ${staff ? 'given' : 'removed'} Staff badge` });
 });
 
-app.post('/api/admin/user/:discordId/owner', requireOwner, async (req, res) => {
+app.post('/api/admin/user/:discordId/owner', requirePermission('roles.manage'), async (req, res) => {
 	const discordId = req.params.discordId;
 	if (!discordId) return res.status(400).json({ error: 'Invalid user' });
 
 	const { owner } = req.body;
-	await db.setOwner(discordId, Boolean(owner));
+	if (!owner && discordId === req.user.discordId) {
+		return res.status(400).json({ error: 'You cannot remove your own owner role' });
+	}
+	const target = await setUserFlag(req, res, {
+		flag: 'isOwner',
+		value: Boolean(owner),
+		apply: (id, value) => db.setOwner(id, value),
+		actions: ['owner_grant', 'owner_revoke']
+	});
+	if (!target) return undefined;
+	if (!owner) {
+		await sessions.revokeUser(target.id, 'role_removed');
+		await revokeUnpermittedServiceTokens(target.id);
+	}
 	return res.json({ success: true, message: `User ${owner ? 'given' : 'removed'} Owner badge` });
 });
 
+// Roles (roles.manage, owner only): custom roles bundle permissions; built-in roles are fixed
+const ROLE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{1,31}$/;
+
+function roleState(role) {
+	return role ? { name: role.name, description: role.description, permissions: role.permissions } : null;
+}
+
+app.get('/api/admin/roles', requirePermission('roles.manage'), async (_req, res) => {
+	const roles = await db.listRoles();
+	return res.json({ roles, permissions: PERMISSIONS, ownerOnly: OWNER_ONLY_PERMISSIONS });
+});
+
+app.post('/api/admin/roles', requirePermission('roles.manage'), async (req, res) => {
+	const name = String(req.body?.name || '').trim().toLowerCase();
+	const description = String(req.body?.description || '').trim().slice(0, 200);
+	const permissions = req.body?.permissions ?? [];
+	if (!ROLE_NAME_PATTERN.test(name)) {
+		return res.status(400).json({ error: 'Role names are 2-32 lowercase letters, digits, dashes or underscores' });
+	}
+	const invalid = validateRolePermissions(permissions);
+	if (invalid) return res.status(400).json({ error: invalid });
+
+	const role = await db.createRole({ name, description, permissions: [...new Set(permissions)] });
+	if (!role) return res.status(409).json({ error: 'A role with that name already exists' });
+	await recordModeration(req.user, {
+		action: 'role_create',
+		targetType: 'role',
+		targetId: String(role.id),
+		targetLabel: role.name,
+		after: roleState(role)
+	});
+	return res.status(201).json({ role });
+});
+
+app.patch('/api/admin/roles/:id', requirePermission('roles.manage'), async (req, res) => {
+	const id = Number(req.params.id);
+	if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid id' });
+	const existing = await db.getRole(id);
+	if (!existing) return res.status(404).json({ error: 'Role not found' });
+	if (existing.builtIn) return res.status(400).json({ error: 'Built-in roles cannot be edited' });
+
+	const { description, permissions } = req.body || {};
+	if (permissions !== undefined) {
+		const invalid = validateRolePermissions(permissions);
+		if (invalid) return res.status(400).json({ error: invalid });
+	}
+	const role = await db.updateRole(id, {
+		description: description !== undefined ? String(description).trim().slice(0, 200) : undefined,
+		permissions: permissions !== undefined ? [...new Set(permissions)] : undefined
+	});
+	await recordModeration(req.user, {
+		action: 'role_update',
+		targetType: 'role',
+		targetId: String(id),
+		targetLabel: existing.name,
+		before: roleState(existing),
+		after: roleState(role)
+	});
+	return res.json({ role });
+});
+
+app.delete('/api/admin/roles/:id', requirePermission('roles.manage'), async (req, res) => {
+	const id = Number(req.params.id);
+	if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid id' });
+	const existing = await db.getRole(id);
+	if (!existing) return res.status(404).json({ error: 'Role not found' });
+	if (existing.builtIn) return res.status(400).json({ error: 'Built-in roles cannot be deleted' });
+
+	await db.deleteRole(id);
+	await recordModeration(req.user, {
+		action: 'role_delete',
+		targetType: 'role',
+		targetId: String(id),
+		targetLabel: existing.name,
+		reason: req.body?.reason,
+		before: { ...roleState(existing), memberCount: existing.memberCount }
+	});
+	return res.json({ success: true });
+});
+
+app.get('/api/admin/user/:discordId/roles', requirePermission('roles.manage'), async (req, res) => {
+	const target = await db.getUserByDiscordId(req.params.discordId);
+	if (!target) return res.status(404).json({ error: 'User not found' });
+	return res.json({ roles: await db.getUserRoles(target.id) });
+});
+
+// Replaces the user's role assignments with { roleIds }; the isOwner/isAdmin/isStaff flags follow the built-in roles
+app.put('/api/admin/user/:discordId/roles', requirePermission('roles.manage'), async (req, res) => {
+	const target = await db.getUserByDiscordId(req.params.discordId);
+	if (!target) return res.status(404).json({ error: 'User not found' });
+	const roleIds = req.body?.roleIds;
+	if (!Array.isArray(roleIds) || !roleIds.every((id) => Number.isInteger(id))) {
+		return res.status(400).json({ error: 'roleIds must be an array of role ids' });
+	}
+
+	const allRoles = await db.listRoles();
+	const unknown = roleIds.filter((id) => !allRoles.some((role) => role.id === id));
+	if (unknown.length) return res.status(400).json({ error: `Unknown role: ${unknown.join(', ')}` });
+	const ownerRole = allRoles.find((role) => role.name === 'owner');
+	if (target.id === req.user.id && target.isOwner && !roleIds.includes(ownerRole?.id)) {
+		return res.status(400).json({ error: 'You cannot remove your own owner role' });
+	}
+
+	const before = (await db.getUserRoles(target.id)).map((role) => role.name);
+	const roles = await db.setUserRoles(target.id, [...new Set(roleIds)], req.user.id);
+	const after = roles.map((role) => role.name);
+	// Losing a role signs the user out everywhere
+	if (before.some((name) => !after.includes(name))) {
+		await sessions.revokeUser(target.id, 'role_removed');
+		await revokeUnpermittedServiceTokens(target.id);
+	}
+	await recordModeration(req.user, {
+		action: 'roles_update',
+		targetType: 'user',
+		targetId: target.discordId,
+		targetLabel: target.username,
+		reason: req.body?.reason,
+		before: { roles: before },
+		after: { roles: after }
+	});
+	return res.json({ success: true, roles });
+});
+
+// Appeals: a banned or suspended user may appeal each ban once
+app.get('/api/appeals', requireAuth, async (req, res) => {
+	const ban = req.ban || await db.getActiveBan(req.user.id);
+	if (!ban) return res.json({ ban: null });
+	return res.json({ ban: toBanInfo(ban, await db.getAppealForBan(ban.id)) });
+});
+
+app.post('/api/appeals', requireAuth, async (req, res) => {
+	const ban = req.ban || await db.getActiveBan(req.user.id);
+	if (!ban) return res.status(400).json({ error: 'Your account is not banned' });
+
+	const message = String(req.body?.message ?? '').trim().slice(0, 2000);
+	if (message.length < 10) return res.status(400).json({ error: 'Please explain your appeal in a few sentences' });
+
+	const appeal = await db.createAppeal({ banId: ban.id, userId: req.user.id, message });
+	if (!appeal) return res.status(409).json({ error: 'You have already appealed this ban' });
+	return res.status(201).json({ ban: toBanInfo(ban, appeal) });
+});
+
+function toAppealJson(a) {
+	return {
+		id: a.id,
+		status: a.status,
+		message: a.message,
+		response: a.response || '',
+		createdAt: a.createdAt,
+		reviewedAt: a.reviewedAt || null,
+		reviewerName: a.reviewerName || null,
+		user: { discordId: a.userDiscordId, username: a.userName },
+		ban: {
+			mode: a.banMode,
+			reason: a.banReason || '',
+			expiresAt: a.banExpiresAt || null,
+			active: !a.banLiftedAt
+		}
+	};
+}
+
+app.get('/api/admin/appeals', requirePermission('appeals.review'), async (req, res) => {
+	const status = req.query.status || null;
+	if (status && !APPEAL_STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+	const page = readPageParams(req);
+	if (!page) return res.status(400).json({ error: 'Invalid cursor' });
+	const rows = await db.listAppeals({ status, cursor: page.cursor, limit: page.limit + 1 });
+	const { rows: pageRows, nextCursor } = toPage(rows, page.limit);
+	return res.json({ appeals: pageRows.map(toAppealJson), nextCursor });
+});
+
+// Decide an appeal: accepting lifts the ban; the user is notified either way
+app.post('/api/admin/appeals/:id', requirePermission('appeals.review'), async (req, res) => {
+	const id = Number(req.params.id);
+	if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid id' });
+	const { decision, response = '' } = req.body || {};
+	if (!['accepted', 'rejected'].includes(decision)) return res.status(400).json({ error: 'decision must be accepted or rejected' });
+
+	const existing = await db.getAppeal(id);
+	if (!existing) return res.status(404).json({ error: 'Appeal not found' });
+	const appeal = await db.reviewAppeal(id, {
+		status: decision,
+		response: String(response).trim().slice(0, 1000),
+		reviewedBy: req.user.id
+	});
+	if (!appeal) return res.status(409).json({ error: 'Appeal was already reviewed' });
+
+	const target = await db.getUserByDiscordId(appeal.userDiscordId);
+	let lifted = false;
+	if (target) {
+		const ban = await db.getActiveBan(target.id);
+		// Only lift the ban that was appealed, not a newer one
+		if (decision === 'accepted' && ban?.id === existing.banId) {
+			await db.liftBan(target.id);
+			lifted = true;
+		}
+		await db.createNotification(
+			target.id,
+			'appeal',
+			decision === 'accepted' ? 'Your appeal was accepted' : 'Your appeal was rejected',
+			appeal.response || (decision === 'accepted' ? 'Your ban has been lifted.' : 'The ban stays in place.')
+		);
+	}
+	await recordModeration(req.user, {
+		action: decision === 'accepted' ? 'appeal_accept' : 'appeal_reject',
+		targetType: 'user',
+		targetId: appeal.userDiscordId,
+		targetLabel: appeal.userName,
+		reason: appeal.response,
+		before: { appeal: 'pending', ban: { mode: existing.banMode, expiresAt: existing.banExpiresAt || null } },
+		after: { appeal: decision, banLifted: lifted }
+	});
+	return res.json({ appeal: toAppealJson(lifted ? await db.getAppeal(id) : appeal) });
+});
+
+// Audit log (audit.view): newest first, filterable by ?actor (Discord id), ?action, ?targetType, ?targetId, ?from and ?to
+app.get('/api/admin/audit', requirePermission('audit.view'), async (req, res) => {
+	const page = readPageParams(req);
+	if (!page) return res.status(400).json({ error: 'Invalid cursor' });
+	const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+	const rows = await db.listModerationActions({
+		actor: text(req.query.actor),
+		action: text(req.query.action),
+		targetType: text(req.query.targetType),
+		targetId: text(req.query.targetId),
+		from: toIsoDate(req.query.from),
+		to: toIsoDate(req.query.to),
+		cursor: page.cursor,
+		limit: page.limit + 1
+	});
+	const { rows: pageRows, nextCursor } = toPage(rows, page.limit);
+	return res.json({
+		actions: pageRows.map(({ cursorId, ...row }) => row),
+		nextCursor
+	});
+});
+
 // Setup endpoint (use SETUP_SECRET from .env to promote admins)
 app.post('/api/setup/promote-admin', async (req, res) => {
 	const setupSecret = process.env.SETUP_SECRET;
@@ -1160,74 +2830,164 @@ app.post('/api/setup/promote-admin', async (req, res) => {
 		return res.status(400).json({ error: 'Discord ID required' });
 	}
 
+	const target = await db.getUserByDiscordId(discordId);
 	await db.setAdmin(discordId, true);
+	await recordModeration(null, {
+		action: 'admin_grant',
+		targetType: 'user',
+		targetId: discordId,
+		targetLabel: target?.username || '',
+		reason: 'Promoted with SETUP_SECRET',
+		before: { isAdmin: Boolean(target?.isAdmin) },
+		after: { isAdmin: true }
+	});
 	return res.json({ success: true, message: `User ${discordId} promoted to admin` });
 });
 
-// Report endpoint - sends to Discord webhook
-const REPORT_WEBHOOK_URL = 'https://discordapp.com/api/webhooks/1455624338064670751/Ap6frPffwkxjIosHOHwQNe7O0xL8DaSI9bgn3ve2DEf78n6aZRF85RxVuXRtJPY2O3Zz';
+// Reports are stored first; the webhook is only a heads-up for moderators
+const REPORT_TYPES = ['user', 'video', 'comment'];
+const REPORT_STATUSES = ['open', 'reviewing', 'resolved', 'dismissed'];
+
+// Resolves a report target to the links stored with it, or null if it doesn't exist
+async function resolveReportTarget(type, targetId) {
+	if (type === 'user') {
+		const user = await db.getUserByDiscordId(String(targetId));
+		return user ? { targetUserId: user.id } : null;
+	}
+	if (type === 'video') {
+		const post = await db.getPost(Number(targetId));
+		if (!post || post.status === 'removed') return null;
+		const uploader = post.uploaderDiscordId ? await db.getUserByDiscordId(post.uploaderDiscordId) : null;
+		return { targetPostId: post.id, targetUserId: uploader?.id ?? null };
+	}
+	const comment = await db.getComment(Number(targetId));
+	if (!comment || comment.deletedAt) return null;
+	return { targetCommentId: comment.id, targetPostId: comment.postId, targetUserId: comment.userId };
+}
+
+function toReportJson(r) {
+	const person = (discordId, username) => (discordId ? { discordId, username } : null);
+	return {
+		id: r.id,
+		type: r.type,
+		status: r.status,
+		reason: r.reason,
+		details: r.details || '',
+		resolutionNotes: r.resolutionNotes || '',
+		createdAt: r.createdAt,
+		updatedAt: r.updatedAt,
+		resolvedAt: r.resolvedAt || null,
+		reporter: person(r.reporterDiscordId, r.reporterName),
+		assignee: person(r.assigneeDiscordId, r.assigneeName),
+		target: {
+			user: person(r.targetUserDiscordId, r.targetUserName),
+			postId: r.targetPostId || null,
+			postTitle: r.targetPostTitle ?? null,
+			commentId: r.targetCommentId || null,
+			commentText: r.targetCommentText ?? null
+		}
+	};
+}
 
 app.post('/api/report', requireAuth, async (req, res) => {
 	try {
 		const { type, targetId, reason, details } = req.body;
-		
+
 		if (!type || !targetId || !reason) {
 			return res.status(400).json({ error: 'Missing required fields' });
 		}
 
-		if (!['user', 'video', 'comment'].includes(type)) {
+		if (!REPORT_TYPES.includes(type)) {
 			return res.status(400).json({ error: 'Invalid report type' });
 		}
 
-		// Build the embed for Discord
-		const embed = {
-			title: `🚨 New ${type.charAt(0).toUpperCase() + type.slice(1)} Report`,
-			color: 0xff0000,
-			fields: [
-				{ name: 'Report Type', value: type, inline: true },
-				{ name: 'Target ID', value: String(targetId), inline: true },
-				{ name: 'Reason', value: reason, inline: false }
-			],
-			timestamp: new Date().toISOString(),
-			footer: { text: 'BeardedVibes Report System' }
-		};
+		const target = await resolveReportTarget(type, targetId);
+		if (!target) return res.status(404).json({ error: 'Reported content not found' });
 
-		if (details) {
-			embed.fields.push({ name: 'Additional Details', value: details.slice(0, 1000), inline: false });
-		}
-
-		embed.fields.push({ 
-			name: 'Reported By', 
-			value: `${req.user.username} (${req.user.discordId})`, 
-			inline: false 
-		});
-
-		// Add link based on type
-		if (type === 'video') {
-			embed.fields.push({ name: 'Link', value: `${frontendBase}/post/${targetId}`, inline: false });
-		} else if (type === 'user') {
-			embed.fields.push({ name: 'Link', value: `${frontendBase}/profile.html?id=${targetId}`, inline: false });
-		}
-
-		// Send to Discord webhook
-		const webhookRes = await fetch(REPORT_WEBHOOK_URL, {
-			method: 'POST',
-			headers: { 'Content-Type': 'application/json' },
-			body: JSON.stringify({ embeds: [embed] })
+		const report = await db.createReport({
+			type,
+			reporterId: req.user.id,
+			...target,
+			reason: String(reason).trim().slice(0, 200),
+			details: details ? String(details).trim().slice(0, 1000) : ''
 		});
 
-		if (!webhookRes.ok) {
-			console.error('Failed to send report to webhook:', await webhookRes.text());
-			return res.status(500).json({ error: 'Failed to submit report' });
-		}
+		reportNotifier.notify(report);
 
-		return res.json({ success: true, message: 'Report submitted successfully' });
+		return res.json({ success: true, message: 'Report submitted successfully', id: report.id });
 	} catch (err) {
 		console.error('Report error:', err);
 		return res.status(500).json({ error: 'Failed to submit report' });
 	}
 });
 
+// Admin report queue: newest first, filterable by status and type
+app.get('/api/admin/reports', requirePermission('reports.triage'), async (req, res) => {
+	const status = req.query.status || null;
+	const type = req.query.type || null;
+	if (status && !REPORT_STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+	if (type && !REPORT_TYPES.includes(type)) return res.status(400).json({ error: 'Invalid report type' });
+	const page = readPageParams(req);
+	if (!page) return res.status(400).json({ error: 'Invalid cursor' });
+
+	const rows = await db.listReports({ status, type, cursor: page.cursor, limit: page.limit + 1 });
+	const { rows: pageRows, nextCursor } = toPage(rows, page.limit);
+	const counts = await db.countReportsByStatus();
+	return res.json({
+		reports: pageRows.map(toReportJson),
+		nextCursor,
+		counts: Object.fromEntries(REPORT_STATUSES.map((s) => [s, counts[s] || 0]))
+	});
+});
+
+app.get('/api/admin/reports/:id', requirePermission('reports.triage'), async (req, res) => {
+	const id = Number(req.params.id);
+	if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid id' });
+	const report = await db.getReport(id);
+	if (!report) return res.status(404).json({ error: 'Report not found' });
+	return res.json({ report: toReportJson(report) });
+});
+
+// Triage: change status, (un)assign with assigneeDiscordId ('me' or null allowed), add resolution notes
+app.patch('/api/admin/reports/:id', requirePermission('reports.triage'), async (req, res) => {
+	const id = Number(req.params.id);
+	if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid id' });
+	const existing = await db.getReport(id);
+	if (!existing) return res.status(404).json({ error: 'Report not found' });
+
+	const { status, assigneeDiscordId, resolutionNotes } = req.body || {};
+	if (status !== undefined && !REPORT_STATUSES.includes(status)) {
+		return res.status(400).json({ error: 'Invalid status' });
+	}
+
+	let assigneeId;
+	if (assigneeDiscordId === null) {
+		assigneeId = null;
+	} else if (assigneeDiscordId !== undefined) {
+		const discordId = assigneeDiscordId === 'me' ? req.user.discordId : String(assigneeDiscordId);
+		const assignee = await db.getUserByDiscordId(discordId);
+		const canTriage = assignee && (await db.getUserPermissions(assignee.id)).includes('reports.triage');
+		if (!canTriage) return res.status(400).json({ error: 'Assignee must be able to triage reports' });
+		assigneeId = assignee.id;
+	}
+
+	const report = await db.updateReport(id, {
+		status,
+		assigneeId,
+		resolutionNotes: resolutionNotes !== undefined ? String(resolutionNotes).trim().slice(0, 2000) : undefined
+	});
+	const triageState = (r) => ({ status: r.status, assignee: r.assigneeDiscordId || null, resolutionNotes: r.resolutionNotes || '' });
+	await recordModeration(req.user, {
+		action: 'report_update',
+		targetType: 'report',
+		targetId: report.id,
+		targetLabel: `${report.type}: ${report.reason}`,
+		before: triageState(existing),
+		after: triageState(report)
+	});
+	return res.json({ report: toReportJson(report) });
+});
+
 app.use((err, _req, res, _next) => {
 	console.error('Unexpected error:', err);
 	res.status(500).json({ error: 'Internal server error' });
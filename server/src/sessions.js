@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Database-backed sign-in sessions. The `session` cookie holds a short-lived access token naming
+// its session row; the `refresh` cookie holds `<sessionId>.<secret>` and is swapped for a new one
+// each time the access token is renewed. Revoking the row signs that device out on its next request.
+
+// Requests already in flight when a refresh token rotates may still present the old one
+const REUSE_GRACE_MS = 60 * 1000;
+// lastSeenAt is only written this often, so most requests cost a single read
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+function isActive(session) {
+  return Boolean(session) && !session.revokedAt && new Date(session.expiresAt).getTime() > Date.now();
+}
+
+export function createSessionManager(config) {
+  const { db, jwtSecret, cookieOptions, accessTtlMinutes = 15, ttlDays = 30 } = config;
+  const ttlMs = ttlDays * 24 * 60 * 60 * 1000;
+  const { maxAge: _maxAge, ...clearOptions } = cookieOptions;
+  const accessCookie = { ...clearOptions, maxAge: accessTtlMinutes * 60 * 1000 };
+  const refreshCookie = { ...clearOptions, maxAge: ttlMs };
+
+  // Sets a fresh access token, and the refresh cookie when a new secret was minted
+  function issue(res, session, secret) {
+    const token = jwt.sign({ sid: session.id, id: session.userId }, jwtSecret, { expiresIn: `${accessTtlMinutes}m` });
+    res.cookie('session', token, accessCookie);
+    if (secret) res.cookie('refresh', `${session.id}.${secret}`, refreshCookie);
+  }
+
+  function clear(res) {
+    res.clearCookie('session', clearOptions);
+    res.clearCookie('refresh', clearOptions);
+  }
+
+  async function touch(session) {
+    if (Date.now() - new Date(session.lastSeenAt).getTime() > TOUCH_INTERVAL_MS) {
+      await db.touchSession(session.id);
+    }
+  }
+
+  async function refresh(res, value) {
+    const [sessionId, secret] = String(value).split('.');
+    if (!sessionId || !secret) return null;
+    const session = await db.getSession(sessionId);
+    if (!isActive(session)) return null;
+
+    const hash = hashSecret(secret);
+    if (hash === session.refreshHash) {
+      const next = newSecret();
+      const expiresAt = new Date(Date.now() + ttlMs).toISOString();
+      // A parallel request may have rotated first; it already sent the new refresh cookie
+      const rotated = await db.rotateSession(session.id, { from: hash, to: hashSecret(next), expiresAt });
+      issue(res, session, rotated ? next : null);
+      return session;
+    }
+    if (hash === session.previousRefreshHash) {
+      if (Date.now() - new Date(session.rotatedAt).getTime() <= REUSE_GRACE_MS) {
+        issue(res, session);
+        return session;
+      }
+      // A refresh token replayed after rotation was copied somewhere: end the session
+      await db.revokeSession(session.id, 'refresh_reuse');
+    }
+    return null;
+  }
+
+  return {
+    clear,
+
+    // Creates a session for a user who just signed in and sets both cookies
+    async start(req, res, userId) {
+      const secret = newSecret();
+      const session = await db.createSession({
+        id: crypto.randomUUID(),
+        userId,
+        refreshHash: hashSecret(secret),
+        userAgent: String(req.get('user-agent') || '').slice(0, 300),
+        ip: req.ip || '',
+        expiresAt: new Date(Date.now() + ttlMs).toISOString()
+      });
+      issue(res, session, secret);
+      return session;
+    },
+
+    // The request's active session or null. Renews an expired access token from the refresh
+    // cookie, and clears the cookies of sessions that were revoked or have expired.
+    async authenticate(req, res) {
+      const token = req.cookies?.session;
+      const refreshValue = req.cookies?.refresh;
+      if (!token && !refreshValue) return null;
+
+      if (token) {
+        let decoded = null;
+        try {
+          decoded = jwt.verify(token, jwtSecret);
+        } catch (_err) {
+          // Expired or tampered with; the refresh cookie decides
+        }
+        if (decoded?.sid) {
+          const session = await db.getSession(decoded.sid);
+          if (isActive(session) && Number(session.userId) === Number(decoded.id)) {
+            await touch(session);
+            return session;
+          }
+          clear(res);
+          return null;
+        }
+      }
+
+      const session = refreshValue ? await refresh(res, refreshValue) : null;
+      if (!session) clear(res);
+      return session;
+    },
+
+    async end(req, res) {
+      if (req.session) await db.revokeSession(req.session.id, 'logout');
+      clear(res);
+    },
+
+    // Signs a user out everywhere, optionally keeping one session (the caller's own)
+    revokeUser(userId, reason, exceptId = null) {
+      return db.revokeUserSessions(userId, { reason, exceptId });
+    }
+  };
+}
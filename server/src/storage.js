@@ -23,8 +23,41 @@ export function createStorage(config) {
         return result.secure_url;
       },
       
+      // Stores a derived asset (e.g. an HLS segment) under a stable key so
+      // relative references between files keep working after upload
+      async uploadAsset(filePath, key) {
+        const result = await cloudinary.uploader.upload(filePath, {
+          public_id: key,
+          resource_type: 'raw',
+          folder: 'beardedvibes',
+          overwrite: true
+        });
+        fs.unlinkSync(filePath);
+        return result.secure_url;
+      },
+
+      // Something ffmpeg can read: the delivery URL for remote files
+      resolveInput(stored) {
+        return stored;
+      },
+      
       getUrl(filename) {
         return filename; // Already full URL from cloudinary
+      },
+
+      // Deletes a file previously returned by upload() or uploadAsset()
+      async remove(stored) {
+        const match = /\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+)$/.exec(stored || '');
+        if (!match) return;
+        const [, resourceType, publicPath] = match;
+        // Raw assets keep their extension in the public id; images and videos don't
+        const publicId = resourceType === 'raw' ? publicPath : publicPath.replace(/\.[^./]+$/, '');
+        await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, invalidate: true });
+      },
+
+      // Deletes every asset stored under a key prefix passed to uploadAsset()
+      async removePrefix(keyPrefix) {
+        await cloudinary.api.delete_resources_by_prefix(`beardedvibes/${keyPrefix}/`, { resource_type: 'raw' });
       }
     };
   }
@@ -37,9 +70,37 @@ export function createStorage(config) {
     async upload(filePath, filename) {
       return `/uploads/${filename}`;
     },
+
+    async uploadAsset(filePath, key) {
+      const dest = path.join(uploadsDir, key);
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      try {
+        fs.renameSync(filePath, dest);
+      } catch (_err) {
+        // Work dir may live on another device
+        fs.copyFileSync(filePath, dest);
+        fs.unlinkSync(filePath);
+      }
+      return `/uploads/${key}`;
+    },
+
+    resolveInput(stored) {
+      return path.join(uploadsDir, stored.replace(/^\/uploads\//, ''));
+    },
     
     getUrl(filename) {
+      // Values returned by upload() already carry the /uploads prefix
+      if (filename.startsWith('/uploads/')) return filename;
       return `/uploads/${filename}`;
+    },
+
+    async remove(stored) {
+      if (!stored) return;
+      await fs.promises.rm(this.resolveInput(stored), { force: true });
+    },
+
+    async removePrefix(keyPrefix) {
+      await fs.promises.rm(path.join(uploadsDir, keyPrefix), { recursive: true, force: true });
     }
   };
 }
@@ -0,0 +1,68 @@
+// Warning strikes and automatic escalation. Each strike is worth its severity in points;
+// when a new strike pushes a user's active points across a rule's threshold, that rule's ban is applied.
+
+export const STRIKE_SOURCES = ['warning', 'post_removal', 'comment_removal'];
+export const MAX_SEVERITY = 3;
+
+// Three active points: 7-day upload suspension; five: 30-day ban; seven: permanent ban
+const DEFAULT_RULES = [
+  { points: 3, mode: 'suspend', durationHours: 7 * 24 },
+  { points: 5, mode: 'ban', durationHours: 30 * 24 },
+  { points: 7, mode: 'ban', durationHours: null }
+];
+
+function parseRules(raw) {
+  if (!raw) return DEFAULT_RULES;
+  let rules;
+  try {
+    rules = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`STRIKE_ESCALATION is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(rules)) throw new Error('STRIKE_ESCALATION must be a JSON array');
+  return rules.map((rule) => {
+    const points = Number(rule.points);
+    const durationHours = rule.durationHours == null ? null : Number(rule.durationHours);
+    if (!Number.isInteger(points) || points < 1) throw new Error('Each STRIKE_ESCALATION rule needs a positive integer "points"');
+    if (!['ban', 'suspend'].includes(rule.mode)) throw new Error('STRIKE_ESCALATION rule mode must be "ban" or "suspend"');
+    if (durationHours !== null && !(durationHours > 0)) throw new Error('STRIKE_ESCALATION durationHours must be positive or null');
+    return { points, mode: rule.mode, durationHours };
+  });
+}
+
+// How much a ban restricts, so escalation never softens an existing ban
+function banWeight(ban) {
+  if (!ban) return 0;
+  const modeWeight = ban.mode === 'ban' ? 2 : 1;
+  if (!ban.expiresAt) return modeWeight * 1e15;
+  return modeWeight * 1e13 + new Date(ban.expiresAt).getTime() / 1000;
+}
+
+export function createStrikePolicy(config) {
+  const { expiryDays = 90, escalation } = config;
+  const rules = parseRules(escalation).sort((a, b) => a.points - b.points);
+  const days = Number(expiryDays);
+
+  return {
+    rules,
+
+    // Strikes fall off after expiryDays; 0 keeps them forever
+    expiresAt(now = new Date()) {
+      if (!(days > 0)) return null;
+      return new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+    },
+
+    // The strongest rule whose threshold was crossed going from previousPoints to points, or null
+    escalationFor(previousPoints, points) {
+      const crossed = rules.filter((rule) => previousPoints < rule.points && points >= rule.points);
+      return crossed.length ? crossed[crossed.length - 1] : null;
+    },
+
+    // The ban a rule would create, or null when the current ban is already at least as strict
+    banFor(rule, currentBan, now = new Date()) {
+      const expiresAt = rule.durationHours ? new Date(now.getTime() + rule.durationHours * 60 * 60 * 1000).toISOString() : null;
+      const proposed = { mode: rule.mode, expiresAt };
+      return banWeight(proposed) > banWeight(currentBan) ? proposed : null;
+    }
+  };
+}
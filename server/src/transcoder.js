@@ -0,0 +1,278 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+// HLS ladder; rungs taller than the source are skipped
+const LADDER = [
+  { name: '360p', height: 360, videoKbps: 800, audioKbps: 96 },
+  { name: '720p', height: 720, videoKbps: 2800, audioKbps: 128 },
+  { name: '1080p', height: 1080, videoKbps: 5000, audioKbps: 160 }
+];
+const SEGMENT_SECONDS = 6;
+
+// Scrub previews: at most PREVIEW_MAX_FRAMES tiles, one every PREVIEW_MIN_INTERVAL seconds or more
+const PREVIEW_TILE_WIDTH = 160;
+const PREVIEW_TILE_HEIGHT = 90;
+const PREVIEW_COLUMNS = 10;
+const PREVIEW_MAX_FRAMES = 100;
+const PREVIEW_MIN_INTERVAL = 2;
+
+export function runProcess(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    // Only the tail of stderr is useful for error messages
+    child.stderr.on('data', (chunk) => { stderr = (stderr + chunk).slice(-4000); });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) return resolve(stdout);
+      const lastLine = stderr.trim().split('\n').pop() || 'no output';
+      return reject(new Error(`${path.basename(command)} exited with code ${code}: ${lastLine}`));
+    });
+  });
+}
+
+export async function probeVideo(ffprobePath, input) {
+  const output = await runProcess(ffprobePath, [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-show_entries', 'stream=width,height:format=duration',
+    '-of', 'json',
+    input
+  ]);
+  const data = JSON.parse(output);
+  const stream = data.streams?.[0];
+  if (!stream?.width || !stream?.height) {
+    throw new Error('No video stream found');
+  }
+  return {
+    width: Number(stream.width),
+    height: Number(stream.height),
+    duration: Number(data.format?.duration) || 0
+  };
+}
+
+function renditionArgs(input, rung, outDir) {
+  const maxrate = Math.round(rung.videoKbps * 1.07);
+  const bufsize = Math.round(rung.videoKbps * 1.5);
+  return [
+    '-y',
+    '-i', input,
+    '-map', '0:v:0',
+    '-map', '0:a:0?',
+    '-vf', `scale=-2:${rung.height}`,
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-profile:v', 'main',
+    '-b:v', `${rung.videoKbps}k`,
+    '-maxrate', `${maxrate}k`,
+    '-bufsize', `${bufsize}k`,
+    '-g', '48',
+    '-keyint_min', '48',
+    '-sc_threshold', '0',
+    '-c:a', 'aac',
+    '-b:a', `${rung.audioKbps}k`,
+    '-ac', '2',
+    '-hls_time', String(SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(outDir, 'seg_%03d.ts'),
+    path.join(outDir, 'index.m3u8')
+  ];
+}
+
+function formatVttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const h = String(Math.floor(ms / 3600000)).padStart(2, '0');
+  const m = String(Math.floor((ms % 3600000) / 60000)).padStart(2, '0');
+  const s = String(Math.floor((ms % 60000) / 1000)).padStart(2, '0');
+  return `${h}:${m}:${s}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+function buildPreviewVtt(spriteName, frameCount, interval, duration) {
+  const lines = ['WEBVTT', ''];
+  for (let i = 0; i < frameCount; i += 1) {
+    const start = i * interval;
+    const end = Math.min((i + 1) * interval, duration);
+    const x = (i % PREVIEW_COLUMNS) * PREVIEW_TILE_WIDTH;
+    const y = Math.floor(i / PREVIEW_COLUMNS) * PREVIEW_TILE_HEIGHT;
+    lines.push(`${formatVttTime(start)} --> ${formatVttTime(end)}`);
+    lines.push(`${spriteName}#xywh=${x},${y},${PREVIEW_TILE_WIDTH},${PREVIEW_TILE_HEIGHT}`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function buildMasterPlaylist(variants) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  variants.forEach((v) => {
+    const bandwidth = Math.round((v.videoKbps + v.audioKbps) * 1000 * 1.1);
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${v.width}x${v.height}`);
+    lines.push(`${v.name}/index.m3u8`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+export function createTranscoder(config) {
+  const { db, storage, workDir, ffmpegPath = 'ffmpeg', ffprobePath = 'ffprobe' } = config;
+  const queue = [];
+  let running = false;
+  let available = null;
+
+  async function isAvailable() {
+    if (!config.enabled) return false;
+    if (available === null) {
+      try {
+        await runProcess(ffmpegPath, ['-version']);
+        await runProcess(ffprobePath, ['-version']);
+        fs.mkdirSync(workDir, { recursive: true });
+        available = true;
+      } catch (err) {
+        console.warn('Transcoding disabled, ffmpeg/ffprobe not usable:', err.message);
+        available = false;
+      }
+    }
+    return available;
+  }
+
+  // Poster frame plus a sprite sheet of scrub frames indexed by a WebVTT file
+  async function generatePreviews(post, input, source, jobDir) {
+    const outDir = path.join(jobDir, 'previews');
+    fs.mkdirSync(outDir);
+    const keyPrefix = `previews/post-${post.id}`;
+    const duration = source.duration > 0 ? source.duration : 1;
+
+    // Skip the first moments, which are often black
+    const posterPath = path.join(outDir, 'poster.jpg');
+    await runProcess(ffmpegPath, [
+      '-y',
+      '-ss', String(Math.min(duration * 0.1, 10).toFixed(2)),
+      '-i', input,
+      '-frames:v', '1',
+      '-vf', 'scale=-2:720',
+      '-q:v', '3',
+      posterPath
+    ]);
+
+    const interval = Math.max(PREVIEW_MIN_INTERVAL, duration / PREVIEW_MAX_FRAMES);
+    const frameCount = Math.max(1, Math.ceil(duration / interval));
+    const rows = Math.ceil(frameCount / PREVIEW_COLUMNS);
+    const spritePath = path.join(outDir, 'sprite.jpg');
+    await runProcess(ffmpegPath, [
+      '-y',
+      '-i', input,
+      '-vf', [
+        `fps=1/${interval.toFixed(3)}`,
+        `scale=${PREVIEW_TILE_WIDTH}:${PREVIEW_TILE_HEIGHT}:force_original_aspect_ratio=decrease`,
+        `pad=${PREVIEW_TILE_WIDTH}:${PREVIEW_TILE_HEIGHT}:(ow-iw)/2:(oh-ih)/2`,
+        `tile=${PREVIEW_COLUMNS}x${rows}`
+      ].join(','),
+      '-frames:v', '1',
+      '-q:v', '5',
+      spritePath
+    ]);
+
+    // The VTT references the sprite by relative name, so both share a key prefix
+    const vttPath = path.join(outDir, 'previews.vtt');
+    fs.writeFileSync(vttPath, buildPreviewVtt('sprite.jpg', frameCount, interval, duration));
+
+    const poster = await storage.uploadAsset(posterPath, `${keyPrefix}/poster.jpg`);
+    const previewSprite = await storage.uploadAsset(spritePath, `${keyPrefix}/sprite.jpg`);
+    const previewVtt = await storage.uploadAsset(vttPath, `${keyPrefix}/previews.vtt`);
+    return { poster, previewSprite, previewVtt };
+  }
+
+  async function transcode(post, input, source, jobDir) {
+    const rungs = LADDER.filter((rung) => rung.height <= source.height);
+    if (!rungs.length) rungs.push(LADDER[0]);
+
+    const variants = [];
+    for (const rung of rungs) {
+      const outDir = path.join(jobDir, rung.name);
+      fs.mkdirSync(outDir);
+      await runProcess(ffmpegPath, renditionArgs(input, rung, outDir));
+      // libx264 needs even dimensions, matching what scale=-2 produces
+      const width = Math.round((source.width * rung.height) / source.height / 2) * 2;
+      variants.push({ ...rung, width });
+    }
+
+    // Renditions go up first so the master playlist never points at missing files
+    const keyPrefix = `hls/post-${post.id}`;
+    for (const variant of variants) {
+      const outDir = path.join(jobDir, variant.name);
+      for (const file of fs.readdirSync(outDir)) {
+        await storage.uploadAsset(path.join(outDir, file), `${keyPrefix}/${variant.name}/${file}`);
+      }
+    }
+
+    const masterPath = path.join(jobDir, 'master.m3u8');
+    fs.writeFileSync(masterPath, buildMasterPlaylist(variants));
+    return storage.uploadAsset(masterPath, `${keyPrefix}/master.m3u8`);
+  }
+
+  async function processPost(post) {
+    const input = storage.resolveInput(post.filename);
+    const jobDir = fs.mkdtempSync(path.join(workDir, `post-${post.id}-`));
+    try {
+      const source = await probeVideo(ffprobePath, input);
+
+      // Previews are cheap and independent, so a failure here must not block HLS
+      try {
+        const previews = await generatePreviews(post, input, source, jobDir);
+        await db.setPreviewAssets(post.id, previews);
+      } catch (err) {
+        console.error(`Preview generation for post ${post.id} failed:`, err.message);
+      }
+
+      return await transcode(post, input, source, jobDir);
+    } finally {
+      fs.rmSync(jobDir, { recursive: true, force: true });
+    }
+  }
+
+  async function pump() {
+    if (running) return;
+    running = true;
+    try {
+      while (queue.length) {
+        const postId = queue.shift();
+        const post = await db.getPost(postId);
+        if (!post || post.type !== 'video') continue;
+
+        await db.setProcessingState(postId, { status: 'processing' });
+        try {
+          const hlsUrl = await processPost(post);
+          await db.setProcessingState(postId, { status: 'ready', hlsUrl, error: '' });
+          console.log(`Transcoded post ${postId} to HLS`);
+        } catch (err) {
+          console.error(`Transcoding post ${postId} failed:`, err.message);
+          await db.setProcessingState(postId, { status: 'failed', error: err.message.slice(0, 500) });
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    async enqueue(postId) {
+      if (!(await isAvailable())) return false;
+      await db.setProcessingState(postId, { status: 'queued' });
+      if (!queue.includes(postId)) queue.push(postId);
+      pump().catch((err) => console.error('Transcode queue error:', err));
+      return true;
+    },
+
+    // Picks up jobs interrupted by a restart
+    async resume() {
+      if (!(await isAvailable())) return;
+      const pending = await db.listPostsByProcessingStatus(['queued', 'processing']);
+      pending.forEach((post) => {
+        if (!queue.includes(post.id)) queue.push(post.id);
+      });
+      if (pending.length) console.log(`Resuming ${pending.length} transcode job(s)`);
+      pump().catch((err) => console.error('Transcode queue error:', err));
+    }
+  };
+}
@@ -0,0 +1,60 @@
+// Trending ranking: engagement divided by a power of age, so fresh activity beats old totals.
+// Rankings are cached per window and recomputed at most once per ttl.
+
+export const TRENDING_WINDOWS = {
+  day: 1,
+  week: 7,
+  month: 30,
+  all: null
+};
+
+const WEIGHTS = { likes: 3, comments: 4, views: 1 };
+// Higher gravity makes older posts sink faster
+const GRAVITY = 1.5;
+const CANDIDATE_LIMIT = 1000;
+const RESULT_LIMIT = 100;
+
+export function trendingScore(row, now = Date.now()) {
+  const ageHours = Math.max(0, (now - new Date(row.createdAt).getTime()) / (1000 * 60 * 60));
+  const engagement =
+    Number(row.likes || 0) * WEIGHTS.likes +
+    Number(row.comments || 0) * WEIGHTS.comments +
+    Number(row.views || 0) * WEIGHTS.views;
+  // +1 keeps brand-new posts with no engagement ordered by age; +2 tempers the first hours
+  return (engagement + 1) / Math.pow(ageHours + 2, GRAVITY);
+}
+
+export function createTrendingCache(config) {
+  const { db, ttlMs } = config;
+  const entries = new Map();
+
+  async function compute(window) {
+    const days = TRENDING_WINDOWS[window];
+    const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+    const rows = await db.listTrending({ since, limit: CANDIDATE_LIMIT });
+    const now = Date.now();
+    return rows
+      .map((row) => ({ row, score: trendingScore(row, now) }))
+      .sort((a, b) => b.score - a.score || Number(b.row.id) - Number(a.row.id))
+      .slice(0, RESULT_LIMIT)
+      .map(({ row }) => row);
+  }
+
+  return {
+    // Concurrent callers share one in-flight computation
+    get(window) {
+      const cached = entries.get(window);
+      if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+      const promise = compute(window);
+      entries.set(window, { promise, expiresAt: Date.now() + ttlMs });
+      promise.catch(() => entries.delete(window));
+      return promise;
+    },
+
+    // Called when a post is hidden so cached rankings don't keep showing it until they expire
+    clear() {
+      entries.clear();
+    }
+  };
+}
@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+// Resumable uploads: the client opens a session, PUTs fixed-size chunks in any order,
+// then completes it. Parts live on disk so an interrupted upload can pick up where it stopped.
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+export function createUploadSessions(config) {
+  const { dir, chunkSize, maxBytes, ttlMs } = config;
+  fs.mkdirSync(dir, { recursive: true });
+
+  function sessionDir(id) {
+    // Ids are UUIDs we generated; anything else must not reach the filesystem
+    if (!/^[0-9a-f-]{36}$/.test(id)) throw httpError(404, 'Upload session not found');
+    return path.join(dir, id);
+  }
+
+  function partPath(id, index) {
+    return path.join(sessionDir(id), `part-${index}`);
+  }
+
+  function readMeta(id) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(sessionDir(id), 'meta.json'), 'utf8'));
+    } catch (_err) {
+      throw httpError(404, 'Upload session not found');
+    }
+  }
+
+  function receivedChunks(meta) {
+    const received = [];
+    for (let i = 0; i < meta.totalChunks; i += 1) {
+      if (fs.existsSync(partPath(meta.id, i))) received.push(i);
+    }
+    return received;
+  }
+
+  function describe(meta) {
+    return {
+      uploadId: meta.id,
+      filename: meta.filename,
+      size: meta.size,
+      chunkSize: meta.chunkSize,
+      totalChunks: meta.totalChunks,
+      receivedChunks: receivedChunks(meta),
+      expiresAt: new Date(meta.createdAt + ttlMs).toISOString()
+    };
+  }
+
+  return {
+    create({ ownerDiscordId, filename, size, mimeType }) {
+      const byteSize = Number(size);
+      if (!Number.isInteger(byteSize) || byteSize <= 0) throw httpError(400, 'Invalid file size');
+      if (byteSize > maxBytes) throw httpError(413, 'File too large');
+
+      const meta = {
+        id: crypto.randomUUID(),
+        ownerDiscordId,
+        filename: String(filename || 'upload').slice(0, 200),
+        mimeType,
+        size: byteSize,
+        chunkSize,
+        totalChunks: Math.ceil(byteSize / chunkSize),
+        createdAt: Date.now()
+      };
+      fs.mkdirSync(sessionDir(meta.id));
+      fs.writeFileSync(path.join(sessionDir(meta.id), 'meta.json'), JSON.stringify(meta));
+      return describe(meta);
+    },
+
+    get(id, ownerDiscordId) {
+      const meta = readMeta(id);
+      if (meta.ownerDiscordId !== ownerDiscordId) throw httpError(404, 'Upload session not found');
+      return { meta, status: describe(meta) };
+    },
+
+    // Streams one chunk to disk; a part only becomes visible once its size and checksum match
+    async writeChunk(meta, index, stream, expectedSha256) {
+      if (!Number.isInteger(index) || index < 0 || index >= meta.totalChunks) {
+        throw httpError(400, 'Invalid chunk index');
+      }
+      const isLast = index === meta.totalChunks - 1;
+      const expectedSize = isLast ? meta.size - index * meta.chunkSize : meta.chunkSize;
+      const target = partPath(meta.id, index);
+      const tmp = `${target}.${crypto.randomUUID()}.tmp`;
+      const hash = crypto.createHash('sha256');
+      let received = 0;
+
+      const counter = new Transform({
+        transform(chunk, _enc, cb) {
+          received += chunk.length;
+          if (received > expectedSize) return cb(httpError(413, 'Chunk larger than expected'));
+          hash.update(chunk);
+          return cb(null, chunk);
+        }
+      });
+
+      try {
+        await pipeline(stream, counter, fs.createWriteStream(tmp));
+        if (received !== expectedSize) throw httpError(400, 'Chunk size mismatch');
+        const digest = hash.digest('hex');
+        if (expectedSha256 && digest !== String(expectedSha256).toLowerCase()) {
+          throw httpError(400, 'Chunk checksum mismatch');
+        }
+        fs.renameSync(tmp, target);
+        return digest;
+      } catch (err) {
+        fs.rmSync(tmp, { force: true });
+        throw err;
+      }
+    },
+
+    // Concatenates the parts into destPath. The checksum is the SHA-256 of the
+    // concatenated hex SHA-256 digests of each chunk, so clients never hash the whole file at once.
+    async assemble(meta, destPath, checksum) {
+      const missing = meta.totalChunks - receivedChunks(meta).length;
+      if (missing > 0) throw httpError(409, `Upload incomplete: ${missing} chunk(s) missing`);
+
+      const digests = [];
+      const out = fs.createWriteStream(destPath);
+      try {
+        for (let i = 0; i < meta.totalChunks; i += 1) {
+          const hash = crypto.createHash('sha256');
+          const part = fs.createReadStream(partPath(meta.id, i));
+          part.on('data', (data) => hash.update(data));
+          await pipeline(part, out, { end: false });
+          digests.push(hash.digest('hex'));
+        }
+        await new Promise((resolve, reject) => {
+          out.on('error', reject);
+          out.end(resolve);
+        });
+      } catch (err) {
+        out.destroy();
+        fs.rmSync(destPath, { force: true });
+        throw err;
+      }
+
+      if (!checksum || sha256Hex(digests.join('')) !== String(checksum).toLowerCase()) {
+        fs.rmSync(destPath, { force: true });
+        throw httpError(422, 'Checksum mismatch, upload corrupted');
+      }
+    },
+
+    remove(id) {
+      fs.rmSync(sessionDir(id), { recursive: true, force: true });
+    },
+
+    cleanupExpired() {
+      const now = Date.now();
+      for (const id of fs.readdirSync(dir)) {
+        try {
+          const meta = readMeta(id);
+          if (now - meta.createdAt > ttlMs) this.remove(id);
+        } catch (_err) {
+          // Not a session directory (or already gone)
+        }
+      }
+    }
+  };
+}